@@ -0,0 +1,99 @@
+/**
+ * @typedef {"true/false" | "tristate" | "true/false/undefined" | "id" | "idlist" | "integer" | "number" | "string" | "token" | "tokenlist"} AriaValueType
+ *
+ * @typedef {Object} AriaAttribute
+ * @property {AriaValueType} type
+ * @property {string[]} [values] Allowed values of `token` and `tokenlist` types.
+ * @property {boolean} [global] `true` if the attribute is supported on all roles.
+ */
+
+// https://www.w3.org/TR/wai-aria-1.2/#state_prop_def
+/** @type {Record<string, AriaAttribute>} */
+module.exports = {
+  "aria-activedescendant": { type: "id" },
+  "aria-atomic": { type: "true/false", global: true },
+  "aria-autocomplete": {
+    type: "token",
+    values: ["inline", "list", "both", "none"],
+  },
+  "aria-braillelabel": { type: "string", global: true },
+  "aria-brailleroledescription": { type: "string", global: true },
+  "aria-busy": { type: "true/false", global: true },
+  "aria-checked": { type: "tristate" },
+  "aria-colcount": { type: "integer" },
+  "aria-colindex": { type: "integer" },
+  "aria-colindextext": { type: "string" },
+  "aria-colspan": { type: "integer" },
+  "aria-controls": { type: "idlist", global: true },
+  "aria-current": {
+    type: "token",
+    values: ["page", "step", "location", "date", "time", "true", "false"],
+    global: true,
+  },
+  "aria-describedby": { type: "idlist", global: true },
+  "aria-description": { type: "string", global: true },
+  "aria-details": { type: "idlist", global: true },
+  "aria-disabled": { type: "true/false", global: true },
+  "aria-dropeffect": {
+    type: "tokenlist",
+    values: ["copy", "execute", "link", "move", "none", "popup"],
+    global: true,
+  },
+  "aria-errormessage": { type: "id", global: true },
+  "aria-expanded": { type: "true/false/undefined" },
+  "aria-flowto": { type: "idlist", global: true },
+  "aria-grabbed": { type: "true/false/undefined", global: true },
+  "aria-haspopup": {
+    type: "token",
+    values: ["false", "true", "menu", "listbox", "tree", "grid", "dialog"],
+    global: true,
+  },
+  "aria-hidden": { type: "true/false/undefined", global: true },
+  "aria-invalid": {
+    type: "token",
+    values: ["grammar", "false", "spelling", "true"],
+    global: true,
+  },
+  "aria-keyshortcuts": { type: "string", global: true },
+  "aria-label": { type: "string", global: true },
+  "aria-labelledby": { type: "idlist", global: true },
+  "aria-level": { type: "integer" },
+  "aria-live": {
+    type: "token",
+    values: ["assertive", "off", "polite"],
+    global: true,
+  },
+  "aria-modal": { type: "true/false" },
+  "aria-multiline": { type: "true/false" },
+  "aria-multiselectable": { type: "true/false" },
+  "aria-orientation": {
+    type: "token",
+    values: ["horizontal", "undefined", "vertical"],
+  },
+  "aria-owns": { type: "idlist", global: true },
+  "aria-placeholder": { type: "string" },
+  "aria-posinset": { type: "integer" },
+  "aria-pressed": { type: "tristate" },
+  "aria-readonly": { type: "true/false" },
+  "aria-relevant": {
+    type: "tokenlist",
+    values: ["additions", "all", "removals", "text"],
+    global: true,
+  },
+  "aria-required": { type: "true/false" },
+  "aria-roledescription": { type: "string", global: true },
+  "aria-rowcount": { type: "integer" },
+  "aria-rowindex": { type: "integer" },
+  "aria-rowindextext": { type: "string" },
+  "aria-rowspan": { type: "integer" },
+  "aria-selected": { type: "true/false/undefined" },
+  "aria-setsize": { type: "integer" },
+  "aria-sort": {
+    type: "token",
+    values: ["ascending", "descending", "none", "other"],
+  },
+  "aria-valuemax": { type: "number" },
+  "aria-valuemin": { type: "number" },
+  "aria-valuenow": { type: "number" },
+  "aria-valuetext": { type: "string" },
+};
@@ -0,0 +1,486 @@
+/**
+ * @typedef {Object} AriaRole
+ * @property {string[]} superClass
+ * @property {boolean} [abstract] `true` if the role must not be used by authors.
+ * @property {string[]} [props] Supported states and properties, excluding the inherited and the global ones.
+ * @property {string[]} [requiredProps]
+ * @property {string[]} [prohibitedProps]
+ * @property {("author" | "contents" | "prohibited")[]} nameFrom
+ * @property {boolean} [nameRequired]
+ */
+
+const NAME_PROHIBITED = {
+  nameFrom: /** @type {["prohibited"]} */ (["prohibited"]),
+  prohibitedProps: ["aria-label", "aria-labelledby"],
+};
+
+// https://www.w3.org/TR/wai-aria-1.2/#role_definitions
+// `associationlist`, `associationlistitemkey`, `associationlistitemvalue`, `comment`, `mark` and `suggestion` are from the WAI-ARIA 1.3 draft.
+/** @type {Record<string, AriaRole>} */
+module.exports = {
+  // Abstract roles
+  command: { superClass: ["widget"], abstract: true, nameFrom: ["author"] },
+  composite: {
+    superClass: ["widget"],
+    abstract: true,
+    props: ["aria-activedescendant"],
+    nameFrom: ["author"],
+  },
+  input: {
+    superClass: ["widget"],
+    abstract: true,
+    props: ["aria-disabled"],
+    nameFrom: ["author"],
+  },
+  landmark: { superClass: ["section"], abstract: true, nameFrom: ["author"] },
+  range: {
+    superClass: ["structure"],
+    abstract: true,
+    props: [
+      "aria-valuemax",
+      "aria-valuemin",
+      "aria-valuenow",
+      "aria-valuetext",
+    ],
+    nameFrom: ["author"],
+  },
+  roletype: { superClass: [], abstract: true, nameFrom: ["author"] },
+  section: { superClass: ["structure"], abstract: true, nameFrom: ["author"] },
+  sectionhead: {
+    superClass: ["structure"],
+    abstract: true,
+    nameFrom: ["contents", "author"],
+  },
+  select: {
+    superClass: ["composite", "group"],
+    abstract: true,
+    props: ["aria-orientation"],
+    nameFrom: ["author"],
+  },
+  structure: {
+    superClass: ["roletype"],
+    abstract: true,
+    nameFrom: ["author"],
+  },
+  widget: { superClass: ["roletype"], abstract: true, nameFrom: ["author"] },
+  window: {
+    superClass: ["roletype"],
+    abstract: true,
+    props: ["aria-modal"],
+    nameFrom: ["author"],
+  },
+
+  // Concrete roles
+  alert: { superClass: ["section"], nameFrom: ["author"] },
+  alertdialog: {
+    superClass: ["alert", "dialog"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  application: {
+    superClass: ["structure"],
+    props: [
+      "aria-activedescendant",
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-invalid",
+    ],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  article: { superClass: ["document"], nameFrom: ["author"] },
+  associationlist: { superClass: ["section"], nameFrom: ["author"] },
+  associationlistitemkey: {
+    superClass: ["section"],
+    nameFrom: ["contents", "author"],
+  },
+  associationlistitemvalue: {
+    superClass: ["section"],
+    nameFrom: ["contents", "author"],
+  },
+  banner: { superClass: ["landmark"], nameFrom: ["author"] },
+  blockquote: { superClass: ["section"], nameFrom: ["author"] },
+  button: {
+    superClass: ["command"],
+    props: ["aria-disabled", "aria-expanded", "aria-haspopup", "aria-pressed"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  caption: { superClass: ["section"], ...NAME_PROHIBITED },
+  cell: {
+    superClass: ["section"],
+    props: [
+      "aria-colindex",
+      "aria-colindextext",
+      "aria-colspan",
+      "aria-rowindex",
+      "aria-rowindextext",
+      "aria-rowspan",
+    ],
+    nameFrom: ["contents", "author"],
+  },
+  checkbox: {
+    superClass: ["input"],
+    props: [
+      "aria-checked",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+    ],
+    requiredProps: ["aria-checked"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  code: { superClass: ["section"], ...NAME_PROHIBITED },
+  columnheader: {
+    superClass: ["cell", "gridcell", "sectionhead"],
+    props: ["aria-sort"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  combobox: {
+    superClass: ["input"],
+    props: [
+      "aria-activedescendant",
+      "aria-autocomplete",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+    ],
+    requiredProps: ["aria-expanded"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  comment: {
+    superClass: ["article"],
+    props: ["aria-level", "aria-posinset", "aria-setsize"],
+    nameFrom: ["contents", "author"],
+  },
+  complementary: { superClass: ["landmark"], nameFrom: ["author"] },
+  contentinfo: { superClass: ["landmark"], nameFrom: ["author"] },
+  definition: { superClass: ["section"], nameFrom: ["author"] },
+  deletion: { superClass: ["section"], ...NAME_PROHIBITED },
+  dialog: {
+    superClass: ["window"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  directory: { superClass: ["list"], nameFrom: ["author"] },
+  document: {
+    superClass: ["structure"],
+    props: ["aria-expanded"],
+    nameFrom: ["author"],
+  },
+  emphasis: { superClass: ["section"], ...NAME_PROHIBITED },
+  feed: { superClass: ["list"], nameFrom: ["author"] },
+  figure: { superClass: ["section"], nameFrom: ["author"] },
+  form: { superClass: ["landmark"], nameFrom: ["author"] },
+  generic: { superClass: ["structure"], ...NAME_PROHIBITED },
+  grid: {
+    superClass: ["composite", "table"],
+    props: ["aria-multiselectable", "aria-readonly"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  gridcell: {
+    superClass: ["cell", "widget"],
+    props: [
+      "aria-disabled",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+      "aria-selected",
+    ],
+    nameFrom: ["contents", "author"],
+  },
+  group: {
+    superClass: ["section"],
+    props: ["aria-activedescendant", "aria-disabled"],
+    nameFrom: ["author"],
+  },
+  heading: {
+    superClass: ["sectionhead"],
+    props: ["aria-level"],
+    requiredProps: ["aria-level"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  img: {
+    superClass: ["section"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  insertion: { superClass: ["section"], ...NAME_PROHIBITED },
+  link: {
+    superClass: ["command"],
+    props: ["aria-disabled", "aria-expanded", "aria-haspopup"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  list: { superClass: ["section"], nameFrom: ["author"] },
+  listbox: {
+    superClass: ["select"],
+    props: [
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-invalid",
+      "aria-multiselectable",
+      "aria-readonly",
+      "aria-required",
+    ],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  listitem: {
+    superClass: ["section"],
+    props: ["aria-level", "aria-posinset", "aria-setsize"],
+    nameFrom: ["author"],
+  },
+  log: { superClass: ["section"], nameFrom: ["author"] },
+  main: { superClass: ["landmark"], nameFrom: ["author"] },
+  mark: { superClass: ["section"], ...NAME_PROHIBITED },
+  marquee: {
+    superClass: ["section"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  math: { superClass: ["section"], nameFrom: ["author"] },
+  menu: { superClass: ["select"], nameFrom: ["author"] },
+  menubar: { superClass: ["menu"], nameFrom: ["author"] },
+  menuitem: {
+    superClass: ["command"],
+    props: [
+      "aria-disabled",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-posinset",
+      "aria-setsize",
+    ],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  menuitemcheckbox: {
+    superClass: ["checkbox", "menuitem"],
+    requiredProps: ["aria-checked"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  menuitemradio: {
+    superClass: ["menuitemcheckbox", "radio"],
+    requiredProps: ["aria-checked"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  meter: {
+    superClass: ["range"],
+    requiredProps: ["aria-valuenow"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  navigation: { superClass: ["landmark"], nameFrom: ["author"] },
+  none: { superClass: ["structure"], ...NAME_PROHIBITED },
+  note: { superClass: ["section"], nameFrom: ["author"] },
+  option: {
+    superClass: ["input"],
+    props: ["aria-checked", "aria-posinset", "aria-selected", "aria-setsize"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  paragraph: { superClass: ["section"], ...NAME_PROHIBITED },
+  presentation: { superClass: ["structure"], ...NAME_PROHIBITED },
+  progressbar: {
+    superClass: ["range", "widget"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  radio: {
+    superClass: ["input"],
+    props: ["aria-checked", "aria-posinset", "aria-setsize"],
+    requiredProps: ["aria-checked"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  radiogroup: {
+    superClass: ["select"],
+    props: [
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+    ],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  region: {
+    superClass: ["landmark"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  row: {
+    superClass: ["group", "widget"],
+    props: [
+      "aria-colindex",
+      "aria-expanded",
+      "aria-level",
+      "aria-posinset",
+      "aria-rowindex",
+      "aria-selected",
+      "aria-setsize",
+    ],
+    nameFrom: ["contents", "author"],
+  },
+  rowgroup: { superClass: ["structure"], nameFrom: ["contents", "author"] },
+  rowheader: {
+    superClass: ["cell", "gridcell", "sectionhead"],
+    props: ["aria-expanded", "aria-sort"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  scrollbar: {
+    superClass: ["range", "widget"],
+    props: ["aria-orientation"],
+    requiredProps: ["aria-controls", "aria-valuenow"],
+    nameFrom: ["author"],
+  },
+  search: { superClass: ["landmark"], nameFrom: ["author"] },
+  searchbox: {
+    superClass: ["textbox"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  separator: {
+    superClass: ["structure", "widget"],
+    props: [
+      "aria-orientation",
+      "aria-valuemax",
+      "aria-valuemin",
+      "aria-valuenow",
+      "aria-valuetext",
+    ],
+    nameFrom: ["author"],
+  },
+  slider: {
+    superClass: ["input", "range"],
+    props: [
+      "aria-errormessage",
+      "aria-haspopup",
+      "aria-invalid",
+      "aria-orientation",
+      "aria-readonly",
+    ],
+    requiredProps: ["aria-valuenow"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  spinbutton: {
+    superClass: ["composite", "input", "range"],
+    props: [
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+    ],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  status: { superClass: ["section"], nameFrom: ["author"] },
+  strong: { superClass: ["section"], ...NAME_PROHIBITED },
+  subscript: { superClass: ["section"], ...NAME_PROHIBITED },
+  suggestion: { superClass: ["section"], ...NAME_PROHIBITED },
+  superscript: { superClass: ["section"], ...NAME_PROHIBITED },
+  switch: {
+    superClass: ["checkbox"],
+    requiredProps: ["aria-checked"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  tab: {
+    superClass: ["sectionhead", "widget"],
+    props: [
+      "aria-disabled",
+      "aria-expanded",
+      "aria-haspopup",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+    nameFrom: ["contents", "author"],
+  },
+  table: {
+    superClass: ["section"],
+    props: ["aria-colcount", "aria-rowcount"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  tablist: {
+    superClass: ["composite"],
+    props: ["aria-multiselectable", "aria-orientation"],
+    nameFrom: ["author"],
+  },
+  tabpanel: {
+    superClass: ["section"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  term: { superClass: ["section"], nameFrom: ["author"] },
+  textbox: {
+    superClass: ["input"],
+    props: [
+      "aria-activedescendant",
+      "aria-autocomplete",
+      "aria-errormessage",
+      "aria-haspopup",
+      "aria-invalid",
+      "aria-multiline",
+      "aria-placeholder",
+      "aria-readonly",
+      "aria-required",
+    ],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  time: { superClass: ["section"], nameFrom: ["author"] },
+  timer: { superClass: ["status"], nameFrom: ["author"] },
+  toolbar: {
+    superClass: ["group"],
+    props: ["aria-orientation"],
+    nameFrom: ["author"],
+  },
+  tooltip: {
+    superClass: ["section"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+  tree: {
+    superClass: ["select"],
+    props: [
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-multiselectable",
+      "aria-required",
+    ],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  treegrid: {
+    superClass: ["grid", "tree"],
+    nameFrom: ["author"],
+    nameRequired: true,
+  },
+  treeitem: {
+    superClass: ["listitem", "option"],
+    props: ["aria-expanded", "aria-haspopup"],
+    nameFrom: ["contents", "author"],
+    nameRequired: true,
+  },
+};
@@ -1,9 +1,13 @@
 const RULE_CATEGORY = require("./rule-category");
 const OBSOLETE_TAGS = require("./obsolete-tags");
 const VOID_ELEMENTS = require("./void-elements");
+const ARIA_ROLES = require("./aria-roles");
+const ARIA_ATTRIBUTES = require("./aria-attributes");
 
 module.exports = {
   RULE_CATEGORY,
   OBSOLETE_TAGS,
   VOID_ELEMENTS,
+  ARIA_ROLES,
+  ARIA_ATTRIBUTES,
 };
@@ -1,9 +1,11 @@
 const rules = require("./rules");
 const recommended = require("./configs/recommended");
 const parser = require("@html-eslint/parser");
+const { htmlLanguage } = require("./languages/html-language");
+const processors = require("./processors");
 
 /**
- * @type {{configs: {recommended: typeof recommended,"flat/recommended": import("eslint").Linter.FlatConfig , rules: typeof rules}}}
+ * @type {{configs: {recommended: typeof recommended,"flat/recommended": import("eslint").Linter.FlatConfig , rules: typeof rules, languages: {html: typeof htmlLanguage}, processors: typeof processors}}}
  */
 const plugin = {
   // @ts-ignore
@@ -11,6 +13,10 @@ const plugin = {
     recommended,
   },
   rules,
+  languages: {
+    html: htmlLanguage,
+  },
+  processors,
 };
 
 Object.assign(plugin.configs, {
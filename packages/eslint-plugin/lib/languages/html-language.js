@@ -0,0 +1,180 @@
+/**
+ * @typedef {Object} HTMLLanguageOptions
+ * @property {Record<string, string | import("@html-eslint/template-syntax-parser/lib/types").TemplateSyntaxDefinition>} [templateEngineSyntax]
+ * @property {import("@html-eslint/template-syntax-parser/lib/types").TemplateDirectiveSyntax[]} [templateEngineDirectives]
+ * @property {import("@html-eslint/template-syntax-parser/lib/types").TemplateBlockSyntax[]} [templateEngineBlocks]
+ * @property {boolean} [parseStyle]
+ *
+ * @typedef {Object} File
+ * @property {string} body
+ * @property {string} path
+ *
+ * @typedef {Object} OkParseResult
+ * @property {true} ok
+ * @property {any} ast `Document` node
+ * @property {import("./html-source-code").HTMLComment[]} comments
+ *
+ * @typedef {Object} NotOkParseResult
+ * @property {false} ok
+ * @property {{message: string, line: number, column: number}[]} errors
+ */
+
+const { parseForESLint, VISITOR_KEYS } = require("@html-eslint/parser");
+const { HTMLSourceCode } = require("./html-source-code");
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} `true` if the value is a close delimiter or a definition of template syntax.
+ */
+function isTemplateSyntaxClose(value) {
+  if (typeof value === "string") {
+    return !!value;
+  }
+  return (
+    isPlainObject(value) &&
+    !!value.close &&
+    typeof value.close === "string" &&
+    (value.quotes === undefined ||
+      (Array.isArray(value.quotes) &&
+        value.quotes.every((quote) => !!quote && typeof quote === "string"))) &&
+    (value.escape === undefined ||
+      (!!value.escape && typeof value.escape === "string")) &&
+    (value.nested === undefined || typeof value.nested === "boolean") &&
+    (value.comment === undefined || typeof value.comment === "boolean")
+  );
+}
+
+/**
+ * HTML language for ESLint's `language` option. (e.g. `language: "@html-eslint/html"`)
+ * Unlike `@html-eslint/parser`, the root of the AST is a `Document` node, and `SourceCode` is HTML aware.
+ */
+const htmlLanguage = {
+  fileType: "text",
+  lineStart: 1,
+  columnStart: 0,
+  nodeTypeKey: "type",
+  visitorKeys: VISITOR_KEYS,
+  defaultLanguageOptions: {},
+
+  /**
+   * @param {HTMLLanguageOptions} languageOptions
+   */
+  validateLanguageOptions(languageOptions) {
+    Object.keys(languageOptions).forEach((key) => {
+      if (
+        key !== "templateEngineSyntax" &&
+        key !== "templateEngineDirectives" &&
+        key !== "templateEngineBlocks" &&
+        key !== "parseStyle"
+      ) {
+        throw new Error(`Unexpected key "${key}" found.`);
+      }
+    });
+    const {
+      templateEngineSyntax,
+      templateEngineDirectives,
+      templateEngineBlocks,
+      parseStyle,
+    } = languageOptions;
+    if (
+      templateEngineSyntax !== undefined &&
+      (!isPlainObject(templateEngineSyntax) ||
+        Object.entries(templateEngineSyntax).some(
+          ([open, close]) => !open || !isTemplateSyntaxClose(close)
+        ))
+    ) {
+      throw new Error(
+        'Key "templateEngineSyntax": Expected an object whose keys are non-empty strings and values are non-empty strings or objects with a "close" string. (e.g. { "{{": "}}" }, { "{{": { close: "}}", quotes: ["\\""] } })'
+      );
+    }
+    if (
+      templateEngineDirectives !== undefined &&
+      (!Array.isArray(templateEngineDirectives) ||
+        templateEngineDirectives.some(
+          (directive) =>
+            !isPlainObject(directive) ||
+            !directive.open ||
+            typeof directive.open !== "string" ||
+            !directive.name ||
+            typeof directive.name !== "string" ||
+            (directive.arguments !== undefined &&
+              typeof directive.arguments !== "boolean")
+        ))
+    ) {
+      throw new Error(
+        'Key "templateEngineDirectives": Expected an array of objects with "open" and "name" strings. (e.g. [{ open: "@", name: "\\w+", arguments: true }])'
+      );
+    }
+    if (
+      templateEngineBlocks !== undefined &&
+      (!Array.isArray(templateEngineBlocks) ||
+        templateEngineBlocks.some(
+          (block) =>
+            !isPlainObject(block) ||
+            typeof block.open !== "string" ||
+            typeof block.close !== "string" ||
+            (block.else !== undefined && typeof block.else !== "string") ||
+            (block.syntax !== undefined && typeof block.syntax !== "string")
+        ))
+    ) {
+      throw new Error(
+        'Key "templateEngineBlocks": Expected an array of objects with "open" and "close" strings. (e.g. [{ open: "^#(\\w+)", close: "^/(\\w+)" }])'
+      );
+    }
+    if (parseStyle !== undefined && typeof parseStyle !== "boolean") {
+      throw new Error('Key "parseStyle": Expected a boolean.');
+    }
+  },
+
+  /**
+   * @param {File} file
+   * @param {{languageOptions: HTMLLanguageOptions}} context
+   * @returns {OkParseResult | NotOkParseResult}
+   */
+  parse(file, { languageOptions }) {
+    try {
+      const { ast } = parseForESLint(file.body, languageOptions);
+      return {
+        ok: true,
+        ast: ast.body[0],
+        comments: ast.comments,
+      };
+    } catch (error) {
+      const { message, lineNumber, column } = /** @type {any} */ (error);
+      return {
+        ok: false,
+        errors: [{ message, line: lineNumber || 1, column: column || 0 }],
+      };
+    }
+  },
+
+  /**
+   * @param {File} file
+   * @param {OkParseResult} parseResult
+   * @returns {HTMLSourceCode}
+   */
+  createSourceCode(file, parseResult) {
+    return new HTMLSourceCode({
+      text: file.body,
+      ast: parseResult.ast,
+      comments: parseResult.comments,
+      visitorKeys: VISITOR_KEYS,
+    });
+  },
+};
+
+module.exports = {
+  htmlLanguage,
+};
@@ -0,0 +1,258 @@
+/**
+ * @typedef {import("@eslint/plugin-kit").TraversalStep} TraversalStep
+ * @typedef {import("@eslint/plugin-kit").DirectiveType} DirectiveType
+ * @typedef {import("@eslint/plugin-kit").SourceLocation} SourceLocation
+ * @typedef {import("eslint").AST.SourceLocation["start"]} Position
+ *
+ * @typedef {Object} HTMLComment
+ * @property {string} type
+ * @property {string} value
+ * @property {[number, number]} range
+ * @property {SourceLocation} loc
+ *
+ * @typedef {Object} InlineConfigProblem
+ * @property {null} ruleId
+ * @property {string} message
+ * @property {SourceLocation} loc
+ */
+
+const {
+  TextSourceCodeBase,
+  ConfigCommentParser,
+  Directive,
+  VisitNodeStep,
+} = require("@eslint/plugin-kit");
+
+const LINE_BREAK_PATTERN = /\r\n|[\r\n\u2028\u2029]/u;
+
+const DIRECTIVE_LABELS = [
+  "eslint",
+  "eslint-disable",
+  "eslint-enable",
+  "eslint-disable-line",
+  "eslint-disable-next-line",
+];
+
+const commentParser = new ConfigCommentParser();
+
+class HTMLSourceCode extends TextSourceCodeBase {
+  /**
+   * @param {Object} options
+   * @param {string} options.text
+   * @param {any} options.ast `Document` node
+   * @param {HTMLComment[]} options.comments
+   * @param {Record<string, string[]>} options.visitorKeys
+   */
+  constructor({ text, ast, comments, visitorKeys }) {
+    super({ text, ast, lineEndingPattern: LINE_BREAK_PATTERN });
+    this.ast = ast;
+    this.comments = comments;
+    this.visitorKeys = visitorKeys;
+    /**
+     * @type {TraversalStep[] | null}
+     */
+    this.steps = null;
+    /**
+     * @type {HTMLComment[] | null}
+     */
+    this.inlineConfigComments = null;
+    /**
+     * @type {number[]}
+     */
+    this.lineStartIndices = [0];
+    const lineBreakPattern = new RegExp(LINE_BREAK_PATTERN.source, "gu");
+    let match;
+    while ((match = lineBreakPattern.exec(text))) {
+      this.lineStartIndices.push(match.index + match[0].length);
+    }
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  getLines() {
+    return this.lines;
+  }
+
+  /**
+   * @returns {HTMLComment[]}
+   */
+  getAllComments() {
+    return this.comments;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {Position}
+   */
+  getLocFromIndex(index) {
+    if (typeof index !== "number" || index < 0 || index > this.text.length) {
+      throw new RangeError(
+        `Index out of range (requested index ${index}, but source text has length ${this.text.length}).`
+      );
+    }
+    let line = this.lineStartIndices.length;
+    while (this.lineStartIndices[line - 1] > index) {
+      line--;
+    }
+    return { line, column: index - this.lineStartIndices[line - 1] };
+  }
+
+  /**
+   * @param {Position} loc
+   * @returns {number}
+   */
+  getIndexFromLoc(loc) {
+    const lineStartIndex = this.lineStartIndices[loc.line - 1];
+    if (lineStartIndex === undefined || loc.column < 0) {
+      throw new RangeError(
+        `Location out of range (line ${loc.line}, column ${loc.column}).`
+      );
+    }
+    return lineStartIndex + loc.column;
+  }
+
+  /**
+   * @param {any} node
+   * @returns {any}
+   */
+  getParent(node) {
+    return node.parent;
+  }
+
+  /**
+   * Returns comments which are directives (e.g. `<!-- eslint-disable -->`).
+   * @returns {HTMLComment[]}
+   */
+  getInlineConfigNodes() {
+    if (!this.inlineConfigComments) {
+      this.inlineConfigComments = this.comments.filter((comment) => {
+        const directive = commentParser.parseDirective(comment.value);
+        return !!directive && DIRECTIVE_LABELS.includes(directive.label);
+      });
+    }
+    return this.inlineConfigComments;
+  }
+
+  /**
+   * @returns {{directives: Directive[], problems: InlineConfigProblem[]}}
+   */
+  getDisableDirectives() {
+    /**
+     * @type {Directive[]}
+     */
+    const directives = [];
+    /**
+     * @type {InlineConfigProblem[]}
+     */
+    const problems = [];
+
+    this.getInlineConfigNodes().forEach((comment) => {
+      const directive = commentParser.parseDirective(comment.value);
+      if (!directive || directive.label === "eslint") {
+        return;
+      }
+      const { label, value, justification } = directive;
+      if (
+        label === "eslint-disable-line" &&
+        comment.loc.start.line !== comment.loc.end.line
+      ) {
+        problems.push({
+          ruleId: null,
+          message: `${label} comment should not span multiple lines.`,
+          loc: comment.loc,
+        });
+        return;
+      }
+      directives.push(
+        new Directive({
+          type: /** @type {DirectiveType} */ (label.slice("eslint-".length)),
+          node: comment,
+          value,
+          justification,
+        })
+      );
+    });
+
+    return { directives, problems };
+  }
+
+  /**
+   * Returns rule configurations in `<!-- eslint ... -->` comments.
+   * @returns {{configs: {config: {rules: any}, loc: SourceLocation}[], problems: InlineConfigProblem[]}}
+   */
+  applyInlineConfig() {
+    /**
+     * @type {{config: {rules: any}, loc: SourceLocation}[]}
+     */
+    const configs = [];
+    /**
+     * @type {InlineConfigProblem[]}
+     */
+    const problems = [];
+
+    this.getInlineConfigNodes().forEach((comment) => {
+      const directive = commentParser.parseDirective(comment.value);
+      if (!directive || directive.label !== "eslint") {
+        return;
+      }
+      const result = commentParser.parseJSONLikeConfig(directive.value);
+      if (result.ok) {
+        configs.push({ config: { rules: result.config }, loc: comment.loc });
+      } else {
+        problems.push({
+          ruleId: null,
+          message: result.error.message,
+          loc: comment.loc,
+        });
+      }
+    });
+
+    return { configs, problems };
+  }
+
+  /**
+   * Traverses the AST and sets `parent` of each node.
+   * @returns {Iterable<TraversalStep>}
+   */
+  traverse() {
+    if (this.steps) {
+      return this.steps;
+    }
+    /**
+     * @type {TraversalStep[]}
+     */
+    const steps = [];
+    const visitorKeys = this.visitorKeys;
+
+    /**
+     * @param {any} node
+     * @param {any} parent
+     */
+    function visit(node, parent) {
+      node.parent = parent;
+      steps.push(
+        new VisitNodeStep({ target: node, phase: 1, args: [node, parent] })
+      );
+      (visitorKeys[node.type] || []).forEach((key) => {
+        const child = node[key];
+        if (Array.isArray(child)) {
+          child.forEach((grandChild) => grandChild && visit(grandChild, node));
+        } else if (child) {
+          visit(child, node);
+        }
+      });
+      steps.push(
+        new VisitNodeStep({ target: node, phase: 2, args: [node, parent] })
+      );
+    }
+
+    visit(this.ast, null);
+    this.steps = steps;
+    return steps;
+  }
+}
+
+module.exports = {
+  HTMLSourceCode,
+};
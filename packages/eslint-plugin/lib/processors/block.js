@@ -0,0 +1,248 @@
+/**
+ * @typedef {import("eslint").Linter.LintMessage} LintMessage
+ * @typedef {import("eslint").Rule.Fix} Fix
+ *
+ * @typedef {Object} BlockLine
+ * @property {number} start The index of the line in the block.
+ * @property {number} originalStart The index of the line in the original file.
+ * @property {number} line The line in the original file (1-based).
+ * @property {number} column The column in the original file (0-based).
+ *
+ * @typedef {Object} Block
+ * @property {string} text
+ * @property {BlockLine[]} lines
+ * @property {string} indent The indentation removed from each line.
+ * @property {[number, number][]} masks Ranges in the block which are replaced with whitespaces, since they are not HTML. (e.g. `<?php ... ?>`)
+ *
+ * @typedef {Object} BlockOptions
+ * @property {number} [indent] The number of whitespaces to remove from the start of each line.
+ * @property {RegExp} [maskPattern] The pattern of ranges to be replaced with whitespaces.
+ * @property {(text: string) => [number, number][]} [getMaskRanges] Gets ranges to be replaced with whitespaces, which can't be matched with a pattern (e.g. balanced braces).
+ */
+
+const LINE_BREAK_PATTERN = /\r\n|[\r\n\u2028\u2029]/gu;
+const NON_LINE_BREAK_PATTERN = /[^\r\n\u2028\u2029]/gu;
+
+/**
+ * @param {string} code
+ * @returns {number[]}
+ */
+function getLineStartIndices(code) {
+  const indices = [0];
+  let match;
+  LINE_BREAK_PATTERN.lastIndex = 0;
+  while ((match = LINE_BREAK_PATTERN.exec(code))) {
+    indices.push(match.index + match[0].length);
+  }
+  return indices;
+}
+
+/**
+ * @param {string} code
+ * @returns {{text: string, start: number}[]} Lines without line breaks.
+ */
+function splitLines(code) {
+  const lineStartIndices = getLineStartIndices(code);
+  return lineStartIndices.map((start, index) => ({
+    text: code
+      .slice(start, lineStartIndices[index + 1])
+      .replace(LINE_BREAK_PATTERN, ""),
+    start,
+  }));
+}
+
+/**
+ * Creates a block from `code.slice(start, end)`.
+ * @param {string} code
+ * @param {number} start
+ * @param {number} end
+ * @param {BlockOptions} [options]
+ * @returns {Block}
+ */
+function createBlock(code, start, end, options = {}) {
+  const indent = options.indent || 0;
+  const lineStartIndices = getLineStartIndices(code);
+  /**
+   * @type {BlockLine[]}
+   */
+  const lines = [];
+  let text = "";
+  let lineIndex = 0;
+  while (lineStartIndices[lineIndex + 1] <= start) {
+    lineIndex++;
+  }
+  let originalStart = start;
+  do {
+    const lineStart = lineStartIndices[lineIndex];
+    const lineEnd = Math.min(
+      lineIndex + 1 < lineStartIndices.length
+        ? lineStartIndices[lineIndex + 1]
+        : code.length,
+      end
+    );
+    const lineText = code.slice(originalStart, lineEnd);
+    const removed =
+      originalStart === lineStart
+        ? (/^[ \t]*/.exec(lineText) || [""])[0].slice(0, indent).length
+        : 0;
+    lines.push({
+      start: text.length,
+      originalStart: originalStart + removed,
+      line: lineIndex + 1,
+      column: originalStart + removed - lineStart,
+    });
+    text += lineText.slice(removed);
+    originalStart = lineEnd;
+    lineIndex++;
+  } while (originalStart < end);
+  if (lineStartIndices[lineIndex] === end && start < end) {
+    lines.push({
+      start: text.length,
+      originalStart: end,
+      line: lineIndex + 1,
+      column: 0,
+    });
+  }
+
+  /**
+   * @type {[number, number][]}
+   */
+  const masks = [];
+  if (options.maskPattern) {
+    for (const match of text.matchAll(options.maskPattern)) {
+      masks.push([match.index || 0, (match.index || 0) + match[0].length]);
+    }
+  }
+  if (options.getMaskRanges) {
+    masks.push(...options.getMaskRanges(text));
+  }
+  text = maskText(text, masks);
+
+  return { text, lines, indent: " ".repeat(indent), masks };
+}
+
+/**
+ * Replaces the ranges with whitespaces.
+ * Ranges of attribute values (e.g. `class={cls}`) are replaced with quoted whitespaces, so that the attributes keep their values.
+ * @param {string} text
+ * @param {[number, number][]} ranges
+ * @returns {string}
+ */
+function maskText(text, ranges) {
+  let masked = text;
+  ranges.forEach(([start, end]) => {
+    let replacement = text
+      .slice(start, end)
+      .replace(NON_LINE_BREAK_PATTERN, " ");
+    if (text[start - 1] === "=" && end - start >= 2) {
+      replacement = `"${replacement.slice(1, -1)}"`;
+    }
+    masked = masked.slice(0, start) + replacement + masked.slice(end);
+  });
+  return masked;
+}
+
+/**
+ * @param {Block} block
+ * @param {number} index
+ * @returns {number}
+ */
+function toOriginalIndex(block, index) {
+  let lineIndex = block.lines.length - 1;
+  while (lineIndex > 0 && block.lines[lineIndex].start > index) {
+    lineIndex--;
+  }
+  const line = block.lines[lineIndex];
+  return line.originalStart + index - line.start;
+}
+
+/**
+ * @param {Block} block
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isMasked(block, index) {
+  return block.masks.some(([start, end]) => start <= index && index < end);
+}
+
+/**
+ * @param {Block} block
+ * @param {Fix} fix
+ * @returns {Fix | null} `null` if the fix changes masked ranges.
+ */
+function toOriginalFix(block, fix) {
+  const [start, end] = fix.range;
+  if (block.masks.some((mask) => mask[0] < end && start < mask[1])) {
+    return null;
+  }
+  return {
+    range: [toOriginalIndex(block, start), toOriginalIndex(block, end)],
+    text: block.indent
+      ? fix.text.replace(
+          LINE_BREAK_PATTERN,
+          (lineBreak) => lineBreak + block.indent
+        )
+      : fix.text,
+  };
+}
+
+/**
+ * Translates the location and the fix of a message in a block to the original file.
+ * @param {Block} block
+ * @param {LintMessage} message
+ * @returns {LintMessage | null} `null` if the message is in masked ranges.
+ */
+function toOriginalMessage(block, message) {
+  if (!message.line) {
+    return message;
+  }
+  const startLine = block.lines[message.line - 1];
+  if (
+    startLine &&
+    isMasked(block, startLine.start + (message.column || 1) - 1)
+  ) {
+    return null;
+  }
+  /**
+   * @type {LintMessage}
+   */
+  const result = { ...message };
+  if (startLine) {
+    result.line = startLine.line;
+    result.column = startLine.column + (message.column || 1);
+  }
+  const endLine = message.endLine && block.lines[message.endLine - 1];
+  if (endLine && message.endColumn) {
+    result.endLine = endLine.line;
+    result.endColumn = endLine.column + message.endColumn;
+  }
+  if (message.fix) {
+    const fix = toOriginalFix(block, message.fix);
+    if (fix) {
+      result.fix = fix;
+    } else {
+      delete result.fix;
+    }
+  }
+  if (message.suggestions) {
+    result.suggestions = message.suggestions
+      .map((suggestion) => {
+        const fix = toOriginalFix(block, suggestion.fix);
+        return fix && { ...suggestion, fix };
+      })
+      .filter(
+        /**
+         * @param {any} suggestion
+         * @returns {suggestion is NonNullable<LintMessage["suggestions"]>[number]}
+         */
+        (suggestion) => !!suggestion
+      );
+  }
+  return result;
+}
+
+module.exports = {
+  splitLines,
+  createBlock,
+  toOriginalMessage,
+};
@@ -0,0 +1,68 @@
+/**
+ * @typedef {import("eslint").Linter.Processor} Processor
+ * @typedef {import("eslint").Linter.LintMessage} LintMessage
+ * @typedef {import("./block").Block} Block
+ */
+
+const { toOriginalMessage } = require("./block");
+const { extractMarkdownBlocks } = require("./markdown");
+const { extractVueBlocks } = require("./vue");
+const { extractSvelteBlocks } = require("./svelte");
+const { extractPhpBlocks } = require("./php");
+// @ts-ignore
+const { version } = require("../../package.json");
+
+/**
+ * Creates a processor which lints HTML blocks in a file as `*.html` files. (e.g. `README.md/0_0.html`)
+ * @param {string} name
+ * @param {(text: string) => Block[]} extractBlocks
+ * @returns {Processor}
+ */
+function createProcessor(name, extractBlocks) {
+  /**
+   * @type {Map<string, Block[]>}
+   */
+  const blocksMap = new Map();
+
+  return {
+    meta: {
+      name: `@html-eslint/${name}`,
+      version,
+    },
+    supportsAutofix: true,
+
+    preprocess(text, filename) {
+      const blocks = extractBlocks(text);
+      blocksMap.set(filename, blocks);
+      return blocks.map((block, index) => ({
+        text: block.text,
+        filename: `${index}.html`,
+      }));
+    },
+
+    postprocess(messageLists, filename) {
+      const blocks = blocksMap.get(filename) || [];
+      blocksMap.delete(filename);
+      /**
+       * @type {LintMessage[]}
+       */
+      const result = [];
+      messageLists.forEach((messages, index) => {
+        messages.forEach((message) => {
+          const translated = toOriginalMessage(blocks[index], message);
+          if (translated) {
+            result.push(translated);
+          }
+        });
+      });
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  markdown: createProcessor("markdown", extractMarkdownBlocks),
+  vue: createProcessor("vue", extractVueBlocks),
+  svelte: createProcessor("svelte", extractSvelteBlocks),
+  php: createProcessor("php", extractPhpBlocks),
+};
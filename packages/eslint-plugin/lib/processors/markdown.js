@@ -0,0 +1,64 @@
+/**
+ * @typedef {import("./block").Block} Block
+ */
+
+const { splitLines, createBlock } = require("./block");
+
+const OPENING_FENCE_PATTERN = /^([ \t]*)(`{3,}|~{3,})[ \t]*([^\s`]*)/u;
+const CLOSING_FENCE_PATTERN = /^[ \t]*(`{3,}|~{3,})[ \t]*$/u;
+const LANGUAGES = ["html"];
+
+/**
+ * Extracts fenced code blocks of HTML (e.g. ```` ```html ````) in Markdown.
+ * @param {string} text
+ * @returns {Block[]}
+ */
+function extractMarkdownBlocks(text) {
+  /**
+   * @type {Block[]}
+   */
+  const blocks = [];
+  /**
+   * @type {{indent: number, fence: string, start: number} | null}
+   */
+  let opening = null;
+  const lines = splitLines(text);
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!opening) {
+      const fence = OPENING_FENCE_PATTERN.exec(line.text);
+      if (fence && LANGUAGES.includes(fence[3].toLowerCase())) {
+        opening = {
+          indent: fence[1].length,
+          fence: fence[2],
+          start:
+            index + 1 < lines.length ? lines[index + 1].start : text.length,
+        };
+      }
+      continue;
+    }
+    const fence = CLOSING_FENCE_PATTERN.exec(line.text);
+    if (
+      fence &&
+      fence[1][0] === opening.fence[0] &&
+      fence[1].length >= opening.fence.length
+    ) {
+      blocks.push(
+        createBlock(text, opening.start, line.start, {
+          indent: opening.indent,
+        })
+      );
+      opening = null;
+    }
+  }
+  if (opening) {
+    blocks.push(
+      createBlock(text, opening.start, text.length, { indent: opening.indent })
+    );
+  }
+  return blocks;
+}
+
+module.exports = {
+  extractMarkdownBlocks,
+};
@@ -0,0 +1,24 @@
+/**
+ * @typedef {import("./block").Block} Block
+ */
+
+const { createBlock } = require("./block");
+
+/**
+ * `<?php ... ?>` and `<?= ... ?>`. The closing tag is optional at the end of a file.
+ */
+const PHP_CODE_PATTERN = /<\?(?:php|=)[\s\S]*?(?:\?>|$)/giu;
+
+/**
+ * PHP code in a file is replaced with whitespaces, so the rest of the file is a block of HTML.
+ * Problems and fixes in PHP code are ignored.
+ * @param {string} text
+ * @returns {Block[]}
+ */
+function extractPhpBlocks(text) {
+  return [createBlock(text, 0, text.length, { maskPattern: PHP_CODE_PATTERN })];
+}
+
+module.exports = {
+  extractPhpBlocks,
+};
@@ -0,0 +1,100 @@
+/**
+ * @typedef {import("./block").Block} Block
+ */
+
+const { createBlock } = require("./block");
+
+/**
+ * Contents of `<script>` and `<style>`, and comments, where braces are not Svelte syntax.
+ */
+const RAW_TEXT_PATTERN =
+  /<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<!--[\s\S]*?-->/iuy;
+
+/**
+ * @param {string} text
+ * @param {number} start The index of the opening quote.
+ * @returns {number} The index of the closing quote.
+ */
+function findStringEnd(text, start) {
+  for (let index = start + 1; index < text.length; index++) {
+    if (text[index] === "\\") {
+      index++;
+    } else if (text[index] === text[start]) {
+      return index;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * @param {string} text
+ * @param {number} start The index of `{`.
+ * @returns {number} The index after the matching `}`.
+ */
+function findExpressionEnd(text, start) {
+  let depth = 0;
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (char === '"' || char === "'" || char === "`") {
+      index = findStringEnd(text, index);
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) {
+        return index + 1;
+      }
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Gets the ranges of Svelte syntax enclosed by braces,
+ * e.g. expressions (`{name}`), blocks (`{#if a}`, `{:else}`, `{/if}`), tags (`{@html a}`) and attributes (`on:click={go}`, `{...props}`).
+ * @param {string} text
+ * @returns {[number, number][]}
+ */
+function getSvelteSyntaxRanges(text) {
+  /**
+   * @type {[number, number][]}
+   */
+  const ranges = [];
+  let index = 0;
+  while (index < text.length) {
+    if (text[index] === "<") {
+      RAW_TEXT_PATTERN.lastIndex = index;
+      const match = RAW_TEXT_PATTERN.exec(text);
+      if (match) {
+        index += match[0].length;
+        continue;
+      }
+    }
+    if (text[index] === "{") {
+      const end = findExpressionEnd(text, index);
+      ranges.push([index, end]);
+      index = end;
+      continue;
+    }
+    index++;
+  }
+  return ranges;
+}
+
+/**
+ * Svelte components are HTML including `<script>` and `<style>`, so the whole component is a block.
+ * Svelte syntax enclosed by braces is replaced with whitespaces, and problems and fixes in it are ignored.
+ * @param {string} text
+ * @returns {Block[]}
+ */
+function extractSvelteBlocks(text) {
+  return [
+    createBlock(text, 0, text.length, {
+      getMaskRanges: getSvelteSyntaxRanges,
+    }),
+  ];
+}
+
+module.exports = {
+  extractSvelteBlocks,
+};
@@ -0,0 +1,36 @@
+/**
+ * @typedef {import("./block").Block} Block
+ */
+
+const { parseForESLint, NODE_TYPES } = require("@html-eslint/parser");
+const { findAttr } = require("../rules/utils/node");
+const { createBlock } = require("./block");
+
+/**
+ * Extracts the top level `<template>` of Vue single-file components.
+ * Templates in other languages (e.g. `<template lang="pug">`) are ignored.
+ * @param {string} text
+ * @returns {Block[]}
+ */
+function extractVueBlocks(text) {
+  const document = parseForESLint(text, {}).ast.body[0];
+  return document.children
+    .filter((/** @type {any} */ node) => {
+      if (
+        node.type !== NODE_TYPES.Tag ||
+        node.name !== "template" ||
+        !node.close
+      ) {
+        return false;
+      }
+      const lang = findAttr(node, "lang");
+      return !lang || !lang.value || lang.value.value.toLowerCase() === "html";
+    })
+    .map((/** @type {any} */ node) =>
+      createBlock(text, node.openEnd.range[1], node.close.range[0])
+    );
+}
+
+module.exports = {
+  extractVueBlocks,
+};
@@ -0,0 +1,85 @@
+/**
+ * @typedef { import("../types").RuleModule } RuleModule
+ * @typedef { import("../types").Tag } Tag
+ */
+
+const { RULE_CATEGORY, ARIA_ROLES } = require("../constants");
+const { findAttr } = require("./utils/node");
+const { getExplicitRole, getImplicitRole } = require("./utils/aria");
+const { createVisitors } = require("./utils/visitors");
+
+const MESSAGE_IDS = {
+  MISSING: "missing",
+};
+
+/**
+ * @param {Tag} node
+ * @returns {string[]} Required states provided by the native semantics of the element (e.g. `checked` of `<input type="checkbox" role="switch">`).
+ */
+function getNativeProps(node) {
+  const name = node.name.toLowerCase();
+  if (/^h[1-6]$/.test(name)) {
+    return ["aria-level"];
+  }
+  if (name !== "input") {
+    return [];
+  }
+  const typeAttr = findAttr(node, "type");
+  const type = ((typeAttr && typeAttr.value && typeAttr.value.value) || "")
+    .trim()
+    .toLowerCase();
+  if (type === "checkbox" || type === "radio") {
+    return ["aria-checked"];
+  }
+  if (type === "range") {
+    return ["aria-valuenow"];
+  }
+  return [];
+}
+
+/**
+ * @type {RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: "code",
+
+    docs: {
+      description: "Require the required ARIA states and properties of roles",
+      category: RULE_CATEGORY.ACCESSIBILITY,
+      recommended: false,
+    },
+
+    fixable: null,
+    schema: [],
+    messages: {
+      [MESSAGE_IDS.MISSING]:
+        "The role '{{role}}' requires the '{{attr}}' attribute.",
+    },
+  },
+
+  create(context) {
+    return createVisitors(context, {
+      Tag(node) {
+        const role = getExplicitRole(node);
+        // Elements with the implicit role get the required states from the native semantics.
+        if (!role || role === getImplicitRole(node)) {
+          return;
+        }
+        const nativeProps = getNativeProps(node);
+        const roleAttr = findAttr(node, "role");
+        (ARIA_ROLES[role].requiredProps || [])
+          .filter(
+            (prop) => !findAttr(node, prop) && !nativeProps.includes(prop)
+          )
+          .forEach((prop) => {
+            context.report({
+              node: roleAttr || node,
+              messageId: MESSAGE_IDS.MISSING,
+              data: { role, attr: prop },
+            });
+          });
+      },
+    });
+  },
+};
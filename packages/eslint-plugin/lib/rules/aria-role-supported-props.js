@@ -0,0 +1,74 @@
+/**
+ * @typedef { import("../types").RuleModule } RuleModule
+ */
+
+const { RULE_CATEGORY, ARIA_ROLES, ARIA_ATTRIBUTES } = require("../constants");
+const { hasTemplate } = require("./utils/node");
+const { getRole, getSupportedProps } = require("./utils/aria");
+const { createVisitors } = require("./utils/visitors");
+
+const MESSAGE_IDS = {
+  UNSUPPORTED: "unsupported",
+  PROHIBITED: "prohibited",
+};
+
+/**
+ * @type {RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: "code",
+
+    docs: {
+      description:
+        "Disallow ARIA states and properties which are not supported by the role",
+      category: RULE_CATEGORY.ACCESSIBILITY,
+      recommended: false,
+    },
+
+    fixable: null,
+    schema: [],
+    messages: {
+      [MESSAGE_IDS.UNSUPPORTED]:
+        "The attribute '{{attr}}' is not supported by the role '{{role}}'.",
+      [MESSAGE_IDS.PROHIBITED]:
+        "The attribute '{{attr}}' is prohibited on the role '{{role}}'.",
+    },
+  },
+
+  create(context) {
+    return createVisitors(context, {
+      Tag(node) {
+        const role = getRole(node);
+        if (!role) {
+          return;
+        }
+        const supportedProps = getSupportedProps(role);
+        const prohibitedProps = ARIA_ROLES[role].prohibitedProps || [];
+        node.attributes.forEach((attr) => {
+          if (hasTemplate(attr.key)) {
+            return;
+          }
+          const name = attr.key.value.toLowerCase();
+          // Unknown attributes are reported by `aria-valid-attrs`.
+          if (!Object.prototype.hasOwnProperty.call(ARIA_ATTRIBUTES, name)) {
+            return;
+          }
+          if (prohibitedProps.includes(name)) {
+            context.report({
+              node: attr,
+              messageId: MESSAGE_IDS.PROHIBITED,
+              data: { role, attr: name },
+            });
+          } else if (!supportedProps.has(name)) {
+            context.report({
+              node: attr,
+              messageId: MESSAGE_IDS.UNSUPPORTED,
+              data: { role, attr: name },
+            });
+          }
+        });
+      },
+    });
+  },
+};
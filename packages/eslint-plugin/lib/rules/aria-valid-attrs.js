@@ -0,0 +1,175 @@
+/**
+ * @typedef { import("../types").RuleModule } RuleModule
+ * @typedef { import("../types").Tag } Tag
+ * @typedef { import("../types").StyleTag } StyleTag
+ * @typedef { import("../types").ScriptTag } ScriptTag
+ * @typedef { import("../types").Attribute } Attribute
+ * @typedef { import("../constants/aria-attributes").AriaAttribute } AriaAttribute
+ * @typedef { import("../constants/aria-attributes").AriaValueType } AriaValueType
+ */
+
+const { RULE_CATEGORY, ARIA_ATTRIBUTES } = require("../constants");
+const { hasTemplate } = require("./utils/node");
+const { createVisitors } = require("./utils/visitors");
+
+const MESSAGE_IDS = {
+  UNKNOWN: "unknown",
+  INVALID_VALUE: "invalidValue",
+  INVALID_TOKEN: "invalidToken",
+};
+
+const INTEGER_REGEX = /^[-+]?\d+$/;
+const NUMBER_REGEX = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * @type {Record<AriaValueType, (value: string) => boolean>}
+ */
+const VALUE_VALIDATORS = {
+  "true/false": (value) => ["true", "false"].includes(value),
+  // Empty values are the default values (e.g. `undefined` of `aria-hidden`).
+  tristate: (value) => ["", "true", "false", "mixed"].includes(value),
+  "true/false/undefined": (value) =>
+    ["", "true", "false", "undefined"].includes(value),
+  id: (value) => !!value && !/\s/.test(value),
+  idlist: (value) => !!value,
+  integer: (value) => INTEGER_REGEX.test(value),
+  number: (value) => NUMBER_REGEX.test(value),
+  string: () => true,
+  token: (value) => !!value,
+  tokenlist: (value) => !!value,
+};
+
+/**
+ * @param {AriaAttribute} attribute
+ * @returns {string}
+ */
+function describeExpected(attribute) {
+  switch (attribute.type) {
+    case "true/false":
+      return '"true" or "false"';
+    case "tristate":
+      return '"true", "false" or "mixed"';
+    case "true/false/undefined":
+      return '"true", "false" or "undefined"';
+    case "id":
+      return "an id";
+    case "idlist":
+      return "a space-separated list of ids";
+    case "integer":
+      return "an integer";
+    case "number":
+      return "a number";
+    case "tokenlist":
+      return `a space-separated list of ${describeValues(attribute)}`;
+    default:
+      return `one of ${describeValues(attribute)}`;
+  }
+}
+
+/**
+ * @param {AriaAttribute} attribute
+ * @returns {string}
+ */
+function describeValues(attribute) {
+  return (attribute.values || []).map((value) => `"${value}"`).join(", ");
+}
+
+/**
+ * @type {RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: "code",
+
+    docs: {
+      description:
+        "Disallow unknown ARIA attributes and invalid values of ARIA attributes",
+      category: RULE_CATEGORY.ACCESSIBILITY,
+      recommended: false,
+    },
+
+    fixable: null,
+    schema: [],
+    messages: {
+      [MESSAGE_IDS.UNKNOWN]: "Unknown ARIA attribute '{{name}}'.",
+      [MESSAGE_IDS.INVALID_VALUE]:
+        "Invalid value '{{value}}' for '{{name}}'. Expected {{expected}}.",
+      [MESSAGE_IDS.INVALID_TOKEN]:
+        "Invalid token '{{token}}' for '{{name}}'. Expected {{expected}}.",
+    },
+  },
+
+  create(context) {
+    /**
+     * @param {Attribute} attr
+     * @param {string} name
+     * @param {AriaAttribute} attribute
+     */
+    function checkValue(attr, name, attribute) {
+      if (attr.value && hasTemplate(attr.value)) {
+        return;
+      }
+      const rawValue = attr.value ? attr.value.value : "";
+      const value = rawValue.trim().toLowerCase();
+      if (!VALUE_VALIDATORS[attribute.type](value)) {
+        context.report({
+          node: attr,
+          messageId: MESSAGE_IDS.INVALID_VALUE,
+          data: {
+            name,
+            value: rawValue,
+            expected: describeExpected(attribute),
+          },
+        });
+        return;
+      }
+      if (attribute.type !== "token" && attribute.type !== "tokenlist") {
+        return;
+      }
+      const values = attribute.values || [];
+      const tokens = attribute.type === "token" ? [value] : value.split(/\s+/);
+      const invalidToken = tokens.find((token) => !values.includes(token));
+      if (invalidToken !== undefined) {
+        context.report({
+          node: attr,
+          messageId: MESSAGE_IDS.INVALID_TOKEN,
+          data: {
+            name,
+            token: invalidToken,
+            expected: describeExpected(attribute),
+          },
+        });
+      }
+    }
+
+    /**
+     * @param {Tag | ScriptTag | StyleTag} node
+     */
+    function check(node) {
+      node.attributes.forEach((attr) => {
+        if (hasTemplate(attr.key)) {
+          return;
+        }
+        const name = attr.key.value.toLowerCase();
+        if (!name.startsWith("aria-")) {
+          return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(ARIA_ATTRIBUTES, name)) {
+          context.report({
+            node: attr.key,
+            messageId: MESSAGE_IDS.UNKNOWN,
+            data: { name },
+          });
+          return;
+        }
+        checkValue(attr, name, ARIA_ATTRIBUTES[name]);
+      });
+    }
+
+    return createVisitors(context, {
+      Tag: check,
+      ScriptTag: check,
+      StyleTag: check,
+    });
+  },
+};
@@ -3,6 +3,8 @@
  * @typedef { import("../../types").AnyNode } AnyNode
  * @typedef { import("../../types").Line } Line
  * @typedef { import("../../types").Tag } Tag
+ * @typedef { import("../../types").ScriptTagContent } ScriptTagContent
+ * @typedef { import("../../types").StyleTagContent } StyleTagContent
  * @typedef { import("../../types").RuleListener } RuleListener
  * @typedef { import("../../types").Context } Context
  * @typedef { import("eslint").AST.Token } Token
@@ -15,8 +17,17 @@
  * @typedef {Object} IndentType
  * @property {"tab"} TAB
  * @property {"space"} SPACE
+ * @typedef { import("../../types").ScriptTag } ScriptTag
+ * @typedef { import("../../types").StyleTag } StyleTag
+ * @typedef { import("../../types").Attribute } Attribute
+ * @typedef { import("../../types").OpenTagEnd } OpenTagEnd
+ * @typedef { import("../../types").OpenScriptTagEnd } OpenScriptTagEnd
+ * @typedef { import("../../types").OpenStyleTagEnd } OpenStyleTagEnd
+ *
  * @typedef {Object} MessageId
  * @property {"wrongIndent"} WRONG_INDENT
+ * @property {"closingBracketNewline"} CLOSING_BRACKET_NEWLINE
+ * @property {"closingBracketSameLine"} CLOSING_BRACKET_SAME_LINE
  * @typedef {Object} IndentOptionInfo
  * @property {IndentType["TAB"] | IndentType["SPACE"]} indentType
  * @property {number} indentSize
@@ -24,6 +35,7 @@
  */
 
 const { parse } = require("@html-eslint/template-parser");
+const { tokenizer, tokTypes } = require("acorn");
 const { RULE_CATEGORY } = require("../../constants");
 const { splitToLineNodes, isLine, isTag } = require("../utils/node");
 const {
@@ -36,6 +48,18 @@ const IndentLevel = require("./indent-level");
 /** @type {MessageId} */
 const MESSAGE_ID = {
   WRONG_INDENT: "wrongIndent",
+  CLOSING_BRACKET_NEWLINE: "closingBracketNewline",
+  CLOSING_BRACKET_SAME_LINE: "closingBracketSameLine",
+};
+
+const ALIGNS = {
+  INDENT: "indent",
+  FIRST_ATTRIBUTE: "first-attribute",
+};
+
+const CLOSING_BRACKETS = {
+  TAG: "tag",
+  LAST_ATTRIBUTE: "last-attribute",
 };
 
 /** @type {IndentType} */
@@ -91,12 +115,30 @@ module.exports = {
             },
             additionalProperties: false,
           },
+          scriptContentIndent: {
+            type: "integer",
+            minimum: 0,
+          },
+          styleContentIndent: {
+            type: "integer",
+            minimum: 0,
+          },
+          align: {
+            enum: Object.values(ALIGNS),
+          },
+          closingBracket: {
+            enum: Object.values(CLOSING_BRACKETS),
+          },
         },
       },
     ],
     messages: {
       [MESSAGE_ID.WRONG_INDENT]:
         "Expected indentation of {{expected}} but found {{actual}}.",
+      [MESSAGE_ID.CLOSING_BRACKET_NEWLINE]:
+        "Expected a line break before '{{bracket}}' of a multi-line tag.",
+      [MESSAGE_ID.CLOSING_BRACKET_SAME_LINE]:
+        "Expected '{{bracket}}' to be on the same line as the last attribute.",
     },
   },
   create(context) {
@@ -200,42 +242,27 @@ module.exports = {
        * @param {number} expectedIndentSize
        */
       function getMessageData(actualIndent, expectedIndentSize) {
-        const actualTabs = (actualIndent.match(/\t/g) || []).length;
-        const actualSpaces = (actualIndent.match(/[^\S\t\n\r]/g) || []).length;
-        let actual = "";
-        if (!actualTabs && !actualSpaces) {
-          actual = "no indent";
-        } else {
-          if (actualTabs) {
-            actual += `${actualTabs} tab`;
-          }
-          if (actualSpaces) {
-            if (actual) {
-              actual += ", ";
-            }
-            actual += `${actualSpaces} space`;
-          }
-        }
-
         if (indentType === "space") {
           expectedIndentSize *= indentSize;
         }
 
         return {
-          actual,
+          actual: describeIndent(actualIndent),
           expected: `${expectedIndentSize} ${indentType}`,
         };
       }
 
       /**
        * @param {AnyNode | Line} node
+       * @param {string} [alignedIndent] The indent to align the node with, instead of the indent level.
        */
-      function checkIndent(node) {
+      function checkIndent(node, alignedIndent) {
         if (parentIgnoringChildCount > 0) {
           return;
         }
         const actualIndent = getActualIndent(node);
-        const expectedIndent = getExpectedIndent();
+        const expectedIndent =
+          alignedIndent === undefined ? getExpectedIndent() : alignedIndent;
 
         if (actualIndent.trim().length) {
           return;
@@ -245,7 +272,13 @@ module.exports = {
           context.report({
             node: targetNode,
             messageId: MESSAGE_ID.WRONG_INDENT,
-            data: getMessageData(actualIndent, indentLevel.value()),
+            data:
+              alignedIndent === undefined
+                ? getMessageData(actualIndent, indentLevel.value())
+                : {
+                    actual: describeIndent(actualIndent),
+                    expected: describeIndent(alignedIndent),
+                  },
             fix(fixer) {
               return fixer.replaceText(targetNode, expectedIndent);
             },
@@ -253,6 +286,170 @@ module.exports = {
         }
       }
 
+      /**
+       * Checks the lines of script or style content, whose indentation is expected to be
+       * `offset` levels deeper than the tag at the least indented line.
+       * The indentation of the other lines relative to the least indented line is kept.
+       * @param {ScriptTagContent | StyleTagContent} node
+       * @param {unknown} offset
+       * @param {Set<number>} skippedLines Lines whose indentation is a part of the content (e.g. in template literals).
+       */
+      function checkContentIndent(node, offset, skippedLines) {
+        if (typeof offset !== "number" || parentIgnoringChildCount > 0) {
+          return;
+        }
+        /**
+         * @type {{line: number, indent: string}[]}
+         */
+        const contentLines = [];
+        // The first line is skipped, since it starts with the open tag.
+        for (
+          let line = node.loc.start.line + 1;
+          line <= node.loc.end.line;
+          line++
+        ) {
+          const text =
+            line === node.loc.end.line
+              ? lines[line - 1].slice(0, node.loc.end.column)
+              : lines[line - 1];
+          if (text.trim().length && !skippedLines.has(line)) {
+            contentLines.push({
+              line,
+              indent: text.slice(0, countLeftPadding(text)),
+            });
+          }
+        }
+        if (!contentLines.length) {
+          return;
+        }
+        const baseIndent = contentLines.reduce(
+          (min, { indent }) => (indent.length < min.length ? indent : min),
+          contentLines[0].indent
+        );
+        const expectedBaseIndent = indentChar.repeat(
+          indentLevel.value() + offset
+        );
+        contentLines.forEach(({ line, indent }) => {
+          const expectedIndent =
+            expectedBaseIndent + indent.slice(baseIndent.length);
+          if (indent === expectedIndent) {
+            return;
+          }
+          const start = sourceCode.getIndexFromLoc({ line, column: 0 });
+          context.report({
+            loc: {
+              start: { line, column: 0 },
+              end: { line, column: indent.length },
+            },
+            messageId: MESSAGE_ID.WRONG_INDENT,
+            data: {
+              actual: describeIndent(indent),
+              expected: describeIndent(expectedIndent),
+            },
+            fix(fixer) {
+              return fixer.replaceTextRange(
+                [start, start + indent.length],
+                expectedIndent
+              );
+            },
+          });
+        });
+      }
+
+      /**
+       * With `align: "first-attribute"`, wrapped attributes are aligned with the first attribute on the line of the tag.
+       * @param {Attribute} node
+       * @returns {string | undefined}
+       */
+      function getAlignedAttributeIndent(node) {
+        if (indentLevelOptions.align !== ALIGNS.FIRST_ATTRIBUTE) {
+          return undefined;
+        }
+        const first = node.parent.attributes[0];
+        if (
+          first === node ||
+          first.loc.start.line !== node.parent.openStart.loc.start.line
+        ) {
+          return undefined;
+        }
+        // Keeps tabs before the tag, and replaces the others with spaces.
+        return lines[first.loc.start.line - 1]
+          .slice(0, first.loc.start.column)
+          .replace(/[^\t]/g, " ");
+      }
+
+      /**
+       * Checks where `>` or `/>` of a tag with attributes on multiple lines is placed.
+       * @param {OpenTagEnd | OpenScriptTagEnd | OpenStyleTagEnd} node
+       * @returns {boolean} `true` if reported.
+       */
+      function checkClosingBracket(node) {
+        const { closingBracket } = indentLevelOptions;
+        /**
+         * @type {Tag | ScriptTag | StyleTag}
+         */
+        const tag = node.parent;
+        const last = tag.attributes[tag.attributes.length - 1];
+        if (
+          !closingBracket ||
+          parentIgnoringChildCount > 0 ||
+          !last ||
+          tag.openStart.loc.start.line === last.loc.end.line
+        ) {
+          return false;
+        }
+        const between = sourceCode.text.slice(last.range[1], node.range[0]);
+        if (between.trim().length) {
+          return false;
+        }
+        const isOnLastAttributeLine = node.loc.start.line === last.loc.end.line;
+        if (closingBracket === CLOSING_BRACKETS.TAG && isOnLastAttributeLine) {
+          const expectedIndent = getExpectedIndent();
+          context.report({
+            node,
+            messageId: MESSAGE_ID.CLOSING_BRACKET_NEWLINE,
+            data: { bracket: node.value },
+            fix(fixer) {
+              const lineBreak = sourceCode.text.includes("\r\n")
+                ? "\r\n"
+                : "\n";
+              return fixer.replaceTextRange(
+                [last.range[1], node.range[0]],
+                `${lineBreak}${expectedIndent}`
+              );
+            },
+          });
+          return true;
+        }
+        if (
+          closingBracket === CLOSING_BRACKETS.LAST_ATTRIBUTE &&
+          !isOnLastAttributeLine
+        ) {
+          context.report({
+            node,
+            messageId: MESSAGE_ID.CLOSING_BRACKET_SAME_LINE,
+            data: { bracket: node.value },
+            fix(fixer) {
+              return fixer.replaceTextRange(
+                [last.range[1], node.range[0]],
+                node.value === "/>" ? " " : ""
+              );
+            },
+          });
+          return true;
+        }
+        return false;
+      }
+
+      /**
+       * @param {OpenTagEnd | OpenScriptTagEnd | OpenStyleTagEnd} node
+       */
+      function checkOpenTagEnd(node) {
+        if (!checkClosingBracket(node)) {
+          checkIndent(node);
+        }
+      }
+
       /**
        * @type {RuleListener}
        */
@@ -270,7 +467,17 @@ module.exports = {
           indentLevel.dedent(node);
         },
         OpenScriptTagStart: checkIndent,
-        OpenScriptTagEnd: checkIndent,
+        OpenScriptTagEnd: checkOpenTagEnd,
+        ScriptTagContent(node) {
+          const offset = indentLevelOptions.scriptContentIndent;
+          if (typeof offset !== "number") {
+            return;
+          }
+          const linesInLiterals = getLinesInLiterals(node);
+          if (linesInLiterals) {
+            checkContentIndent(node, offset, linesInLiterals);
+          }
+        },
         CloseScriptTag: checkIndent,
         StyleTag(node) {
           indentLevel.indent(node);
@@ -279,12 +486,17 @@ module.exports = {
           indentLevel.dedent(node);
         },
         OpenStyleTagStart: checkIndent,
-        OpenStyleTagEnd: checkIndent,
+        OpenStyleTagEnd: checkOpenTagEnd,
+        StyleTagContent(node) {
+          checkContentIndent(
+            node,
+            indentLevelOptions.styleContentIndent,
+            new Set()
+          );
+        },
         CloseStyleTag: checkIndent,
         OpenTagStart: checkIndent,
-        OpenTagEnd(node) {
-          checkIndent(node);
-        },
+        OpenTagEnd: checkOpenTagEnd,
         CloseTag: checkIndent,
         "Tag:exit"(node) {
           if (IGNORING_NODES.includes(node.name)) {
@@ -296,7 +508,9 @@ module.exports = {
         Attribute(node) {
           indentLevel.indent(node);
         },
-        AttributeKey: checkIndent,
+        AttributeKey(node) {
+          checkIndent(node, getAlignedAttributeIndent(node.parent));
+        },
         AttributeValue: checkIndent,
         "Attribute:exit"(node) {
           indentLevel.dedent(node);
@@ -389,6 +603,72 @@ function getIndentNodeToReport(node, actualIndent) {
   };
 }
 
+/**
+ * @param {string} indent
+ * @returns {string} e.g. `2 tab`, `4 space`, `1 tab, 2 space`
+ */
+function describeIndent(indent) {
+  const tabs = (indent.match(/\t/g) || []).length;
+  const spaces = (indent.match(/[^\S\t\n\r]/g) || []).length;
+  if (!tabs && !spaces) {
+    return "no indent";
+  }
+  /**
+   * @type {string[]}
+   */
+  const descriptions = [];
+  if (tabs) {
+    descriptions.push(`${tabs} tab`);
+  }
+  if (spaces) {
+    descriptions.push(`${spaces} space`);
+  }
+  return descriptions.join(", ");
+}
+
+/**
+ * Gets the lines of a script which start in string literals or template literals.
+ * The indentation of the lines is a part of the values, so it can't be changed.
+ * @param {ScriptTagContent} node
+ * @returns {Set<number> | null} `null` if the script can't be tokenized (e.g. it includes templates).
+ */
+function getLinesInLiterals(node) {
+  /**
+   * Offsets of the starts of the lines in the script, except the first line.
+   * @type {number[]}
+   */
+  const lineStarts = [];
+  const lineBreak = /\r\n|[\r\n\u2028\u2029]/g;
+  let match;
+  while ((match = lineBreak.exec(node.value))) {
+    lineStarts.push(match.index + match[0].length);
+  }
+  /**
+   * @type {Set<number>}
+   */
+  const lines = new Set();
+  try {
+    for (const token of tokenizer(node.value, {
+      ecmaVersion: "latest",
+      sourceType: "module",
+    })) {
+      if (token.type !== tokTypes.string && token.type !== tokTypes.template) {
+        continue;
+      }
+      lineStarts.forEach((lineStart, index) => {
+        // A line starting at the end of a template element (e.g. `${`) starts in the template element.
+        if (token.start < lineStart && lineStart <= token.end) {
+          lines.add(node.loc.start.line + index + 1);
+        }
+      });
+    }
+    // eslint-disable-next-line no-unused-vars
+  } catch (_) {
+    return null;
+  }
+  return lines;
+}
+
 /**
  * @param {string} str
  * @returns {number}
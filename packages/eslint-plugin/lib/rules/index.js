@@ -45,6 +45,14 @@ const noInvalidRole = require("./no-invalid-role");
 const noNestedInteractive = require("./no-nested-interactive");
 const maxElementDepth = require("./max-element-depth");
 const requireExplicitSize = require("./require-explicit-size");
+const noRestrictedElements = require("./no-restricted-elements");
+const noUnbalancedTemplateSyntax = require("./no-unbalanced-template-syntax");
+const ariaValidAttrs = require("./aria-valid-attrs");
+const ariaRoleRequiredProps = require("./aria-role-required-props");
+const ariaRoleSupportedProps = require("./aria-role-supported-props");
+const noRedundantRole = require("./no-redundant-role");
+const noDanglingIdrefs = require("./no-dangling-idrefs");
+const requireAccessibleName = require("./require-accessible-name");
 // import new rule here ↑
 // DO NOT REMOVE THIS COMMENT
 
@@ -96,6 +104,14 @@ module.exports = {
   "require-input-label": requireInputLabel,
   "max-element-depth": maxElementDepth,
   "require-explicit-size": requireExplicitSize,
+  "no-restricted-elements": noRestrictedElements,
+  "no-unbalanced-template-syntax": noUnbalancedTemplateSyntax,
+  "aria-valid-attrs": ariaValidAttrs,
+  "aria-role-required-props": ariaRoleRequiredProps,
+  "aria-role-supported-props": ariaRoleSupportedProps,
+  "no-redundant-role": noRedundantRole,
+  "no-dangling-idrefs": noDanglingIdrefs,
+  "require-accessible-name": requireAccessibleName,
   // export new rule here ↑
   // DO NOT REMOVE THIS COMMENT
 };
@@ -9,7 +9,9 @@ const { NODE_TYPES } = require("@html-eslint/parser");
 const { RULE_CATEGORY } = require("../constants");
 const SVG_CAMEL_CASE_ATTRIBUTES = require("../constants/svg-camel-case-attributes");
 const { createVisitors } = require("./utils/visitors");
-const { hasTemplate } = require("./utils/node");
+const { hasTemplate, isInSvgTemplate } = require("./utils/node");
+const { getSourceCode } = require("./utils/source-code");
+const { createTemplateFixer, allFixes } = require("./utils/fixer");
 
 const MESSAGE_IDS = {
   UNEXPECTED: "unexpected",
@@ -36,6 +38,7 @@ module.exports = {
   },
 
   create(context) {
+    const sourceCode = getSourceCode(context);
     const allowedAttrKeySet = new Set(SVG_CAMEL_CASE_ATTRIBUTES);
     /**
      * @type {Tag[]}
@@ -54,11 +57,15 @@ module.exports = {
     }
 
     /**
+     * @param {Tag | StyleTag | ScriptTag} node
      * @param {string} key
      * @returns {boolean}
      */
-    function isAllowedAttributeKey(key) {
-      return !!svgStack.length && allowedAttrKeySet.has(key);
+    function isAllowedAttributeKey(node, key) {
+      return (
+        allowedAttrKeySet.has(key) &&
+        (!!svgStack.length || isInSvgTemplate(node))
+      );
     }
 
     /**
@@ -84,23 +91,24 @@ module.exports = {
           },
           fix(fixer) {
             const name = nameOf(node);
+            const templateFixer = createTemplateFixer(fixer, sourceCode);
             const fixes = [
-              fixer.replaceTextRange(node.openStart.range, `<${name}`),
+              templateFixer.replaceTextRange(node.openStart.range, `<${name}`),
             ];
 
             if (node.close) {
               fixes.push(
-                fixer.replaceTextRange(node.close.range, `</${name}>`)
+                templateFixer.replaceTextRange(node.close.range, `</${name}>`)
               );
             }
 
-            return fixes;
+            return allFixes(fixes);
           },
         });
       }
       if (node.attributes && node.attributes.length) {
         node.attributes.forEach((attribute) => {
-          if (isAllowedAttributeKey(attribute.key.value)) {
+          if (isAllowedAttributeKey(node, attribute.key.value)) {
             return;
           }
           if (hasTemplate(attribute.key)) {
@@ -114,7 +122,7 @@ module.exports = {
                 name: attribute.key.value,
               },
               fix(fixer) {
-                return fixer.replaceText(
+                return createTemplateFixer(fixer, sourceCode).replaceText(
                   attribute.key,
                   attribute.key.value.toLowerCase()
                 );
@@ -5,7 +5,7 @@
  * @typedef { import("../types").ScriptTag } ScriptTag
  */
 
-const { RULE_CATEGORY } = require("../constants");
+const { RULE_CATEGORY, ARIA_ROLES } = require("../constants");
 const { findAttr } = require("./utils/node");
 const { createVisitors } = require("./utils/visitors");
 
@@ -13,20 +13,9 @@ const MESSAGE_IDS = {
   UNEXPECTED: "unexpected",
 };
 
-const ABSTRACT_ROLE_SET = new Set([
-  "command",
-  "composite",
-  "input",
-  "landmark",
-  "range",
-  "roletype",
-  "section",
-  "sectionhead",
-  "select",
-  "structure",
-  "widget",
-  "window",
-]);
+const ABSTRACT_ROLE_SET = new Set(
+  Object.keys(ARIA_ROLES).filter((role) => ARIA_ROLES[role].abstract)
+);
 
 /**
  * @type {RuleModule}
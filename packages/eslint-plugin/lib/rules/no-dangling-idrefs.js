@@ -0,0 +1,159 @@
+/**
+ * @typedef { import("../types").RuleModule } RuleModule
+ * @typedef { import("../types").Tag } Tag
+ * @typedef { import("../types").StyleTag } StyleTag
+ * @typedef { import("../types").ScriptTag } ScriptTag
+ * @typedef { import("../types").Attribute } Attribute
+ * @typedef { import("../types").AttributeValue } AttributeValue
+ *
+ * @typedef {Object} IdReference
+ * @property {Attribute} attr
+ * @property {string} name
+ * @property {string[]} ids
+ */
+
+const { RULE_CATEGORY, ARIA_ATTRIBUTES } = require("../constants");
+const { findAttr, hasTemplate } = require("./utils/node");
+const { createVisitors } = require("./utils/visitors");
+
+const MESSAGE_IDS = {
+  DANGLING: "dangling",
+};
+
+/**
+ * Attributes referring to an id. `for` of `<output>` refers to space-separated ids.
+ */
+const IDREF_ATTRS = new Set([
+  "for",
+  "form",
+  "list",
+  "popovertarget",
+  ...Object.keys(ARIA_ATTRIBUTES).filter(
+    (name) => ARIA_ATTRIBUTES[name].type === "id"
+  ),
+]);
+
+/**
+ * Attributes referring to space-separated ids.
+ */
+const IDREFS_ATTRS = new Set([
+  "headers",
+  ...Object.keys(ARIA_ATTRIBUTES).filter(
+    (name) => ARIA_ATTRIBUTES[name].type === "idlist"
+  ),
+]);
+
+/**
+ * @type {RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: "code",
+
+    docs: {
+      description: "Disallow references to ids which don't exist",
+      category: RULE_CATEGORY.ACCESSIBILITY,
+      recommended: false,
+    },
+
+    fixable: null,
+    schema: [],
+    messages: {
+      [MESSAGE_IDS.DANGLING]:
+        "The id '{{id}}' referenced by '{{attr}}' does not exist.",
+    },
+  },
+
+  create(context) {
+    /**
+     * ids in the current document. Each template literal is checked as a separate document.
+     * @type {Set<string>}
+     */
+    let ids = new Set();
+    /**
+     * `true` if an id in the current document includes templates, which can be any id,
+     * or the content includes templates (e.g. `${html`<input id="a">`}`), which can add elements with ids.
+     */
+    let hasDynamicId = false;
+    /**
+     * @type {IdReference[]}
+     */
+    let references = [];
+
+    /**
+     * @param {Tag | ScriptTag | StyleTag} node
+     */
+    function collectId(node) {
+      const idAttr = findAttr(node, "id");
+      if (!idAttr || !idAttr.value) {
+        return;
+      }
+      if (hasTemplate(idAttr.value)) {
+        hasDynamicId = true;
+      } else {
+        ids.add(idAttr.value.value);
+      }
+    }
+
+    /**
+     * @param {Tag} node
+     * @param {string} name
+     * @returns {boolean}
+     */
+    function isIdListAttr(node, name) {
+      return (
+        IDREFS_ATTRS.has(name) ||
+        (name === "for" && node.name.toLowerCase() === "output")
+      );
+    }
+
+    return createVisitors(context, {
+      Document() {
+        ids = new Set();
+        hasDynamicId = false;
+        references = [];
+      },
+      Tag(node) {
+        collectId(node);
+        node.attributes.forEach((attr) => {
+          if (!attr.value || hasTemplate(attr.key) || hasTemplate(attr.value)) {
+            return;
+          }
+          const name = attr.key.value.toLowerCase();
+          if (isIdListAttr(node, name)) {
+            references.push({
+              attr,
+              name,
+              ids: attr.value.value.split(/\s+/),
+            });
+          } else if (IDREF_ATTRS.has(name)) {
+            references.push({ attr, name, ids: [attr.value.value.trim()] });
+          }
+        });
+      },
+      Text(node) {
+        if (hasTemplate(node)) {
+          hasDynamicId = true;
+        }
+      },
+      ScriptTag: collectId,
+      StyleTag: collectId,
+      "Document:exit"() {
+        if (hasDynamicId) {
+          return;
+        }
+        references.forEach((reference) => {
+          reference.ids
+            .filter((id) => id && !ids.has(id))
+            .forEach((id) => {
+              context.report({
+                node: /** @type {AttributeValue} */ (reference.attr.value),
+                messageId: MESSAGE_IDS.DANGLING,
+                data: { id, attr: reference.name },
+              });
+            });
+        });
+      },
+    });
+  },
+};
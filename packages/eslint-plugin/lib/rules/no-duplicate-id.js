@@ -4,21 +4,49 @@
  * @typedef { import("../types").StyleTag } StyleTag
  * @typedef { import("../types").ScriptTag } ScriptTag
  * @typedef { import("../types").AttributeValue } AttributeValue
+ * @typedef { import("estree").AssignmentExpression } AssignmentExpression
+ * @typedef { import("estree").CallExpression } CallExpression
+ * @typedef { import("estree").Node & { parent?: JSNode | null } } JSNode
+ * @typedef { (visitor: (node: Tag) => void) => void } ParseTemplate
  */
 
-const { parse } = require("@html-eslint/template-parser");
+const { parse, parseString } = require("@html-eslint/template-parser");
 const { RULE_CATEGORY } = require("../constants");
 const { findAttr } = require("./utils/node");
 const {
   shouldCheckTaggedTemplateExpression,
   shouldCheckTemplateLiteral,
+  getHTMLStringOfSink,
 } = require("./utils/settings");
 const { getSourceCode } = require("./utils/source-code");
+const {
+  getTemplateBlocks,
+  isInExclusiveBranches,
+} = require("./utils/template-blocks");
 
 const MESSAGE_IDS = {
   DUPLICATE_ID: "duplicateId",
 };
 
+const SCOPES = {
+  TEMPLATE: "template",
+  FUNCTION: "function",
+  CLASS: "class",
+  FILE: "file",
+};
+
+/**
+ * @type {Record<string, string[]>}
+ */
+const SCOPE_NODE_TYPES = {
+  [SCOPES.FUNCTION]: [
+    "FunctionDeclaration",
+    "FunctionExpression",
+    "ArrowFunctionExpression",
+  ],
+  [SCOPES.CLASS]: ["ClassDeclaration", "ClassExpression"],
+};
+
 /**
  * @type {RuleModule}
  */
@@ -33,14 +61,32 @@ module.exports = {
     },
 
     fixable: null,
-    schema: [],
+    schema: [
+      {
+        type: "object",
+        properties: {
+          scope: {
+            enum: Object.values(SCOPES),
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
     messages: {
       [MESSAGE_IDS.DUPLICATE_ID]: "The id '{{id}}' is duplicated.",
     },
   },
 
   create(context) {
+    const scope =
+      (context.options && context.options[0] && context.options[0].scope) ||
+      SCOPES.TEMPLATE;
     const htmlIdAttrsMap = new Map();
+    /**
+     * ids of templates in each scope (e.g. a class), which are reported at the end of the file.
+     * @type {Map<JSNode, Map<string, AttributeValue[]>>}
+     */
+    const scopeIdAttrsMaps = new Map();
     /**
      * @param {Map<string, AttributeValue[]>} map
      */
@@ -72,7 +118,18 @@ module.exports = {
     function report(map) {
       map.forEach((attrs) => {
         if (Array.isArray(attrs) && attrs.length > 1) {
+          const blocks = getTemplateBlocks(attrs[0]);
           attrs.forEach((attr) => {
+            // ids in alternative branches (e.g. `{{#if}}` and `{{else}}`) are never rendered together.
+            if (
+              attrs.every(
+                (other) =>
+                  other === attr ||
+                  isInExclusiveBranches(blocks, attr.range[0], other.range[0])
+              )
+            ) {
+              return;
+            }
             context.report({
               node: attr,
               data: { id: attr.value },
@@ -83,28 +140,82 @@ module.exports = {
       });
     }
 
+    /**
+     * Returns the enclosing function or class of the template, or the program if the scope is the file.
+     * @param {JSNode} node
+     * @returns {JSNode}
+     */
+    function getScopeNode(node) {
+      const types = SCOPE_NODE_TYPES[scope] || [];
+      /**
+       * @type {JSNode | null | undefined}
+       */
+      let current = node.parent;
+      while (current) {
+        if (types.includes(current.type)) {
+          return current;
+        }
+        current = current.parent;
+      }
+      // Templates outside of functions and classes are in the scope of the file.
+      return getSourceCode(context).ast;
+    }
+
+    /**
+     * @param {JSNode} node
+     * @param {ParseTemplate} parseTemplate
+     */
+    function checkTemplate(node, parseTemplate) {
+      if (scope === SCOPES.TEMPLATE) {
+        const idAttrsMap = new Map();
+        parseTemplate(createTagVisitor(idAttrsMap));
+        report(idAttrsMap);
+        return;
+      }
+      const scopeNode = getScopeNode(node);
+      let idAttrsMap = scopeIdAttrsMaps.get(scopeNode);
+      if (!idAttrsMap) {
+        idAttrsMap = new Map();
+        scopeIdAttrsMaps.set(scopeNode, idAttrsMap);
+      }
+      parseTemplate(createTagVisitor(idAttrsMap));
+    }
+
+    /**
+     * @param {AssignmentExpression | CallExpression} node
+     */
+    function checkHTMLSink(node) {
+      const html = getHTMLStringOfSink(node, context);
+      if (html) {
+        checkTemplate(node, (visitor) =>
+          parseString(html, getSourceCode(context), { Tag: visitor })
+        );
+      }
+    }
+
     return {
       Tag: createTagVisitor(htmlIdAttrsMap),
+      AssignmentExpression: checkHTMLSink,
+      CallExpression: checkHTMLSink,
       "Document:exit"() {
         report(htmlIdAttrsMap);
       },
+      "Program:exit"() {
+        scopeIdAttrsMaps.forEach((idAttrsMap) => report(idAttrsMap));
+      },
       TaggedTemplateExpression(node) {
-        const idAttrsMap = new Map();
         if (shouldCheckTaggedTemplateExpression(node, context)) {
-          parse(node.quasi, getSourceCode(context), {
-            Tag: createTagVisitor(idAttrsMap),
-          });
+          checkTemplate(node, (visitor) =>
+            parse(node.quasi, getSourceCode(context), { Tag: visitor })
+          );
         }
-        report(idAttrsMap);
       },
       TemplateLiteral(node) {
-        const idAttrsMap = new Map();
         if (shouldCheckTemplateLiteral(node, context)) {
-          parse(node, getSourceCode(context), {
-            Tag: createTagVisitor(idAttrsMap),
-          });
+          checkTemplate(node, (visitor) =>
+            parse(node, getSourceCode(context), { Tag: visitor })
+          );
         }
-        report(idAttrsMap);
       },
     };
   },
@@ -4,6 +4,11 @@
  */
 
 const { RULE_CATEGORY } = require("../constants");
+const { createVisitors } = require("./utils/visitors");
+const {
+  getTemplateBlocks,
+  isInExclusiveBranches,
+} = require("./utils/template-blocks");
 
 const MESSAGE_IDS = {
   MULTIPLE_H1: "unexpectedMultiH1",
@@ -31,11 +36,15 @@ module.exports = {
 
   create(context) {
     /**
+     * `<h1>`s in the current document. Each template literal is checked as a separate document.
      * @type {Tag[]}
      */
-    const h1s = [];
+    let h1s = [];
 
-    return {
+    return createVisitors(context, {
+      Document() {
+        h1s = [];
+      },
       Tag(node) {
         if (node.name === "h1") {
           h1s.push(node);
@@ -43,7 +52,18 @@ module.exports = {
       },
       "Document:exit"() {
         if (h1s.length > 1) {
+          const blocks = getTemplateBlocks(h1s[0]);
           h1s.forEach((h1) => {
+            // `<h1>`s in alternative branches (e.g. `{{#if}}` and `{{else}}`) are never rendered together.
+            if (
+              h1s.every(
+                (other) =>
+                  other === h1 ||
+                  isInExclusiveBranches(blocks, h1.range[0], other.range[0])
+              )
+            ) {
+              return;
+            }
             context.report({
               node: h1,
               messageId: MESSAGE_IDS.MULTIPLE_H1,
@@ -51,6 +71,6 @@ module.exports = {
           });
         }
       },
-    };
+    });
   },
 };
@@ -0,0 +1,72 @@
+/**
+ * @typedef { import("../types").RuleModule } RuleModule
+ * @typedef { import("../types").Tag } Tag
+ * @typedef { import("eslint").AST.Range } Range
+ */
+
+const { RULE_CATEGORY } = require("../constants");
+const { findAttr } = require("./utils/node");
+const { getExplicitRole, getImplicitRole } = require("./utils/aria");
+const { createVisitors } = require("./utils/visitors");
+
+const MESSAGE_IDS = {
+  REDUNDANT: "redundant",
+};
+
+/**
+ * `none` is a synonym of `presentation`.
+ * @param {string | null} role
+ * @returns {string | null}
+ */
+function normalizeRole(role) {
+  return role === "none" ? "presentation" : role;
+}
+
+/**
+ * @type {RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: "code",
+
+    docs: {
+      description: "Disallow roles which are the same as the implicit roles",
+      category: RULE_CATEGORY.ACCESSIBILITY,
+      recommended: false,
+    },
+
+    fixable: "code",
+    schema: [],
+    messages: {
+      [MESSAGE_IDS.REDUNDANT]:
+        "Redundant role '{{role}}'. <{{element}}> has the role implicitly.",
+    },
+  },
+
+  create(context) {
+    return createVisitors(context, {
+      Tag(node) {
+        const roleAttr = findAttr(node, "role");
+        const role = getExplicitRole(node);
+        if (
+          !roleAttr ||
+          !role ||
+          normalizeRole(role) !== normalizeRole(getImplicitRole(node))
+        ) {
+          return;
+        }
+        const index = node.attributes.indexOf(roleAttr);
+        const previous =
+          index > 0 ? node.attributes[index - 1] : node.openStart;
+        context.report({
+          node: roleAttr,
+          messageId: MESSAGE_IDS.REDUNDANT,
+          data: { role, element: node.name },
+          fix(fixer) {
+            return fixer.removeRange([previous.range[1], roleAttr.range[1]]);
+          },
+        });
+      },
+    });
+  },
+};
@@ -0,0 +1,94 @@
+/**
+ * @typedef { import("../types").RuleModule } RuleModule
+ * @typedef { import("../types").StyleTag } StyleTag
+ * @typedef { import("../types").Tag } Tag
+ * @typedef { import("../types").ScriptTag } ScriptTag
+ * @typedef {{selector: string, message?: string}[]} Options
+ */
+
+const { RULE_CATEGORY } = require("../constants");
+const { createVisitors } = require("./utils/visitors");
+const { parseSelector } = require("./utils/selector");
+
+const MESSAGE_IDS = {
+  RESTRICTED: "restricted",
+};
+
+/**
+ * @type {RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: "code",
+
+    docs: {
+      description: "Disallow elements matching specified CSS selectors",
+      category: RULE_CATEGORY.BEST_PRACTICE,
+      recommended: false,
+    },
+
+    fixable: null,
+    schema: {
+      type: "array",
+
+      items: {
+        type: "object",
+        required: ["selector"],
+        properties: {
+          selector: {
+            type: "string",
+          },
+          message: {
+            type: "string",
+          },
+        },
+        additionalProperties: false,
+      },
+    },
+    messages: {
+      [MESSAGE_IDS.RESTRICTED]: "'{{selector}}' is restricted from being used.",
+    },
+  },
+
+  create(context) {
+    /**
+     * @type {Options}
+     */
+    const options = context.options;
+    const restrictions = options.map((option) => ({
+      selector: option.selector,
+      message: option.message,
+      matches: parseSelector(option.selector),
+    }));
+
+    /**
+     * @param {Tag | StyleTag | ScriptTag} node
+     */
+    function check(node) {
+      restrictions.forEach(({ selector, message, matches }) => {
+        if (!matches(node)) {
+          return;
+        }
+        if (message) {
+          context.report({
+            node,
+            message,
+            data: { selector },
+          });
+        } else {
+          context.report({
+            node,
+            messageId: MESSAGE_IDS.RESTRICTED,
+            data: { selector },
+          });
+        }
+      });
+    }
+
+    return createVisitors(context, {
+      Tag: check,
+      StyleTag: check,
+      ScriptTag: check,
+    });
+  },
+};
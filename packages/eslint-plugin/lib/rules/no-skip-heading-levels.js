@@ -4,6 +4,7 @@
  */
 
 const { RULE_CATEGORY } = require("../constants");
+const { createVisitors } = require("./utils/visitors");
 
 const MESSAGE_IDS = {
   UNEXPECTED: "unexpected",
@@ -32,11 +33,15 @@ module.exports = {
 
   create(context) {
     /**
+     * Headings in the current document. Each template literal is checked as a separate document.
      * @type {{node: Tag; level: number}[]}
      */
-    const headings = [];
+    let headings = [];
 
-    return {
+    return createVisitors(context, {
+      Document() {
+        headings = [];
+      },
       Tag(node) {
         if (!["h1", "h2", "h3", "h5", "h6"].includes(node.name)) {
           return;
@@ -64,6 +69,6 @@ module.exports = {
           }
         });
       },
-    };
+    });
   },
 };
@@ -40,26 +40,19 @@ module.exports = {
       return /^(?:\w+:|\/\/)/.test(link);
     }
     return createVisitors(context, {
-      Tag(node) {
-        if (node.name !== "a") {
-          return;
-        }
-
-        const target = findAttr(node, "target");
-        if (target && target.value && target.value.value === "_blank") {
-          const href = findAttr(node, "href");
-          if (href && href.value && isExternalLink(href.value.value)) {
-            const rel = findAttr(node, "rel");
-            if (rel && rel.value && rel.value.templates.length) {
-              return;
-            }
+      "a[target=_blank]"(node) {
+        const href = findAttr(node, "href");
+        if (href && href.value && isExternalLink(href.value.value)) {
+          const rel = findAttr(node, "rel");
+          if (rel && rel.value && rel.value.templates.length) {
+            return;
+          }
 
-            if (!rel || !rel.value || !rel.value.value.includes("noreferrer")) {
-              context.report({
-                node: target,
-                messageId: MESSAGE_IDS.MISSING,
-              });
-            }
+          if (!rel || !rel.value || !rel.value.value.includes("noreferrer")) {
+            context.report({
+              node: findAttr(node, "target"),
+              messageId: MESSAGE_IDS.MISSING,
+            });
           }
         }
       },
@@ -51,7 +51,6 @@ module.exports = {
       let rangeIndex = rangeOffset;
       const lineBreaks = source.match(/\r\n|[\r\n\u2028\u2029]/gu);
       lines.forEach((line, index) => {
-        const lineNumber = index + 1;
         const match = line.match(/[ \t\u00a0\u2000-\u200b\u3000]+$/);
         const lineBreakLength =
           lineBreaks && lineBreaks[index] ? lineBreaks[index].length : 1;
@@ -59,18 +58,8 @@ module.exports = {
 
         if (match) {
           if (typeof match.index === "number" && match.index > 0) {
-            const loc = {
-              start: {
-                line: lineNumber,
-                column: match.index,
-              },
-              end: {
-                line: lineNumber,
-                column: lineLength - lineBreakLength,
-              },
-            };
-            const start = sourceCode.getIndexFromLoc(loc.start);
-            const end = sourceCode.getIndexFromLoc(loc.end);
+            const start = rangeIndex + match.index;
+            const end = rangeIndex + line.length;
             if (
               tokens.some((token) => isRangesOverlap(token.range, [start, end]))
             ) {
@@ -78,12 +67,12 @@ module.exports = {
             }
             context.report({
               messageId: MESSAGE_IDS.TRAILING_SPACE,
-              loc,
+              loc: {
+                start: sourceCode.getLocFromIndex(start),
+                end: sourceCode.getLocFromIndex(end),
+              },
               fix(fixer) {
-                return fixer.removeRange([
-                  rangeIndex + loc.start.column,
-                  rangeIndex + loc.end.column,
-                ]);
+                return fixer.removeRange([start, end]);
               },
             });
           }
@@ -0,0 +1,105 @@
+/**
+ * @typedef { import("../types").RuleModule } RuleModule
+ * @typedef { import("../types").UnbalancedTemplateSyntax } UnbalancedTemplateSyntax
+ * @typedef { import("eslint").AST.Range } Range
+ */
+
+const { RULE_CATEGORY } = require("../constants");
+const { getSourceCode } = require("./utils/source-code");
+
+const MESSAGE_IDS = {
+  UNCLOSED: "unclosed",
+  MISMATCHED: "mismatched",
+  UNEXPECTED: "unexpected",
+};
+
+/**
+ * @type {RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: "problem",
+
+    docs: {
+      description: "Disallow unbalanced template engine delimiters",
+      category: RULE_CATEGORY.BEST_PRACTICE,
+      recommended: false,
+    },
+
+    fixable: null,
+    schema: [],
+    messages: {
+      [MESSAGE_IDS.UNCLOSED]: 'Unclosed "{{open}}". Expected "{{close}}".',
+      [MESSAGE_IDS.MISMATCHED]:
+        'Expected "{{expected}}", but found "{{found}}".',
+      [MESSAGE_IDS.UNEXPECTED]:
+        'Unexpected "{{found}}" without an open delimiter.',
+    },
+  },
+
+  create(context) {
+    const sourceCode = getSourceCode(context);
+    /**
+     * @type {UnbalancedTemplateSyntax[]}
+     */
+    let unbalanced = [];
+    /**
+     * Contents of `<script>` and `<style>`, where close delimiters (e.g. `}}`) may be a part of the code.
+     * @type {Range[]}
+     */
+    const codeRanges = [];
+
+    /**
+     * @param {UnbalancedTemplateSyntax} syntax
+     * @returns {boolean}
+     */
+    function isInCode(syntax) {
+      return codeRanges.some(
+        (range) => range[0] <= syntax.range[0] && syntax.range[1] <= range[1]
+      );
+    }
+
+    return {
+      Document(node) {
+        unbalanced = node.unbalancedTemplateSyntax || [];
+      },
+      ScriptTag(node) {
+        if (node.value) {
+          codeRanges.push(node.value.range);
+        }
+      },
+      StyleTag(node) {
+        if (node.value) {
+          codeRanges.push(node.value.range);
+        }
+      },
+      "Document:exit"() {
+        unbalanced.forEach((syntax) => {
+          const loc = {
+            start: sourceCode.getLocFromIndex(syntax.range[0]),
+            end: sourceCode.getLocFromIndex(syntax.range[1]),
+          };
+          if (syntax.type === "unclosed") {
+            context.report({
+              loc,
+              messageId: MESSAGE_IDS.UNCLOSED,
+              data: { open: syntax.value, close: syntax.expected || "" },
+            });
+          } else if (syntax.expected) {
+            context.report({
+              loc,
+              messageId: MESSAGE_IDS.MISMATCHED,
+              data: { expected: syntax.expected, found: syntax.value },
+            });
+          } else if (!isInCode(syntax)) {
+            context.report({
+              loc,
+              messageId: MESSAGE_IDS.UNEXPECTED,
+              data: { found: syntax.value },
+            });
+          }
+        });
+      },
+    };
+  },
+};
@@ -1,5 +1,4 @@
 /**
- * @typedef { import("eslint").AST.Range } Range
  * @typedef { import("../types").RuleModule } RuleModule
  * @typedef { import("../types").Attribute } Attribute
  * @typedef { import("../types").Tag } Tag
@@ -10,6 +9,7 @@
 const { RULE_CATEGORY } = require("../constants");
 const { getSourceCode } = require("./utils/source-code");
 const { createVisitors } = require("./utils/visitors");
+const { createTemplateFixer } = require("./utils/fixer");
 
 const MESSAGE_IDS = {
   UNEXPECTED: "unexpected",
@@ -59,14 +59,6 @@ module.exports = {
 
     const sourceCode = getSourceCode(context);
 
-    /**
-     * @param {Range} range
-     * @returns {string}
-     */
-    function getCodeIn(range) {
-      return sourceCode.text.slice(range[0], range[1]);
-    }
-
     /**
      *
      * @param {Attribute} attr
@@ -107,7 +99,7 @@ module.exports = {
                   attr.value === undefined
                 )
                   return null;
-                return fixer.replaceTextRange(
+                return createTemplateFixer(fixer, sourceCode).replaceTextRange(
                   [attr.startWrapper.range[0], attr.endWrapper.range[1]],
                   `${expectedQuote}${attr.value.value}${expectedQuote}`
                 );
@@ -124,10 +116,9 @@ module.exports = {
           },
           fix(fixer) {
             if (attr.value === undefined) return null;
-            const originCode = getCodeIn(attr.value.range);
-            return fixer.replaceTextRange(
-              attr.value.range,
-              `${expectedQuote}${originCode}${expectedQuote}`
+            return createTemplateFixer(fixer, sourceCode).replaceText(
+              attr.value,
+              `${expectedQuote}${attr.value.value}${expectedQuote}`
             );
           },
         });
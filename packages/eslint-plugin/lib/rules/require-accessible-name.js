@@ -0,0 +1,170 @@
+/**
+ * @typedef { import("../types").RuleModule } RuleModule
+ * @typedef { import("../types").Tag } Tag
+ *
+ * @typedef {"button" | "link" | "formControl" | "img" | "iframe" | "widget"} Category
+ * @typedef {Partial<Record<Category, boolean>>} Option
+ */
+
+const { RULE_CATEGORY, ARIA_ROLES } = require("../constants");
+const { findAttr, hasTemplate } = require("./utils/node");
+const {
+  getRole,
+  getExplicitRole,
+  getImplicitRole,
+  isHidden,
+} = require("./utils/aria");
+const { createAccessibleNameContext } = require("./utils/accname");
+const { createVisitors } = require("./utils/visitors");
+
+const MESSAGE_IDS = {
+  MISSING: "missing",
+};
+
+const FORM_CONTROL_ROLES = [
+  "checkbox",
+  "combobox",
+  "listbox",
+  "radio",
+  "searchbox",
+  "slider",
+  "spinbutton",
+  "switch",
+  "textbox",
+];
+
+const FORM_CONTROL_ELEMENTS = ["input", "select", "textarea"];
+
+/**
+ * @param {Tag} node
+ * @returns {Category | null}
+ */
+function getCategory(node) {
+  const name = node.name.toLowerCase();
+  const role = getRole(node);
+  if (role === "presentation" || role === "none") {
+    return null;
+  }
+  if (role === "button") {
+    return "button";
+  }
+  if (role === "link") {
+    return "link";
+  }
+  if (
+    (role && FORM_CONTROL_ROLES.includes(role)) ||
+    // Some `<input>`s (e.g. `type="password"`) have no corresponding role.
+    (!role && FORM_CONTROL_ELEMENTS.includes(name) && !isHiddenInput(node))
+  ) {
+    return "formControl";
+  }
+  if (name === "iframe") {
+    return "iframe";
+  }
+  const explicitRole = getExplicitRole(node);
+  if (explicitRole === "img") {
+    return "img";
+  }
+  if (
+    explicitRole &&
+    explicitRole !== getImplicitRole(node) &&
+    ARIA_ROLES[explicitRole].nameRequired
+  ) {
+    return "widget";
+  }
+  return null;
+}
+
+/**
+ * @param {Tag} node
+ * @returns {boolean}
+ */
+function isHiddenInput(node) {
+  const type = findAttr(node, "type");
+  return (
+    node.name.toLowerCase() === "input" &&
+    !!type &&
+    !!type.value &&
+    type.value.value.trim().toLowerCase() === "hidden"
+  );
+}
+
+/**
+ * @type {RuleModule}
+ */
+module.exports = {
+  meta: {
+    type: "code",
+
+    docs: {
+      description:
+        "Require accessible names of buttons, links, form controls, images, iframes and widgets",
+      category: RULE_CATEGORY.ACCESSIBILITY,
+      recommended: false,
+    },
+
+    fixable: null,
+    schema: [
+      {
+        type: "object",
+        properties: {
+          button: { type: "boolean" },
+          link: { type: "boolean" },
+          formControl: { type: "boolean" },
+          img: { type: "boolean" },
+          iframe: { type: "boolean" },
+          widget: { type: "boolean" },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      [MESSAGE_IDS.MISSING]: "<{{element}}> requires an accessible name.",
+    },
+  },
+
+  create(context) {
+    /**
+     * @type {Option}
+     */
+    const option = (context.options && context.options[0]) || {};
+    let nameContext = createAccessibleNameContext();
+    /**
+     * Elements to check in the current document. Each template literal is checked as a separate document.
+     * @type {Tag[]}
+     */
+    let targets = [];
+
+    return createVisitors(context, {
+      Document() {
+        nameContext = createAccessibleNameContext();
+        targets = [];
+      },
+      Tag(node) {
+        nameContext.collect(node);
+        const roleAttr = findAttr(node, "role");
+        if (roleAttr && roleAttr.value && hasTemplate(roleAttr.value)) {
+          return;
+        }
+        const category = getCategory(node);
+        if (category && option[category] !== false && !isHidden(node)) {
+          targets.push(node);
+        }
+      },
+      Text(node) {
+        nameContext.collect(node);
+      },
+      "Document:exit"() {
+        targets.forEach((node) => {
+          if (nameContext.getAccessibleName(node) === "") {
+            context.report({
+              node: node.openStart,
+              messageId: MESSAGE_IDS.MISSING,
+              data: { element: node.name },
+            });
+          }
+        });
+      },
+    });
+  },
+};
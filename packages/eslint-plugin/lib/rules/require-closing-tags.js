@@ -5,6 +5,13 @@
 
 const { RULE_CATEGORY, VOID_ELEMENTS } = require("../constants");
 const { createVisitors } = require("./utils/visitors");
+const { isInSvgTemplate, isTag } = require("./utils/node");
+const { getSourceCode } = require("./utils/source-code");
+const { createTemplateFixer, allFixes } = require("./utils/fixer");
+const {
+  getTemplateBlocks,
+  isInExclusiveBranches,
+} = require("./utils/template-blocks");
 
 const VOID_ELEMENTS_SET = new Set(VOID_ELEMENTS);
 
@@ -53,6 +60,7 @@ module.exports = {
   },
 
   create(context) {
+    const sourceCode = getSourceCode(context);
     /** @type {string[]} */
     const foreignContext = [];
     const shouldSelfCloseVoid =
@@ -69,11 +77,39 @@ module.exports = {
       (i) => new RegExp(i)
     );
 
+    /**
+     * Checks whether a tag is closed by the close tag of an alternative tag in another branch.
+     * e.g. `{{#if a}}<div class="a">{{else}}<div class="b">{{/if}}</div>`
+     * Since the tag is not closed, the alternative tag is parsed as its descendant.
+     * @param {Tag} node
+     * @returns {boolean}
+     */
+    function hasAlternativeTag(node) {
+      const blocks = getTemplateBlocks(node);
+      if (!blocks.length) {
+        return false;
+      }
+      /**
+       * @param {Tag} parent
+       * @returns {boolean}
+       */
+      function find(parent) {
+        return parent.children.some(
+          (child) =>
+            isTag(child) &&
+            ((child.name === node.name &&
+              isInExclusiveBranches(blocks, node.range[0], child.range[0])) ||
+              find(child))
+        );
+      }
+      return find(node);
+    }
+
     /**
      * @param {Tag} node
      */
     function checkClosingTag(node) {
-      if (!node.close) {
+      if (!node.close && !hasAlternativeTag(node)) {
         context.report({
           node: node,
           data: {
@@ -102,10 +138,11 @@ module.exports = {
             if (!fixable) {
               return null;
             }
+            const templateFixer = createTemplateFixer(fixer, sourceCode);
             const fixes = [];
-            fixes.push(fixer.replaceText(node.openEnd, " />"));
-            if (node.close) fixes.push(fixer.remove(node.close));
-            return fixes;
+            fixes.push(templateFixer.replaceText(node.openEnd, " />"));
+            if (node.close) fixes.push(templateFixer.remove(node.close));
+            return allFixes(fixes);
           },
         });
       }
@@ -120,7 +157,10 @@ module.exports = {
             if (!fixable) {
               return null;
             }
-            return fixer.replaceText(node.openEnd, ">");
+            return createTemplateFixer(fixer, sourceCode).replaceText(
+              node.openEnd,
+              ">"
+            );
           },
         });
       }
@@ -132,7 +172,7 @@ module.exports = {
         const isSelfClosingCustomElement = !!selfClosingCustomPatterns.some(
           (i) => node.name.match(i)
         );
-        const isForeign = foreignContext.length > 0;
+        const isForeign = foreignContext.length > 0 || isInSvgTemplate(node);
         const shouldSelfCloseCustom =
           isSelfClosingCustomElement && !node.children.length;
         const shouldSelfCloseForeign = node.selfClosing;
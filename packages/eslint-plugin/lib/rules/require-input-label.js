@@ -1,19 +1,38 @@
 /**
  * @typedef { import("../types").RuleModule } RuleModule
  * @typedef { import("../types").Tag } Tag
+ *
+ * @typedef {Object} Option
+ * @property {string[]} [labelComponents] Names of elements which work like `<label>` (e.g. `form-label`).
  */
 
 const { RULE_CATEGORY } = require("../constants");
 const { createVisitors } = require("./utils/visitors");
-const { findParent, isTag } = require("./utils/node");
+const { findAttr } = require("./utils/node");
+const { isHidden } = require("./utils/aria");
+const { createAccessibleNameContext } = require("./utils/accname");
 
 const MESSAGE_IDS = {
   MISSING: "missingLabel",
+  MISSING_VALUE: "missingValue",
+  MISSING_ALT: "missingAlt",
 };
 
 const INPUT_TAGS = new Set(["input", "textarea", "select"]);
 
-const LABEL_ATTRIBUTES = new Set(["id", "aria-labelledby", "aria-label"]);
+/**
+ * @param {Tag} node
+ * @returns {string | null} The `type` of `<input>`, or `null` for other elements.
+ */
+function getInputType(node) {
+  if (node.name.toLowerCase() !== "input") {
+    return null;
+  }
+  const typeAttr = findAttr(node, "type");
+  return typeAttr && typeAttr.value
+    ? typeAttr.value.value.trim().toLowerCase()
+    : "text";
+}
 
 /**
  * @type {RuleModule}
@@ -29,47 +48,68 @@ module.exports = {
       recommended: false,
     },
     fixable: null,
-    schema: [],
+    schema: [
+      {
+        type: "object",
+        properties: {
+          labelComponents: {
+            type: "array",
+            items: { type: "string" },
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
     messages: {
       [MESSAGE_IDS.MISSING]: "Missing an associated label",
+      [MESSAGE_IDS.MISSING_VALUE]: "Missing a `value` for the button",
+      [MESSAGE_IDS.MISSING_ALT]: "Missing an `alt` for the image button",
     },
   },
   create(context) {
+    /**
+     * @type {Option}
+     */
+    const option = (context.options && context.options[0]) || {};
+    const nameContextOptions = { labelComponents: option.labelComponents };
+    let nameContext = createAccessibleNameContext(nameContextOptions);
+    /**
+     * Form controls in the current document. Each template literal is checked as a separate document.
+     * @type {Tag[]}
+     */
+    let controls = [];
+
     return createVisitors(context, {
+      Document() {
+        nameContext = createAccessibleNameContext(nameContextOptions);
+        controls = [];
+      },
       Tag(node) {
-        if (!INPUT_TAGS.has(node.name.toLowerCase())) {
-          return;
+        nameContext.collect(node);
+        if (
+          INPUT_TAGS.has(node.name.toLowerCase()) &&
+          getInputType(node) !== "hidden" &&
+          !isHidden(node)
+        ) {
+          controls.push(node);
         }
-
-        for (const attr of node.attributes) {
-          if (
-            LABEL_ATTRIBUTES.has(attr.key.value.toLowerCase()) &&
-            attr.value &&
-            attr.value.value
-          ) {
+      },
+      Text(node) {
+        nameContext.collect(node);
+      },
+      "Document:exit"() {
+        controls.forEach((node) => {
+          if (nameContext.getAccessibleName(node) !== "") {
             return;
           }
-
-          if (
-            attr.key.value.toLowerCase() === "type" &&
-            attr.value &&
-            attr.value.value === "hidden"
-          ) {
-            return;
+          const type = getInputType(node);
+          let messageId = MESSAGE_IDS.MISSING;
+          if (type === "button") {
+            messageId = MESSAGE_IDS.MISSING_VALUE;
+          } else if (type === "image") {
+            messageId = MESSAGE_IDS.MISSING_ALT;
           }
-        }
-
-        const label = findParent(node, (parent) => {
-          return isTag(parent) && parent.name.toLowerCase() === "label";
-        });
-
-        if (label) {
-          return;
-        }
-
-        context.report({
-          node,
-          messageId: "missingLabel",
+          context.report({ node, messageId });
         });
       },
     });
@@ -4,6 +4,7 @@
 
 const { NODE_TYPES } = require("@html-eslint/parser");
 const { RULE_CATEGORY } = require("../constants");
+const { createVisitors } = require("./utils/visitors");
 
 const MESSAGE_IDS = {
   INVALID: "invalid",
@@ -33,12 +34,17 @@ module.exports = {
   },
 
   create(context) {
-    return {
+    return createVisitors(context, {
       Tag(node) {
         if (node.name !== "li") {
           return;
         }
         if (!node.parent || node.parent.type === NODE_TYPES.Document) {
+          // `<li>`s at the top level of templates can be rendered in containers of other templates.
+          // e.g. html`<ul>${items.map((item) => html`<li>${item}</li>`)}</ul>`
+          if (node.parent && node.parent.templateMode) {
+            return;
+          }
           context.report({
             node,
             messageId: MESSAGE_IDS.INVALID,
@@ -53,6 +59,6 @@ module.exports = {
           });
         }
       },
-    };
+    });
   },
 };
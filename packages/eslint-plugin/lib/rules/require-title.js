@@ -8,6 +8,7 @@
 const { RULE_CATEGORY } = require("../constants");
 const { find } = require("./utils/array");
 const { isText, isTag } = require("./utils/node");
+const { createVisitors } = require("./utils/visitors");
 
 const MESSAGE_IDS = {
   MISSING_TITLE: "missing",
@@ -52,7 +53,7 @@ module.exports = {
     },
   },
   create(context) {
-    return {
+    return createVisitors(context, {
       Tag(node) {
         if (node.name !== "head") {
           return;
@@ -77,6 +78,6 @@ module.exports = {
           });
         }
       },
-    };
+    });
   },
 };
@@ -0,0 +1,356 @@
+/**
+ * @typedef { import("../../types").Tag } Tag
+ * @typedef { import("../../types").Text } Text
+ *
+ * @typedef {Object} NameState
+ * @property {boolean} root `true` for the element whose name is computed.
+ * @property {boolean} traversal `true` in the traversal of `aria-labelledby` or `<label>`s, where names are computed from the contents.
+ * @property {boolean} referenced `true` for the element referred by `aria-labelledby` or the `<label>` itself, which is named even if it's hidden.
+ * @property {Set<Tag>} visited
+ *
+ * @typedef {Object} AccessibleNameContextOptions
+ * @property {string[]} [labelComponents] Names of elements which work like `<label>` (e.g. components of template engines rendering `<label>`).
+ *
+ * @typedef {Object} AccessibleNameContext
+ * @property {(node: Tag | Text) => void} collect Collects ids and `<label>`s of the document, and templates in the contents which can add them.
+ * @property {(node: Tag) => string | null} getAccessibleName Computes the accessible name of the element. `null` if the name depends on templates.
+ */
+
+const { ARIA_ROLES } = require("../../constants");
+const { findAttr, findParent, hasTemplate, isTag, isText } = require("./node");
+const { getRole, isSelfHidden } = require("./aria");
+
+/**
+ * Elements which can be associated with `<label>`s.
+ * https://html.spec.whatwg.org/multipage/forms.html#category-label
+ */
+const LABELABLE_ELEMENTS = [
+  "button",
+  "input",
+  "meter",
+  "output",
+  "progress",
+  "select",
+  "textarea",
+];
+
+/**
+ * Default labels of buttons provided by browsers.
+ * @type {Record<string, string>}
+ */
+const DEFAULT_BUTTON_LABELS = {
+  reset: "Reset",
+  submit: "Submit",
+};
+
+/**
+ * @param {Tag} node
+ * @param {string} key
+ * @returns {string | null | undefined} `undefined` if the attribute doesn't exist, `null` if its value includes templates.
+ */
+function getAttrValue(node, key) {
+  const attr = findAttr(node, key);
+  if (!attr) {
+    return undefined;
+  }
+  if (!attr.value) {
+    return "";
+  }
+  return hasTemplate(attr.value) ? null : attr.value.value;
+}
+
+/**
+ * @param {string | null | undefined} name
+ * @returns {boolean} `true` if the name is unknown or not empty.
+ */
+function isNameFound(name) {
+  return name === null || (!!name && !!name.trim());
+}
+
+/**
+ * @param {(string | null)[]} names
+ * @returns {string | null} `null` if any of the names is unknown.
+ */
+function joinNames(names) {
+  return names.some((name) => name === null) ? null : names.join(" ");
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return name.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * @param {Tag} node
+ * @param {string} name
+ * @returns {Tag | undefined}
+ */
+function findChild(node, name) {
+  return /** @type {Tag | undefined} */ (
+    node.children.find(
+      (child) => isTag(child) && child.name.toLowerCase() === name
+    )
+  );
+}
+
+/**
+ * @param {Tag} node
+ * @returns {boolean}
+ */
+function allowsNameFromContent(node) {
+  const role = getRole(node);
+  return !!role && ARIA_ROLES[role].nameFrom.includes("contents");
+}
+
+/**
+ * Creates a context to compute accessible names of elements in a document, following the accname algorithm.
+ * https://www.w3.org/TR/accname-1.2/#computation-steps
+ * Names refer to other elements (e.g. `aria-labelledby`, `<label for>`), so they should be computed after collecting all elements (e.g. on `Document:exit`).
+ * @param {AccessibleNameContextOptions} [options]
+ * @returns {AccessibleNameContext}
+ */
+function createAccessibleNameContext(options = {}) {
+  const labelNames = new Set(
+    ["label", ...(options.labelComponents || [])].map((name) =>
+      name.toLowerCase()
+    )
+  );
+  /**
+   * @type {Map<string, Tag>}
+   */
+  const elementsById = new Map();
+  /**
+   * @type {Map<string, Tag[]>}
+   */
+  const labelsByFor = new Map();
+  /**
+   * `true` if an `id` or a `for` includes templates, which can associate any element,
+   * or the contents include templates (e.g. `{{{ partial }}}`), which can add elements with ids or `<label>`s.
+   */
+  let hasDynamicReference = false;
+
+  /**
+   * @param {Tag} node
+   * @returns {boolean}
+   */
+  function isLabel(node) {
+    return labelNames.has(node.name.toLowerCase());
+  }
+
+  /**
+   * @param {Tag} node
+   * @param {NameState} state
+   * @returns {string | null}
+   */
+  function getTextContent(node, state) {
+    return joinNames(
+      node.children.map((child) => {
+        if (isText(child)) {
+          return hasTemplate(child) ? null : child.value;
+        }
+        if (isTag(child)) {
+          return computeName(child, {
+            ...state,
+            root: false,
+            referenced: false,
+          });
+        }
+        return "";
+      })
+    );
+  }
+
+  /**
+   * @param {Tag[]} nodes
+   * @param {NameState} state
+   * @returns {string | null}
+   */
+  function getReferencedName(nodes, state) {
+    return joinNames(
+      nodes.map((node) =>
+        computeName(node, {
+          ...state,
+          root: false,
+          traversal: true,
+          referenced: true,
+        })
+      )
+    );
+  }
+
+  /**
+   * @param {Tag} node
+   * @param {NameState} state
+   * @returns {string | null}
+   */
+  function getLabelsName(node, state) {
+    const id = getAttrValue(node, "id");
+    if (id === null) {
+      return null;
+    }
+    /**
+     * @type {Tag[]}
+     */
+    const labels = [...((id && labelsByFor.get(id)) || [])];
+    const ancestorLabel = findParent(
+      node,
+      (parent) => isTag(parent) && isLabel(parent)
+    );
+    if (ancestorLabel && !labels.includes(/** @type {Tag} */ (ancestorLabel))) {
+      labels.push(/** @type {Tag} */ (ancestorLabel));
+    }
+    // Labels with dynamic `for` (e.g. `for="{{ id }}"`) may be associated.
+    if (!labels.length && id && hasDynamicReference) {
+      return null;
+    }
+    return getReferencedName(labels, state);
+  }
+
+  /**
+   * Names from the native features of HTML (e.g. `alt`, `<label>`, `<legend>`).
+   * https://www.w3.org/TR/html-aam-1.0/#accessible-name-computations-by-html-element
+   * @param {Tag} node
+   * @param {NameState} state
+   * @returns {string | null | undefined}
+   */
+  function getNativeName(node, state) {
+    const name = node.name.toLowerCase();
+    if (name === "img" || name === "area") {
+      return getAttrValue(node, "alt");
+    }
+    if (name === "input") {
+      const type = (getAttrValue(node, "type") || "").trim().toLowerCase();
+      if (type === "image") {
+        const alt = getAttrValue(node, "alt");
+        return isNameFound(alt) ? alt : getAttrValue(node, "value");
+      }
+      if (type === "submit" || type === "reset" || type === "button") {
+        const value = getAttrValue(node, "value");
+        return value === undefined ? DEFAULT_BUTTON_LABELS[type] : value;
+      }
+    }
+    if (LABELABLE_ELEMENTS.includes(name)) {
+      return getLabelsName(node, state);
+    }
+    /**
+     * @type {Record<string, string>}
+     */
+    const captions = {
+      fieldset: "legend",
+      figure: "figcaption",
+      table: "caption",
+      svg: "title",
+    };
+    if (name in captions) {
+      const caption = findChild(node, captions[name]);
+      return caption && getReferencedName([caption], state);
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {Tag} node
+   * @param {NameState} state
+   * @returns {string | null}
+   */
+  function computeName(node, state) {
+    if (state.visited.has(node)) {
+      return "";
+    }
+    state.visited.add(node);
+    // Hidden descendants are skipped, but hidden elements referred by `aria-labelledby` are not.
+    if (!state.root && !state.referenced && isSelfHidden(node)) {
+      return "";
+    }
+    if (!state.traversal) {
+      const labelledby = getAttrValue(node, "aria-labelledby");
+      if (labelledby === null) {
+        return null;
+      }
+      const ids = (labelledby || "").split(/\s+/).filter((id) => !!id);
+      const referenced = ids
+        .map((id) => elementsById.get(id))
+        .filter((element) => !!element);
+      // Elements with dynamic ids may be referenced.
+      if (referenced.length < ids.length && hasDynamicReference) {
+        return null;
+      }
+      if (referenced.length) {
+        const name = getReferencedName(
+          /** @type {Tag[]} */ (referenced),
+          state
+        );
+        if (isNameFound(name)) {
+          return name;
+        }
+      }
+    }
+    const label = getAttrValue(node, "aria-label");
+    if (isNameFound(label)) {
+      return /** @type {string | null} */ (label);
+    }
+    const nativeName = getNativeName(node, state);
+    if (isNameFound(nativeName)) {
+      return /** @type {string | null} */ (nativeName);
+    }
+    if (!state.root || state.traversal || allowsNameFromContent(node)) {
+      const content = getTextContent(node, state);
+      if (isNameFound(content)) {
+        return content;
+      }
+    }
+    const title = getAttrValue(node, "title");
+    if (isNameFound(title)) {
+      return /** @type {string | null} */ (title);
+    }
+    if (state.root) {
+      const placeholder = getAttrValue(node, "placeholder");
+      if (isNameFound(placeholder)) {
+        return /** @type {string | null} */ (placeholder);
+      }
+    }
+    return "";
+  }
+
+  return {
+    collect(node) {
+      if (isText(node)) {
+        if (hasTemplate(node)) {
+          hasDynamicReference = true;
+        }
+        return;
+      }
+      const id = getAttrValue(node, "id");
+      if (id === null) {
+        hasDynamicReference = true;
+      } else if (id && !elementsById.has(id)) {
+        elementsById.set(id, node);
+      }
+      if (!isLabel(node)) {
+        return;
+      }
+      const htmlFor = getAttrValue(node, "for");
+      if (htmlFor === null) {
+        hasDynamicReference = true;
+      } else if (htmlFor) {
+        labelsByFor.set(htmlFor, [...(labelsByFor.get(htmlFor) || []), node]);
+      }
+    },
+    getAccessibleName(node) {
+      const name = computeName(node, {
+        root: true,
+        traversal: false,
+        referenced: false,
+        visited: new Set(),
+      });
+      return name === null ? null : normalizeName(name);
+    },
+  };
+}
+
+module.exports = {
+  createAccessibleNameContext,
+};
@@ -0,0 +1,354 @@
+/**
+ * @typedef { import("../../types").Tag } Tag
+ * @typedef { import("../../types").AnyNode } AnyNode
+ */
+
+const { ARIA_ROLES, ARIA_ATTRIBUTES } = require("../../constants");
+const {
+  findAttr,
+  findParent,
+  hasTemplate,
+  isInSvgTemplate,
+} = require("./node");
+
+/**
+ * Roles of elements which don't depend on the attributes or the ancestors.
+ * https://www.w3.org/TR/html-aam-1.0/#html-element-role-mappings
+ * @type {Record<string, string>}
+ */
+const ELEMENT_ROLES = {
+  address: "group",
+  article: "article",
+  aside: "complementary",
+  b: "generic",
+  bdi: "generic",
+  bdo: "generic",
+  blockquote: "blockquote",
+  body: "generic",
+  button: "button",
+  caption: "caption",
+  code: "code",
+  data: "generic",
+  datalist: "listbox",
+  dd: "definition",
+  del: "deletion",
+  details: "group",
+  dfn: "term",
+  dialog: "dialog",
+  div: "generic",
+  dt: "term",
+  em: "emphasis",
+  fieldset: "group",
+  figure: "figure",
+  form: "form",
+  h1: "heading",
+  h2: "heading",
+  h3: "heading",
+  h4: "heading",
+  h5: "heading",
+  h6: "heading",
+  hgroup: "group",
+  hr: "separator",
+  html: "document",
+  i: "generic",
+  ins: "insertion",
+  li: "listitem",
+  main: "main",
+  mark: "mark",
+  math: "math",
+  menu: "list",
+  meter: "meter",
+  nav: "navigation",
+  ol: "list",
+  optgroup: "group",
+  option: "option",
+  output: "status",
+  p: "paragraph",
+  pre: "generic",
+  progress: "progressbar",
+  q: "generic",
+  s: "deletion",
+  samp: "generic",
+  search: "search",
+  small: "generic",
+  span: "generic",
+  strong: "strong",
+  sub: "subscript",
+  sup: "superscript",
+  table: "table",
+  tbody: "rowgroup",
+  textarea: "textbox",
+  tfoot: "rowgroup",
+  thead: "rowgroup",
+  time: "time",
+  tr: "row",
+  u: "generic",
+  ul: "list",
+};
+
+/**
+ * Roles of `<input>`s by the `type` attribute.
+ * @type {Record<string, string>}
+ */
+const INPUT_ROLES = {
+  button: "button",
+  checkbox: "checkbox",
+  email: "textbox",
+  image: "button",
+  number: "spinbutton",
+  radio: "radio",
+  range: "slider",
+  reset: "button",
+  search: "searchbox",
+  submit: "button",
+  tel: "textbox",
+  text: "textbox",
+  url: "textbox",
+};
+
+const INPUT_TYPES_WITHOUT_ROLE = [
+  "color",
+  "date",
+  "datetime-local",
+  "file",
+  "hidden",
+  "month",
+  "password",
+  "time",
+  "week",
+];
+
+const INPUT_TYPES_WITH_SUGGESTIONS = ["email", "search", "tel", "text", "url"];
+
+const SECTIONING_ELEMENTS = ["article", "aside", "main", "nav", "section"];
+
+/**
+ * @param {Tag} node
+ * @param {string} key
+ * @returns {string | null} `null` if the attribute doesn't exist or its value includes templates.
+ */
+function getAttrValue(node, key) {
+  const attr = findAttr(node, key);
+  if (!attr) {
+    return null;
+  }
+  if (!attr.value) {
+    return "";
+  }
+  return hasTemplate(attr.value) ? null : attr.value.value;
+}
+
+/**
+ * @param {Tag} node
+ * @returns {boolean}
+ */
+function hasNameAttr(node) {
+  return ["aria-label", "aria-labelledby", "title"].some(
+    (key) => !!(getAttrValue(node, key) || "").trim()
+  );
+}
+
+/**
+ * @param {AnyNode} node
+ * @returns {node is Tag}
+ */
+function isTagNode(node) {
+  return node.type === "Tag";
+}
+
+/**
+ * @param {Tag} node
+ * @returns {boolean}
+ */
+function isInForeignContent(node) {
+  return (
+    isInSvgTemplate(node) ||
+    !!findParent(
+      node,
+      (parent) =>
+        isTagNode(parent) && ["svg", "math"].includes(parent.name.toLowerCase())
+    )
+  );
+}
+
+/**
+ * @param {Tag} node
+ * @returns {string | null}
+ */
+function getInputRole(node) {
+  const type = (getAttrValue(node, "type") || "text").trim().toLowerCase();
+  if (INPUT_TYPES_WITH_SUGGESTIONS.includes(type) && findAttr(node, "list")) {
+    return "combobox";
+  }
+  if (type in INPUT_ROLES) {
+    return INPUT_ROLES[type];
+  }
+  // Invalid types are in the Text state.
+  return INPUT_TYPES_WITHOUT_ROLE.includes(type) ? null : "textbox";
+}
+
+/**
+ * Gets the implicit ARIA role of an HTML element, which is defined by HTML-AAM.
+ * @param {Tag} node
+ * @returns {string | null} `null` if the element has no corresponding role (e.g. `<label>`, `<input type="hidden">`) or is in SVG or MathML.
+ */
+function getImplicitRole(node) {
+  const name = node.name.toLowerCase();
+  if (isInForeignContent(node)) {
+    return null;
+  }
+  switch (name) {
+    case "a":
+      return findAttr(node, "href") ? "link" : "generic";
+    case "area":
+      return findAttr(node, "href") ? "link" : null;
+    case "footer":
+    case "header":
+      if (
+        findParent(
+          node,
+          (parent) =>
+            isTagNode(parent) &&
+            SECTIONING_ELEMENTS.includes(parent.name.toLowerCase())
+        )
+      ) {
+        return "generic";
+      }
+      return name === "header" ? "banner" : "contentinfo";
+    case "img": {
+      const alt = getAttrValue(node, "alt");
+      return alt === "" && !hasNameAttr(node) ? "presentation" : "img";
+    }
+    case "input":
+      return getInputRole(node);
+    case "section":
+      return hasNameAttr(node) ? "region" : "generic";
+    case "select": {
+      const size = parseInt(getAttrValue(node, "size") || "", 10);
+      return findAttr(node, "multiple") || size > 1 ? "listbox" : "combobox";
+    }
+    case "td": {
+      const table = findParent(
+        node,
+        (parent) => isTagNode(parent) && parent.name.toLowerCase() === "table"
+      );
+      const tableRole = table && getExplicitRole(/** @type {Tag} */ (table));
+      return tableRole === "grid" || tableRole === "treegrid"
+        ? "gridcell"
+        : "cell";
+    }
+    case "th": {
+      const scope = (getAttrValue(node, "scope") || "").trim().toLowerCase();
+      return scope === "row" || scope === "rowgroup"
+        ? "rowheader"
+        : "columnheader";
+    }
+    default:
+      return ELEMENT_ROLES[name] || null;
+  }
+}
+
+/**
+ * Gets the explicit role, which is the first valid non-abstract role in the `role` attribute (e.g. `switch` of `role="toggle switch"`).
+ * @param {Tag} node
+ * @returns {string | null} `null` if the element has no valid role or the `role` attribute includes templates.
+ */
+function getExplicitRole(node) {
+  const value = getAttrValue(node, "role");
+  if (!value) {
+    return null;
+  }
+  const role = value
+    .toLowerCase()
+    .split(/\s+/)
+    .find((token) => isValidRole(token));
+  return role || null;
+}
+
+/**
+ * Gets the explicit role, or the implicit role if the element has no valid explicit role.
+ * @param {Tag} node
+ * @returns {string | null} `null` if the element has no role or the `role` attribute includes templates.
+ */
+function getRole(node) {
+  const roleAttr = findAttr(node, "role");
+  if (roleAttr && roleAttr.value && hasTemplate(roleAttr.value)) {
+    return null;
+  }
+  return getExplicitRole(node) || getImplicitRole(node);
+}
+
+/**
+ * @param {string} role
+ * @returns {boolean} `true` if the role is a non-abstract WAI-ARIA role.
+ */
+function isValidRole(role) {
+  return (
+    Object.prototype.hasOwnProperty.call(ARIA_ROLES, role) &&
+    !ARIA_ROLES[role].abstract
+  );
+}
+
+/**
+ * @param {Tag} node
+ * @returns {boolean} `true` if the element is hidden by `hidden` or `aria-hidden="true"`. `aria-hidden` including templates may be `true`, so it's regarded as hidden.
+ */
+function isSelfHidden(node) {
+  if (findAttr(node, "hidden")) {
+    return true;
+  }
+  const ariaHidden = findAttr(node, "aria-hidden");
+  if (!ariaHidden || !ariaHidden.value) {
+    return false;
+  }
+  return (
+    hasTemplate(ariaHidden.value) ||
+    ariaHidden.value.value.trim().toLowerCase() === "true"
+  );
+}
+
+/**
+ * Checks whether the element or one of its ancestors is hidden from assistive technologies.
+ * @param {Tag} node
+ * @returns {boolean}
+ */
+function isHidden(node) {
+  return (
+    isSelfHidden(node) ||
+    !!findParent(node, (parent) => isTagNode(parent) && isSelfHidden(parent))
+  );
+}
+
+/**
+ * Gets the supported states and properties of a role, including the inherited and the global ones.
+ * @param {string} role
+ * @returns {Set<string>}
+ */
+function getSupportedProps(role) {
+  /**
+   * @type {Set<string>}
+   */
+  const props = new Set(
+    Object.keys(ARIA_ATTRIBUTES).filter((name) => ARIA_ATTRIBUTES[name].global)
+  );
+  /**
+   * @param {string} current
+   */
+  function collect(current) {
+    const { superClass, props: ownProps = [] } = ARIA_ROLES[current];
+    ownProps.forEach((prop) => props.add(prop));
+    superClass.forEach(collect);
+  }
+  collect(role);
+  return props;
+}
+
+module.exports = {
+  getImplicitRole,
+  getExplicitRole,
+  getRole,
+  isValidRole,
+  getSupportedProps,
+  isSelfHidden,
+  isHidden,
+};
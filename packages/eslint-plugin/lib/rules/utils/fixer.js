@@ -0,0 +1,219 @@
+/**
+ * @typedef {import("eslint").Rule.RuleFixer} RuleFixer
+ * @typedef {import("eslint").Rule.Fix} Fix
+ * @typedef {import("eslint").SourceCode} SourceCode
+ * @typedef {import("eslint").AST.Range} Range
+ * @typedef {ReturnType<SourceCode["getNodeByRangeIndex"]>} Node
+ * @typedef {import("eslint").Rule.Node} RuleNode
+ * @typedef {import("estree").TemplateLiteral} TemplateLiteral
+ *
+ * @typedef {Object} TemplateFixer
+ * @property {(range: Range, text: string) => Fix | null} replaceTextRange
+ * @property {(nodeOrToken: {range: Range}, text: string) => Fix | null} replaceText
+ * @property {(range: Range) => Fix | null} removeRange
+ * @property {(nodeOrToken: {range: Range}) => Fix | null} remove
+ */
+
+const LINE_TERMINATOR_ESCAPES = /** @type {Record<string, string>} */ ({
+  "\n": "\\n",
+  "\r": "\\r",
+  "\u2028": "\\u2028",
+  "\u2029": "\\u2029",
+});
+
+/**
+ * Escapes a text to be inserted in a template literal.
+ * The text is in the raw form of template literals, like the HTML parsed from them,
+ * so escape sequences (e.g. `\n`, `` \` ``) are kept as they are.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeTemplateText(text) {
+  let escaped = "";
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === "\\") {
+      escaped += text.slice(index, index + 2);
+      index++;
+    } else if (char === "`") {
+      escaped += "\\`";
+    } else if (char === "$" && text[index + 1] === "{") {
+      escaped += "\\$";
+    } else {
+      escaped += char;
+    }
+  }
+  return escaped;
+}
+
+/**
+ * Escapes a text to be inserted in a string literal.
+ * The text is in the cooked form of string literals, like the HTML parsed from them.
+ * @param {string} text
+ * @param {string} quote
+ * @returns {string}
+ */
+function escapeStringText(text, quote) {
+  let escaped = "";
+  for (const char of text) {
+    if (char === "\\" || char === quote) {
+      escaped += `\\${char}`;
+    } else if (char in LINE_TERMINATOR_ESCAPES) {
+      escaped += LINE_TERMINATOR_ESCAPES[char];
+    } else {
+      escaped += char;
+    }
+  }
+  return escaped;
+}
+
+/**
+ * Escapes a text to be inserted in a template literal, keeping the placeholders in it as they are.
+ * The code of the placeholders (e.g. `` ${c ? `a` : `b`} ``) is not escaped, since it's not a part of the template literal.
+ * @param {string} text
+ * @param {string[]} placeholders The source texts of the placeholders in the text, in order.
+ * @returns {string | null} `null` if the placeholders are not in the text.
+ */
+function escapeTemplateTextWithPlaceholders(text, placeholders) {
+  let escaped = "";
+  let index = 0;
+  for (const placeholder of placeholders) {
+    const start = text.indexOf(placeholder, index);
+    if (start === -1) {
+      return null;
+    }
+    escaped += escapeTemplateText(text.slice(index, start)) + placeholder;
+    index = start + placeholder.length;
+  }
+  return escaped + escapeTemplateText(text.slice(index));
+}
+
+/**
+ * Gets the source texts of the placeholders (e.g. `${a}`) of the template literal in the range.
+ * @param {SourceCode} sourceCode
+ * @param {TemplateLiteral} node
+ * @param {Range} range
+ * @returns {string[]}
+ */
+function getPlaceholders(sourceCode, node, range) {
+  /**
+   * @type {string[]}
+   */
+  const placeholders = [];
+  node.quasis.forEach((quasi, index) => {
+    const next = node.quasis[index + 1];
+    if (!next) {
+      return;
+    }
+    // Template elements include `${` and `}` around the placeholders.
+    const start = /** @type {Range} */ (quasi.range)[1] - 2;
+    const end = /** @type {Range} */ (next.range)[0] + 1;
+    if (range[0] <= start && end <= range[1]) {
+      placeholders.push(sourceCode.text.slice(start, end));
+    }
+  });
+  return placeholders;
+}
+
+/**
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isStringLiteral(node) {
+  return !!node && node.type === "Literal" && typeof node.value === "string";
+}
+
+/**
+ * Creates a function to escape texts replacing the range of the source code.
+ * @param {SourceCode} sourceCode
+ * @param {Range} range
+ * @returns {((text: string) => string | null) | null} `null` if the range can't be replaced safely.
+ */
+function createEscape(sourceCode, range) {
+  // The source code of the HTML language has no JavaScript nodes.
+  if (typeof sourceCode.getNodeByRangeIndex !== "function") {
+    return (text) => text;
+  }
+  const start = sourceCode.getNodeByRangeIndex(range[0]);
+  const end =
+    range[1] > range[0] ? sourceCode.getNodeByRangeIndex(range[1] - 1) : start;
+  if (start && start.type === "TemplateElement") {
+    if (start === end) {
+      return (text) => escapeTemplateText(text);
+    }
+    // The range contains placeholders, which are kept in the text.
+    const templateLiteral = /** @type {RuleNode} */ (start).parent;
+    if (
+      end &&
+      end.type === "TemplateElement" &&
+      templateLiteral === /** @type {RuleNode} */ (end).parent
+    ) {
+      const placeholders = getPlaceholders(
+        sourceCode,
+        /** @type {TemplateLiteral} */ (templateLiteral),
+        range
+      );
+      return (text) => escapeTemplateTextWithPlaceholders(text, placeholders);
+    }
+    return null;
+  }
+  if (start && isStringLiteral(start)) {
+    // The range spans operands of a concatenation (e.g. `"<div>" + text + "</div>"`).
+    if (start !== end) {
+      return null;
+    }
+    const quote = sourceCode.text[/** @type {Range} */ (start.range)[0]];
+    return (text) => escapeStringText(text, quote);
+  }
+  return (text) => text;
+}
+
+/**
+ * Creates a fixer for HTML in template literals and string literals (e.g. `` html`<div></div>` ``, `el.innerHTML = "<div></div>"`),
+ * which escapes inserted texts not to break the JavaScript.
+ * Fixes return `null` if the range spans operands of a string concatenation.
+ * In HTML files, the texts are inserted as they are.
+ * @param {RuleFixer} fixer
+ * @param {SourceCode} sourceCode
+ * @returns {TemplateFixer}
+ */
+function createTemplateFixer(fixer, sourceCode) {
+  /**
+   * @param {Range} range
+   * @param {string} text
+   * @returns {Fix | null}
+   */
+  function replaceTextRange(range, text) {
+    const escape = createEscape(sourceCode, range);
+    const escaped = escape && escape(text);
+    return escaped === null ? null : fixer.replaceTextRange(range, escaped);
+  }
+
+  return {
+    replaceTextRange,
+    replaceText(nodeOrToken, text) {
+      return replaceTextRange(nodeOrToken.range, text);
+    },
+    removeRange(range) {
+      return replaceTextRange(range, "");
+    },
+    remove(nodeOrToken) {
+      return replaceTextRange(nodeOrToken.range, "");
+    },
+  };
+}
+
+/**
+ * @param {Array<Fix | null>} fixes
+ * @returns {Fix[] | null} `null` if any of the fixes is `null`.
+ */
+function allFixes(fixes) {
+  return fixes.every((fix) => fix !== null)
+    ? /** @type {Fix[]} */ (fixes)
+    : null;
+}
+
+module.exports = {
+  createTemplateFixer,
+  allFixes,
+};
@@ -69,7 +69,7 @@ function isOverlapWithTemplates(templates, range) {
 }
 
 /**
- * @param {AttributeKey | AttributeValue} node
+ * @param {AttributeKey | AttributeValue | Text} node
  * @returns {boolean}
  */
 function hasTemplate(node) {
@@ -221,6 +221,22 @@ function findParent(node, predicate) {
   return findParent(node.parent, predicate);
 }
 
+/**
+ * Checks whether a node is in a template literal of SVG (e.g. svg`<circle r="1" />`).
+ * @param {Exclude<AnyNode, Line>} node
+ * @returns {boolean}
+ */
+function isInSvgTemplate(node) {
+  /**
+   * @type {any}
+   */
+  let current = node;
+  while (current.parent) {
+    current = current.parent;
+  }
+  return current.type === NODE_TYPES.Document && current.templateMode === "svg";
+}
+
 /**
  *
  * @param {AnyToken[]} tokens
@@ -256,4 +272,5 @@ module.exports = {
   isRangesOverlap,
   getTemplateTokens,
   hasTemplate,
+  isInSvgTemplate,
 };
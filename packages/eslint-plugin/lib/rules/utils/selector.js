@@ -0,0 +1,337 @@
+/**
+ * @typedef { import("../../types").Tag } Tag
+ * @typedef { import("../../types").ScriptTag } ScriptTag
+ * @typedef { import("../../types").StyleTag } StyleTag
+ * @typedef { Tag | ScriptTag | StyleTag } Element
+ * @typedef { (node: Element) => boolean } Matcher
+ */
+
+const cssTree = require("css-tree");
+const { NODE_TYPES } = require("@html-eslint/parser");
+const { findAttr } = require("./node");
+
+/**
+ * Listener keys starting with a lowercase element name are CSS selectors (e.g. `a[target=_blank]:not([rel])`, `ul > li`).
+ * The other keys are ESLint selectors (e.g. `Tag`, `*`, `:matches(Tag, Text)`, `[name=a]`) and code path events (e.g. `onCodePathStart`).
+ */
+const SELECTOR_PATTERN = /^[a-z][a-z\d-]*(?:$|[\s,>+~.#[:])/;
+
+const EXIT_SUFFIX = ":exit";
+
+/**
+ * @type {Map<string, Matcher>}
+ */
+const matcherCache = new Map();
+
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isSelector(key) {
+  return SELECTOR_PATTERN.test(key);
+}
+
+/**
+ * @param {any} node
+ * @returns {node is Element}
+ */
+function isElement(node) {
+  return (
+    !!node &&
+    (node.type === NODE_TYPES.Tag ||
+      node.type === NODE_TYPES.ScriptTag ||
+      node.type === NODE_TYPES.StyleTag)
+  );
+}
+
+/**
+ * @param {Element} node
+ * @returns {string}
+ */
+function getElementName(node) {
+  if (node.type === NODE_TYPES.ScriptTag) {
+    return "script";
+  }
+  if (node.type === NODE_TYPES.StyleTag) {
+    return "style";
+  }
+  return node.name.toLowerCase();
+}
+
+/**
+ * @param {Element} node
+ * @returns {Element | null}
+ */
+function getParentElement(node) {
+  return isElement(node.parent) ? node.parent : null;
+}
+
+/**
+ * @param {Element} node
+ * @returns {Element[]}
+ */
+function getPrecedingSiblings(node) {
+  const parent = /** @type {any} */ (node.parent);
+  if (!parent || !Array.isArray(parent.children)) {
+    return [];
+  }
+  /**
+   * @type {Element[]}
+   */
+  const siblings = parent.children.filter(isElement);
+  return siblings.slice(0, siblings.indexOf(node));
+}
+
+/**
+ * @param {string} actual
+ * @param {string} matcher
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function matchesAttrValue(actual, matcher, expected) {
+  switch (matcher) {
+    case "=":
+      return actual === expected;
+    case "~=":
+      return actual.split(/\s+/).includes(expected);
+    case "|=":
+      return actual === expected || actual.startsWith(`${expected}-`);
+    case "^=":
+      return !!expected && actual.startsWith(expected);
+    case "$=":
+      return !!expected && actual.endsWith(expected);
+    case "*=":
+      return !!expected && actual.includes(expected);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Creates a matcher of an attribute.
+ * A value including templates (e.g. `{{ target }}`) is unknown, so it matches only the existence of the attribute.
+ * @param {string} name
+ * @param {string | null} matcher
+ * @param {string} expected
+ * @param {boolean} caseInsensitive
+ * @returns {Matcher}
+ */
+function createAttrMatcher(name, matcher, expected, caseInsensitive) {
+  return (node) => {
+    const attr = findAttr(/** @type {Tag} */ (node), name);
+    if (!attr) {
+      return false;
+    }
+    if (!matcher) {
+      return true;
+    }
+    if (attr.value && attr.value.templates && attr.value.templates.length) {
+      return false;
+    }
+    const value = attr.value ? attr.value.value : "";
+    return caseInsensitive
+      ? matchesAttrValue(value.toLowerCase(), matcher, expected.toLowerCase())
+      : matchesAttrValue(value, matcher, expected);
+  };
+}
+
+/**
+ * @param {any} selectorList css-tree's `SelectorList` node
+ * @returns {Matcher}
+ */
+function compileSelectorList(selectorList) {
+  const matchers = selectorList.children.map(compileSelector);
+  return (node) =>
+    matchers.some((/** @type {Matcher} */ matcher) => matcher(node));
+}
+
+/**
+ * @param {any} selector css-tree's simple selector node
+ * @returns {Matcher}
+ */
+function compileSimpleSelector(selector) {
+  switch (selector.type) {
+    case "TypeSelector": {
+      const name = selector.name.toLowerCase();
+      return name === "*"
+        ? () => true
+        : (node) => getElementName(node) === name;
+    }
+    case "IdSelector":
+      return createAttrMatcher("id", "=", selector.name, false);
+    case "ClassSelector":
+      return createAttrMatcher("class", "~=", selector.name, false);
+    case "AttributeSelector":
+      return createAttrMatcher(
+        selector.name.name,
+        selector.matcher,
+        selector.value
+          ? selector.value.type === "String"
+            ? selector.value.value
+            : selector.value.name
+          : "",
+        selector.flags === "i"
+      );
+    case "PseudoClassSelector": {
+      const name = selector.name.toLowerCase();
+      const argument = selector.children && selector.children[0];
+      if (argument && argument.type === "SelectorList") {
+        const matcher = compileSelectorList(argument);
+        if (name === "not") {
+          return (node) => !matcher(node);
+        }
+        if (name === "is" || name === "where" || name === "matches") {
+          return matcher;
+        }
+      }
+      break;
+    }
+  }
+  throw new Error(`Unsupported selector: '${cssTree.generate(selector)}'`);
+}
+
+/**
+ * @param {any} selector css-tree's `Selector` node
+ * @returns {Matcher}
+ */
+function compileSelector(selector) {
+  /**
+   * Compound selectors and the combinators to their previous compound selectors.
+   * @type {{combinator: string | null, matchers: Matcher[]}[]}
+   */
+  const compounds = [{ combinator: null, matchers: [] }];
+  selector.children.forEach((/** @type {any} */ child) => {
+    if (child.type === "Combinator") {
+      compounds.push({ combinator: child.name, matchers: [] });
+    } else {
+      compounds[compounds.length - 1].matchers.push(
+        compileSimpleSelector(child)
+      );
+    }
+  });
+
+  /**
+   * Matches from the rightmost compound selector.
+   * @param {Element} node
+   * @param {number} index
+   * @returns {boolean}
+   */
+  function matches(node, index) {
+    const { combinator, matchers } = compounds[index];
+    if (!matchers.every((matcher) => matcher(node))) {
+      return false;
+    }
+    if (index === 0) {
+      return true;
+    }
+    if (combinator === ">") {
+      const parent = getParentElement(node);
+      return !!parent && matches(parent, index - 1);
+    }
+    if (combinator === "+") {
+      const sibling = getPrecedingSiblings(node).pop();
+      return !!sibling && matches(sibling, index - 1);
+    }
+    if (combinator === "~") {
+      return getPrecedingSiblings(node).some((sibling) =>
+        matches(sibling, index - 1)
+      );
+    }
+    for (
+      let ancestor = getParentElement(node);
+      ancestor;
+      ancestor = getParentElement(ancestor)
+    ) {
+      if (matches(ancestor, index - 1)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  return (node) => matches(node, compounds.length - 1);
+}
+
+/**
+ * Parses a CSS selector (e.g. `ul > li:not(.item)`) to a function which matches `Tag`, `ScriptTag` and `StyleTag` nodes.
+ * @param {string} selector
+ * @returns {Matcher}
+ */
+function parseSelector(selector) {
+  let matcher = matcherCache.get(selector);
+  if (!matcher) {
+    matcher = compileSelectorList(
+      cssTree.toPlainObject(
+        cssTree.parse(selector, {
+          context: "selectorList",
+          onParseError(error) {
+            throw error;
+          },
+        })
+      )
+    );
+    matcherCache.set(selector, matcher);
+  }
+  return matcher;
+}
+
+/**
+ * @param {Element} node
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function matchesSelector(node, selector) {
+  return parseSelector(selector)(node);
+}
+
+/**
+ * Converts listeners of CSS selectors to listeners of `Tag`, `ScriptTag` and `StyleTag`.
+ * Listeners of node types are kept, and called before listeners of CSS selectors.
+ * @param {Record<string, any>} visitors
+ * @returns {Record<string, any>}
+ */
+function toNodeVisitors(visitors) {
+  const selectors = Object.keys(visitors).filter(isSelector);
+  if (!selectors.length) {
+    return visitors;
+  }
+  /**
+   * @type {Record<string, any>}
+   */
+  const result = {};
+  Object.keys(visitors)
+    .filter((key) => !isSelector(key))
+    .forEach((key) => {
+      result[key] = visitors[key];
+    });
+
+  selectors.forEach((key) => {
+    const isExit = key.endsWith(EXIT_SUFFIX);
+    const matcher = parseSelector(
+      isExit ? key.slice(0, -EXIT_SUFFIX.length) : key
+    );
+    const listener = visitors[key];
+    [NODE_TYPES.Tag, NODE_TYPES.ScriptTag, NODE_TYPES.StyleTag].forEach(
+      (type) => {
+        const nodeKey = isExit ? `${type}${EXIT_SUFFIX}` : type;
+        const prev = result[nodeKey];
+        result[nodeKey] = (/** @type {Element} */ node) => {
+          if (prev) {
+            prev(node);
+          }
+          if (matcher(node)) {
+            listener(node);
+          }
+        };
+      }
+    );
+  });
+  return result;
+}
+
+module.exports = {
+  isSelector,
+  parseSelector,
+  matchesSelector,
+  toNodeVisitors,
+};
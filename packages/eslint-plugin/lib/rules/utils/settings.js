@@ -4,6 +4,11 @@
  * @typedef {import("../../types").Context} Context
  * @typedef {import("../../types").TaggedTemplateExpression} TaggedTemplateExpression
  * @typedef {import("../../types").TemplateLiteral} TemplateLiteral
+ * @typedef {import("../../types").TemplateMode} TemplateMode
+ * @typedef {import("estree").Expression} Expression
+ * @typedef {import("estree").Super} Super
+ * @typedef {import("estree").AssignmentExpression} AssignmentExpression
+ * @typedef {import("estree").CallExpression} CallExpression
  */
 
 const { getSourceCode } = require("../utils/source-code");
@@ -12,19 +17,32 @@ const DEFAULT_SETTINGS = {
   templateLiterals: {
     tags: ["^html$"],
     comments: ["^\\s*html\\s*$"],
+    svgTags: ["^svg$"],
+  },
+  stringLiterals: {
+    properties: ["^(inner|outer)HTML$"],
+    calls: ["(^|\\.)insertAdjacentHTML$"],
   },
 };
 
+/**
+ * Resolved settings per `context.settings`.
+ * ESLint shares a settings object among files with the same configuration,
+ * so each configuration is resolved once, and is released along with the configuration.
+ * @type {WeakMap<object, HTMLSettings>}
+ */
+const settingsCache = new WeakMap();
+
 /**
  * @type {HTMLSettings | null}
  */
-let cachedSettings = null;
+let defaultSettings = null;
 
 /**
  * @param {{ html?: MaybeHTMLSettings }} settings
  * @returns {HTMLSettings}
  */
-function getSettings(settings) {
+function resolveSettings(settings) {
   const tags =
     (settings &&
       settings.html &&
@@ -39,16 +57,101 @@ function getSettings(settings) {
       settings.html.templateLiterals.comments) ||
     DEFAULT_SETTINGS.templateLiterals.comments;
 
-  if (cachedSettings) {
-    return cachedSettings;
-  }
-  cachedSettings = {
+  const svgTags =
+    (settings &&
+      settings.html &&
+      settings.html.templateLiterals &&
+      settings.html.templateLiterals.svgTags) ||
+    DEFAULT_SETTINGS.templateLiterals.svgTags;
+
+  const stringLiterals =
+    settings && settings.html && settings.html.stringLiterals;
+  const properties =
+    (stringLiterals && stringLiterals.properties) ||
+    DEFAULT_SETTINGS.stringLiterals.properties;
+  const calls =
+    (stringLiterals && stringLiterals.calls) ||
+    DEFAULT_SETTINGS.stringLiterals.calls;
+
+  return {
     templateLiterals: {
       tags: tags.map((tag) => new RegExp(tag, "u")),
       comments: comments.map((comment) => new RegExp(comment, "u")),
+      svgTags: svgTags.map((tag) => new RegExp(tag, "u")),
     },
+    // HTML in string literals is checked only when `stringLiterals` is set.
+    stringLiterals: stringLiterals
+      ? {
+          properties: properties.map((property) => new RegExp(property, "u")),
+          calls: calls.map((call) => new RegExp(call, "u")),
+        }
+      : null,
   };
-  return cachedSettings;
+}
+
+/**
+ * @param {{ html?: MaybeHTMLSettings }} settings
+ * @returns {HTMLSettings}
+ */
+function getSettings(settings) {
+  if (!settings || typeof settings !== "object") {
+    if (!defaultSettings) {
+      defaultSettings = resolveSettings({});
+    }
+    return defaultSettings;
+  }
+  let resolved = settingsCache.get(settings);
+  if (!resolved) {
+    resolved = resolveSettings(settings);
+    settingsCache.set(settings, resolved);
+  }
+  return resolved;
+}
+
+/**
+ * Gets the name of a template tag to be matched with `tags` settings.
+ * e.g. `html`, `lit.html`, `this.html`, `html.unsafe`, `htm.bind` (for `htm.bind(h)`)
+ * @param {Expression | Super} node
+ * @returns {string | null}
+ */
+function getTagName(node) {
+  switch (node.type) {
+    case "Identifier":
+      return node.name;
+    case "ThisExpression":
+      return "this";
+    case "MemberExpression": {
+      if (node.computed || node.property.type !== "Identifier") {
+        return null;
+      }
+      const objectName = getTagName(node.object);
+      return objectName && `${objectName}.${node.property.name}`;
+    }
+    case "CallExpression":
+      return getTagName(node.callee);
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {TaggedTemplateExpression} node
+ * @param {Context} context
+ * @returns {TemplateMode | null}
+ */
+function getTaggedTemplateMode(node, context) {
+  const { templateLiterals } = getSettings(context.settings);
+  const name = getTagName(node.tag);
+  if (name === null) {
+    return null;
+  }
+  if (templateLiterals.tags.some((tag) => tag.test(name))) {
+    return "html";
+  }
+  if (templateLiterals.svgTags.some((tag) => tag.test(name))) {
+    return "svg";
+  }
+  return null;
 }
 
 /**
@@ -57,12 +160,7 @@ function getSettings(settings) {
  * @returns {boolean}
  */
 function shouldCheckTaggedTemplateExpression(node, context) {
-  const { templateLiterals } = getSettings(context.settings);
-  const tags = templateLiterals.tags;
-  const tagNode = node.tag;
-  return !!(
-    tagNode.type === "Identifier" && tags.some((tag) => tag.test(tagNode.name))
-  );
+  return getTaggedTemplateMode(node, context) !== null;
 }
 
 /**
@@ -82,7 +180,85 @@ function shouldCheckTemplateLiteral(node, context) {
   );
 }
 
+/**
+ * @param {Expression} node
+ * @returns {boolean}
+ */
+function hasStringLiteral(node) {
+  if (node.type === "BinaryExpression" && node.operator === "+") {
+    return (
+      hasStringLiteral(/** @type {Expression} */ (node.left)) ||
+      hasStringLiteral(node.right)
+    );
+  }
+  return node.type === "Literal" && typeof node.value === "string";
+}
+
+/**
+ * Gets the name of an assigned property. (e.g. `innerHTML` for `el.innerHTML` and `el["innerHTML"]`)
+ * @param {AssignmentExpression["left"]} node
+ * @returns {string | null}
+ */
+function getPropertyName(node) {
+  if (node.type !== "MemberExpression") {
+    return null;
+  }
+  if (!node.computed && node.property.type === "Identifier") {
+    return node.property.name;
+  }
+  if (
+    node.property.type === "Literal" &&
+    typeof node.property.value === "string"
+  ) {
+    return node.property.value;
+  }
+  return null;
+}
+
+/**
+ * Returns the HTML string of an HTML sink configured with `stringLiterals`,
+ * which is a string literal or a concatenation of strings. (e.g. `el.innerHTML = "<p>" + text + "</p>"`)
+ * For calls, the last argument is the HTML. (e.g. `el.insertAdjacentHTML("beforeend", "<p></p>")`)
+ * @param {AssignmentExpression | CallExpression} node
+ * @param {Context} context
+ * @returns {Expression | null}
+ */
+function getHTMLStringOfSink(node, context) {
+  const { stringLiterals } = getSettings(context.settings);
+  if (!stringLiterals) {
+    return null;
+  }
+  /**
+   * @type {Expression | null}
+   */
+  let html = null;
+  if (node.type === "AssignmentExpression") {
+    const name = getPropertyName(node.left);
+    if (
+      name !== null &&
+      (node.operator === "=" || node.operator === "+=") &&
+      stringLiterals.properties.some((property) => property.test(name))
+    ) {
+      html = node.right;
+    }
+  } else {
+    const name = getTagName(node.callee);
+    const last = node.arguments[node.arguments.length - 1];
+    if (
+      name !== null &&
+      last &&
+      last.type !== "SpreadElement" &&
+      stringLiterals.calls.some((call) => call.test(name))
+    ) {
+      html = last;
+    }
+  }
+  return html && hasStringLiteral(html) ? html : null;
+}
+
 module.exports = {
+  getHTMLStringOfSink,
   shouldCheckTemplateLiteral,
   shouldCheckTaggedTemplateExpression,
+  getTaggedTemplateMode,
 };
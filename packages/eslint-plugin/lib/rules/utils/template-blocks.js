@@ -0,0 +1,67 @@
+/**
+ * @typedef { import("../../types").TemplateBlock } TemplateBlock
+ * @typedef { import("eslint").AST.Range } Range
+ */
+
+/**
+ * @param {Range} range
+ * @param {number} index
+ * @returns {boolean}
+ */
+function includes(range, index) {
+  return range[0] <= index && index < range[1];
+}
+
+/**
+ * Gets control structures of the template engine (e.g. `{{#if}}...{{/if}}`) in the document of a node.
+ * @param {any} node
+ * @returns {TemplateBlock[]}
+ */
+function getTemplateBlocks(node) {
+  let current = node;
+  while (current.parent) {
+    current = current.parent;
+  }
+  if (current.type === "Program") {
+    current = current.body[0];
+  }
+  return (current && current.templateBlocks) || [];
+}
+
+/**
+ * Checks whether two indexes are in different branches of a block (e.g. `{{#if}}` and `{{else}}`),
+ * which are never rendered together.
+ * @param {TemplateBlock[]} blocks
+ * @param {number} indexA
+ * @param {number} indexB
+ * @returns {boolean}
+ */
+function isInExclusiveBranches(blocks, indexA, indexB) {
+  let current = blocks;
+  for (;;) {
+    const block = current.find(
+      (block) => includes(block.range, indexA) && includes(block.range, indexB)
+    );
+    if (!block) {
+      return false;
+    }
+    const branchA = block.branches.findIndex((branch) =>
+      includes(branch.range, indexA)
+    );
+    const branchB = block.branches.findIndex((branch) =>
+      includes(branch.range, indexB)
+    );
+    if (branchA < 0 || branchB < 0) {
+      return false;
+    }
+    if (branchA !== branchB) {
+      return true;
+    }
+    current = block.branches[branchA].blocks;
+  }
+}
+
+module.exports = {
+  getTemplateBlocks,
+  isInExclusiveBranches,
+};
@@ -1,14 +1,21 @@
 /**
  * @typedef { import("../../types").Context } Context
  * @typedef { import("../../types").RuleListener } RuleListener
+ * @typedef { import("../../types").SelectorRuleListener } SelectorRuleListener
+ * @typedef { import("../../types").TemplateMode } TemplateMode
+ * @typedef { import("../../types").Document } Document
+ * @typedef { import("estree").AssignmentExpression } AssignmentExpression
+ * @typedef { import("estree").CallExpression } CallExpression
  */
 
 const {
-  shouldCheckTaggedTemplateExpression,
+  getTaggedTemplateMode,
   shouldCheckTemplateLiteral,
+  getHTMLStringOfSink,
 } = require("./settings");
-const { parse } = require("@html-eslint/template-parser");
+const { parse, parseString } = require("@html-eslint/template-parser");
 const { getSourceCode } = require("./source-code");
+const { toNodeVisitors } = require("./selector");
 
 /**
  * @param {Context} context
@@ -16,33 +23,70 @@ const { getSourceCode } = require("./source-code");
  * @returns {RuleListener}
  */
 function createTemplateVisitors(context, visitors) {
+  /**
+   * Marks the root `Document` with the template mode, so that rules can apply SVG semantics to SVG templates.
+   * @param {TemplateMode} templateMode
+   */
+  function withTemplateMode(templateMode) {
+    return {
+      ...visitors,
+      /**
+       * @param {Document} node
+       */
+      Document(node) {
+        node.templateMode = templateMode;
+        if (visitors.Document) {
+          visitors.Document(node);
+        }
+      },
+    };
+  }
+
+  /**
+   * @param {AssignmentExpression | CallExpression} node
+   */
+  function checkHTMLSink(node) {
+    const html = getHTMLStringOfSink(node, context);
+    if (html) {
+      parseString(html, getSourceCode(context), withTemplateMode("html"));
+    }
+  }
+
   return {
+    AssignmentExpression: checkHTMLSink,
+    CallExpression: checkHTMLSink,
     TaggedTemplateExpression(node) {
-      if (shouldCheckTaggedTemplateExpression(node, context)) {
-        parse(node.quasi, getSourceCode(context), visitors);
+      const templateMode = getTaggedTemplateMode(node, context);
+      if (templateMode) {
+        parse(
+          node.quasi,
+          getSourceCode(context),
+          withTemplateMode(templateMode)
+        );
       }
     },
     TemplateLiteral(node) {
       if (shouldCheckTemplateLiteral(node, context)) {
-        parse(node, getSourceCode(context), visitors);
+        parse(node, getSourceCode(context), withTemplateMode("html"));
       }
     },
   };
 }
 
 /**
+ * Listeners can be keyed by CSS selectors (e.g. `a[target=_blank]:not([rel])`) as well as node types.
  * @param {Context} context
- * @param {RuleListener} visitors
+ * @param {SelectorRuleListener} visitors
  * @param {any} [templateVisitors]
  * @returns {RuleListener}
  */
 function createVisitors(context, visitors, templateVisitors) {
   const tmplVisitors = createTemplateVisitors(
     context,
-    templateVisitors || visitors
+    toNodeVisitors(templateVisitors || visitors)
   );
   return {
-    ...visitors,
+    ...toNodeVisitors(visitors),
     ...tmplVisitors,
   };
 }
@@ -1,9 +1,29 @@
 import * as Parser from "es-html-parser";
 import eslint from "eslint";
 import * as estree from "estree";
+import { TemplateMode } from "./settings";
+import type {
+  TemplateBlock,
+  TemplateBranch,
+  UnbalancedTemplateSyntax,
+} from "@html-eslint/template-syntax-parser/lib/types";
+
+export type { TemplateBlock, TemplateBranch, UnbalancedTemplateSyntax };
 
 export interface Document extends Parser.DocumentNode {
   parent: null;
+  /**
+   * Set on documents parsed from template literals.
+   */
+  templateMode?: TemplateMode;
+  /**
+   * Control structures of the template engine (e.g. `{{#if}}...{{else}}...{{/if}}`).
+   */
+  templateBlocks?: TemplateBlock[];
+  /**
+   * Template delimiters which are not balanced (e.g. `{{ a {{ b }}`).
+   */
+  unbalancedTemplateSyntax?: UnbalancedTemplateSyntax[];
   children: Array<Tag | Text | Comment | Doctype | ScriptTag | StyleTag>;
 }
 
@@ -43,6 +63,7 @@ export interface CommentClose extends Parser.CommentCloseNode {
 
 export interface CommentContent extends Parser.CommentContentNode {
   parent: Comment;
+  placeholders: TemplatePlaceholder[];
 }
 
 export interface Tag extends Parser.TagNode {
@@ -88,6 +109,12 @@ export interface CloseScriptTag extends Parser.CloseScriptTagNode {
 
 export interface ScriptTagContent extends Parser.ScriptTagContentNode {
   parent: ScriptTag;
+  placeholders: TemplatePlaceholder[];
+  /**
+   * Exists only when the `parseScript` parser option is enabled and the script is JavaScript.
+   */
+  body?: Array<estree.Statement | estree.ModuleDeclaration>;
+  sourceType?: "script" | "module";
 }
 
 export interface StyleTag extends Parser.StyleTagNode {
@@ -112,6 +139,11 @@ export interface CloseStyleTag extends Parser.CloseStyleTagNode {
 
 export interface StyleTagContent extends Parser.StyleTagContentNode {
   parent: StyleTag;
+  placeholders: TemplatePlaceholder[];
+  /**
+   * Exists only when the `parseStyle` parser option is enabled.
+   */
+  stylesheet?: CSSStyleSheet;
 }
 
 export interface Attribute extends Parser.AttributeNode {
@@ -124,10 +156,16 @@ export interface Attribute extends Parser.AttributeNode {
 
 export interface AttributeKey extends Parser.AttributeKeyNode {
   parent: Attribute;
+  placeholders: TemplatePlaceholder[];
 }
 
 export interface AttributeValue extends Parser.AttributeValueNode {
   parent: Attribute;
+  placeholders: TemplatePlaceholder[];
+  /**
+   * Exists only when the `parseStyle` parser option is enabled and the attribute is `style`.
+   */
+  declarations?: CSSDeclarationList;
 }
 
 export interface AttributeValueWrapperStart
@@ -142,6 +180,74 @@ export interface AttributeValueWrapperEnd
 
 export interface Text extends Parser.TextNode {
   parent: Document | Tag;
+  placeholders: TemplatePlaceholder[];
+}
+
+/**
+ * A template engine syntax (e.g. `{{ name }}`) or an expression of a template literal (e.g. `${name}`).
+ */
+export interface TemplatePlaceholder {
+  type: "TemplatePlaceholder";
+  parent:
+    | Text
+    | AttributeKey
+    | AttributeValue
+    | CommentContent
+    | ScriptTagContent
+    | StyleTagContent;
+  /**
+   * The raw source including the delimiters (e.g. `{{ name }}`).
+   */
+  value: string;
+  open: string;
+  close: string;
+  /**
+   * The raw source between the delimiters (e.g. ` name `).
+   */
+  source: string;
+  /**
+   * Exists only in template literals.
+   */
+  expression?: estree.Expression;
+  range: eslint.AST.Range;
+  loc: eslint.AST.SourceLocation;
+}
+
+/**
+ * CSS nodes are generated by css-tree, and their types are prefixed with `CSS`.
+ * @see https://github.com/csstree/csstree/blob/master/docs/ast.md
+ */
+export interface CSSNode {
+  type: string;
+  parent: AnyNode;
+  range: eslint.AST.Range;
+  loc: eslint.AST.SourceLocation;
+  [key: string]: any;
+}
+
+export interface CSSStyleSheet extends CSSNode {
+  type: "CSSStyleSheet";
+  parent: StyleTagContent;
+  children: CSSNode[];
+}
+
+export interface CSSRule extends CSSNode {
+  type: "CSSRule";
+  prelude: CSSNode;
+  block: CSSNode;
+}
+
+export interface CSSDeclarationList extends CSSNode {
+  type: "CSSDeclarationList";
+  parent: AttributeValue;
+  children: CSSDeclaration[];
+}
+
+export interface CSSDeclaration extends CSSNode {
+  type: "CSSDeclaration";
+  property: string;
+  important: boolean | string;
+  value: CSSNode;
 }
 
 /**
@@ -199,6 +305,7 @@ export type AnyNode =
   | AttributeValueWrapperEnd
   | AttributeValueWrapperStart
   | Text
+  | TemplatePlaceholder
   | Line
   | TaggedTemplateExpression
   | TemplateLiteral;
@@ -1,5 +1,6 @@
 import eslint from "eslint";
 import * as AST from "./ast";
+import * as estree from "estree";
 
 type PostFix<T, S extends string> = {
   [K in keyof T as `${K & string}${S}`]: T[K];
@@ -9,6 +10,7 @@ interface BaseRuleListener {
   Document?: (node: AST.Document) => void;
   AttributeKey?: (node: AST.AttributeKey) => void;
   Text?: (node: AST.Text) => void;
+  TemplatePlaceholder?: (node: AST.TemplatePlaceholder) => void;
   Tag?: (node: AST.Tag) => void;
   OpenTagStart?: (node: AST.OpenTagStart) => void;
   OpenTagEnd?: (node: AST.OpenTagEnd) => void;
@@ -40,8 +42,14 @@ interface BaseRuleListener {
     node: AST.DoctypeAttributeWrapperStart
   ) => void;
   DoctypeAttributeWrapperEnd?: (node: AST.DoctypeAttributeWrapperEnd) => void;
+  CSSStyleSheet?: (node: AST.CSSStyleSheet) => void;
+  CSSRule?: (node: AST.CSSRule) => void;
+  CSSDeclarationList?: (node: AST.CSSDeclarationList) => void;
+  CSSDeclaration?: (node: AST.CSSDeclaration) => void;
   TaggedTemplateExpression?: (node: AST.TaggedTemplateExpression) => void;
   TemplateLiteral?: (node: AST.TemplateLiteral) => void;
+  AssignmentExpression?: (node: estree.AssignmentExpression) => void;
+  CallExpression?: (node: estree.CallExpression) => void;
 }
 
 interface ReportDescriptorOptionsBase {
@@ -78,6 +86,16 @@ export interface Context extends Omit<ESLint.Rule.RuleContext, "report"> {
 export type RuleListener = BaseRuleListener &
   PostFix<BaseRuleListener, ":exit">;
 
+/**
+ * Listeners keyed by CSS selectors (e.g. `a[target=_blank]:not([rel])`) as well as node types.
+ * CSS selectors are distinguished from ESLint selectors by starting with a lowercase element name.
+ */
+export type SelectorRuleListener = RuleListener & {
+  [selector: `${Lowercase<string>}${string}`]:
+    | ((node: AST.Tag | AST.ScriptTag | AST.StyleTag) => void)
+    | undefined;
+};
+
 export interface RuleModule extends eslint.Rule.RuleModule {
   create(context: Context): RuleListener;
 }
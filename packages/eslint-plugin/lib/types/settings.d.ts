@@ -2,6 +2,11 @@ export type MaybeHTMLSettings = {
   templateLiterals?: {
     tags?: string[];
     comments?: string[];
+    svgTags?: string[];
+  };
+  stringLiterals?: {
+    properties?: string[];
+    calls?: string[];
   };
 };
 
@@ -9,5 +14,15 @@ export type HTMLSettings = {
   templateLiterals: {
     tags: RegExp[];
     comments: RegExp[];
+    svgTags: RegExp[];
   };
+  /**
+   * `null` if HTML in string literals is not checked.
+   */
+  stringLiterals: {
+    properties: RegExp[];
+    calls: RegExp[];
+  } | null;
 };
+
+export type TemplateMode = "html" | "svg";
@@ -0,0 +1,136 @@
+const { Linter } = require("eslint");
+const { createVisitors } = require("../lib/rules/utils/visitors");
+const { createAccessibleNameContext } = require("../lib/rules/utils/accname");
+const { findAttr } = require("../lib/rules/utils/node");
+
+/**
+ * Computes the accessible names of elements with `data-test`.
+ */
+function getNames(code, options) {
+  const linter = new Linter();
+  const plugin = {
+    rules: {
+      accname: {
+        create(context) {
+          let nameContext;
+          let targets = [];
+          return createVisitors(context, {
+            Document() {
+              nameContext = createAccessibleNameContext(options);
+              targets = [];
+            },
+            Tag(node) {
+              nameContext.collect(node);
+              if (findAttr(node, "data-test")) {
+                targets.push(node);
+              }
+            },
+            Text(node) {
+              nameContext.collect(node);
+            },
+            "Document:exit"() {
+              targets.forEach((node) => {
+                context.report({
+                  node,
+                  message: JSON.stringify(nameContext.getAccessibleName(node)),
+                });
+              });
+            },
+          });
+        },
+      },
+    },
+  };
+  return linter
+    .verify(
+      code,
+      {
+        files: ["**/*.html"],
+        plugins: { test: plugin },
+        languageOptions: {
+          parser: require("@html-eslint/parser"),
+          parserOptions: { templateEngineSyntax: { "{{": "}}" } },
+        },
+        rules: { "test/accname": "error" },
+      },
+      "test.html"
+    )
+    .map((message) => JSON.parse(message.message));
+}
+
+describe("accessible name", () => {
+  test("aria-labelledby", () => {
+    expect(
+      getNames(
+        `<span id="a">Hello</span><span id="b" hidden>hidden <i>world</i></span>
+<button data-test aria-labelledby="a b" aria-label="label">content</button>
+<button data-test aria-labelledby="missing" aria-label="label"></button>`
+      )
+    ).toEqual(["Hello hidden world", "label"]);
+  });
+
+  test("aria-labelledby is not followed in the traversal", () => {
+    expect(
+      getNames(
+        `<span id="a">A <span aria-labelledby="c">B</span></span><span id="c">C</span>
+<div data-test role="link" aria-labelledby="a"></div>`
+      )
+    ).toEqual(["A B"]);
+  });
+
+  test("labels", () => {
+    expect(
+      getNames(
+        `<label for="name">Name</label><label for="name">(required)</label>
+<input data-test id="name" title="title">
+<label>Email <input data-test type="email"></label>
+<input data-test placeholder="Search">`
+      )
+    ).toEqual(["Name (required)", "Email", "Search"]);
+  });
+
+  test("native names", () => {
+    expect(
+      getNames(
+        `<img data-test alt="Logo"><input data-test type="submit"><input data-test type="reset" value="Clear">
+<input data-test type="image" alt="Go"><fieldset data-test><legend>Size</legend></fieldset>
+<table data-test><caption>Prices</caption></table><svg data-test><title>Chart</title></svg>`
+      )
+    ).toEqual(["Logo", "Submit", "Clear", "Go", "Size", "Prices", "Chart"]);
+  });
+
+  test("contents", () => {
+    expect(
+      getNames(
+        `<a data-test href="/">  Go
+  <img alt="home"> <span aria-hidden="true">icon</span><span title="page"></span></a>
+<div data-test>not a name</div>
+<div data-test role="heading" aria-level="2">Heading</div>`
+      )
+    ).toEqual(["Go home page", "", "Heading"]);
+  });
+
+  test("templates", () => {
+    expect(
+      getNames(
+        `<button data-test>{{ label }}</button><button data-test aria-label="{{ label }}"></button>
+<span id="{{ id }}"></span><button data-test aria-labelledby="a"></button>`
+      )
+    ).toEqual([null, null, null]);
+    expect(
+      getNames(
+        `<input data-test id="a"><input data-test aria-labelledby="b">{{{ partial }}}`
+      )
+    ).toEqual([null, null]);
+  });
+
+  test("label components", () => {
+    expect(
+      getNames(
+        `<form-label for="name">Name</form-label><input data-test id="name">
+<Form-Label>Email <input data-test type="email"></Form-Label>`,
+        { labelComponents: ["FORM-LABEL"] }
+      )
+    ).toEqual(["Name", "Email"]);
+  });
+});
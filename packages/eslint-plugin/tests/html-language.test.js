@@ -0,0 +1,223 @@
+const { Linter } = require("eslint");
+const plugin = require("../lib");
+
+function createConfig(rules, languageOptions = {}) {
+  return {
+    files: ["**/*.html"],
+    plugins: {
+      "@html-eslint": plugin,
+    },
+    language: "@html-eslint/html",
+    languageOptions,
+    rules,
+  };
+}
+
+describe("html language", () => {
+  const linter = new Linter();
+
+  function lint(code, rules, languageOptions) {
+    return linter.verify(
+      code,
+      createConfig(rules, languageOptions),
+      "test.html"
+    );
+  }
+
+  test("runs rules on a Document root", () => {
+    const messages = lint(
+      `<div id="a"></div>
+<li id="a"></li>`,
+      {
+        "@html-eslint/no-duplicate-id": "error",
+        "@html-eslint/require-li-container": "error",
+      }
+    );
+    expect(
+      messages.map((message) => [message.ruleId, message.line, message.column])
+    ).toEqual([
+      ["@html-eslint/no-duplicate-id", 1, 10],
+      ["@html-eslint/require-li-container", 2, 1],
+      ["@html-eslint/no-duplicate-id", 2, 9],
+    ]);
+  });
+
+  test("fixes problems", () => {
+    const { output } = linter.verifyAndFix(
+      `<div  id="a">  \n</div>`,
+      createConfig({
+        "@html-eslint/no-extra-spacing-attrs": "error",
+        "@html-eslint/no-trailing-spaces": "error",
+      }),
+      "test.html"
+    );
+    expect(output).toBe(`<div id="a">\n</div>`);
+  });
+
+  test("fixes problems with fixers for templates", () => {
+    const { output, messages } = linter.verifyAndFix(
+      `<DIV id='a'><IMG></DIV>`,
+      createConfig({
+        "@html-eslint/lowercase": "error",
+        "@html-eslint/quotes": "error",
+        "@html-eslint/require-closing-tags": [
+          "error",
+          { selfClosing: "always" },
+        ],
+      }),
+      "test.html"
+    );
+    expect(messages).toEqual([]);
+    expect(output).toBe(`<div id="a"><img /></div>`);
+  });
+
+  test("supports disable directives", () => {
+    const messages = lint(
+      `<!-- eslint-disable-next-line @html-eslint/require-img-alt -->
+<img src="a.png">
+<img src="b.png"> <!-- eslint-disable-line -->
+<!-- eslint-disable -->
+<img src="c.png">
+<!-- eslint-enable @html-eslint/require-img-alt -->
+<img src="d.png">`,
+      { "@html-eslint/require-img-alt": "error" }
+    );
+    expect(messages.map((message) => message.line)).toEqual([7]);
+  });
+
+  test("supports inline configs", () => {
+    const messages = lint(
+      `<!-- eslint @html-eslint/require-img-alt: "error" -->
+<img src="a.png">
+<!-- eslint @html-eslint/no-inline-styles: [ -->`,
+      {}
+    );
+    expect(messages.map((message) => [message.ruleId, message.line])).toEqual([
+      ["@html-eslint/require-img-alt", 2],
+      [null, 3],
+    ]);
+  });
+
+  test("provides HTML aware source code", () => {
+    const visited = [];
+    linter.verify(
+      `<div>\r\n  <span>text</span>\n</div>`,
+      {
+        ...createConfig({ "test/source-code": "error" }),
+        plugins: {
+          "@html-eslint": plugin,
+          test: {
+            rules: {
+              "source-code": {
+                create(context) {
+                  const sourceCode = context.sourceCode;
+                  return {
+                    Document(node) {
+                      visited.push(["Document", node.parent]);
+                    },
+                    Tag(node) {
+                      visited.push([
+                        sourceCode.getText(node),
+                        node.parent.type,
+                        sourceCode.getAncestors(node).length,
+                        sourceCode.getLocFromIndex(node.range[0]),
+                        sourceCode.getIndexFromLoc(node.loc.start),
+                      ]);
+                    },
+                    "Document:exit"() {
+                      visited.push(sourceCode.getLines());
+                    },
+                  };
+                },
+              },
+            },
+          },
+        },
+      },
+      "test.html"
+    );
+    expect(visited).toEqual([
+      ["Document", null],
+      [
+        `<div>\r\n  <span>text</span>\n</div>`,
+        "Document",
+        1,
+        { line: 1, column: 0 },
+        0,
+      ],
+      ["<span>text</span>", "Tag", 2, { line: 2, column: 2 }, 9],
+      ["<div>", "  <span>text</span>", "</div>"],
+    ]);
+  });
+
+  test("supports templateEngineSyntax and parseStyle", () => {
+    const messages = linter.verify(
+      `<div style="color: red"></div>
+<div style="color: {{ color }}"></div>`,
+      {
+        ...createConfig(
+          { "test/no-color": "error" },
+          { templateEngineSyntax: { "{{": "}}" }, parseStyle: true }
+        ),
+        plugins: {
+          "@html-eslint": plugin,
+          test: {
+            rules: {
+              "no-color": {
+                create(context) {
+                  return {
+                    CSSDeclaration(node) {
+                      if (node.property === "color") {
+                        context.report({ node, message: "color" });
+                      }
+                    },
+                  };
+                },
+              },
+            },
+          },
+        },
+      },
+      "test.html"
+    );
+    expect(
+      messages.map((message) => [message.ruleId, message.line, message.column])
+    ).toEqual([["test/no-color", 1, 13]]);
+  });
+
+  test("supports definitions of templateEngineSyntax", () => {
+    const messages = lint(
+      `<div id="{{ "}}" }}"></div><div id="{{ "}}" }}"></div>`,
+      { "@html-eslint/no-duplicate-id": "error" },
+      {
+        templateEngineSyntax: {
+          "{{": { close: "}}", quotes: ['"'], escape: "\\", nested: false },
+        },
+      }
+    );
+    expect(messages.map((message) => message.column)).toEqual([10, 37]);
+  });
+
+  test.each([
+    [{ parser: require("@html-eslint/parser") }, 'Unexpected key "parser"'],
+    [{ templateEngineSyntax: "{{" }, 'Key "templateEngineSyntax"'],
+    [{ templateEngineSyntax: { "{{": 1 } }, 'Key "templateEngineSyntax"'],
+    [
+      { templateEngineSyntax: { "{{": { quotes: ['"'] } } },
+      'Key "templateEngineSyntax"',
+    ],
+    [
+      { templateEngineSyntax: { "{{": { close: "}}", quotes: '"' } } },
+      'Key "templateEngineSyntax"',
+    ],
+    [
+      { templateEngineDirectives: [{ open: "@" }] },
+      'Key "templateEngineDirectives"',
+    ],
+    [{ templateEngineBlocks: {} }, 'Key "templateEngineBlocks"'],
+    [{ templateEngineBlocks: [{ open: "^#" }] }, 'Key "templateEngineBlocks"'],
+    [{ parseStyle: "true" }, 'Key "parseStyle"'],
+  ])("validates languageOptions %j", (languageOptions, message) => {
+    expect(() => lint("<div></div>", {}, languageOptions)).toThrow(message);
+  });
+});
@@ -0,0 +1,216 @@
+const { Linter } = require("eslint");
+const plugin = require("../lib");
+
+const EXTENSIONS = {
+  markdown: "md",
+  vue: "vue",
+  svelte: "svelte",
+  php: "php",
+};
+
+function createConfig(processor, rules) {
+  return [
+    {
+      files: [`**/*.${EXTENSIONS[processor]}`],
+      plugins: { "@html-eslint": plugin },
+      processor: `@html-eslint/${processor}`,
+    },
+    {
+      files: ["**/*.html"],
+      plugins: { "@html-eslint": plugin },
+      languageOptions: { parser: require("@html-eslint/parser") },
+      rules,
+    },
+  ];
+}
+
+const RULES = {
+  "@html-eslint/require-img-alt": "error",
+  "@html-eslint/quotes": "error",
+  "@html-eslint/no-trailing-spaces": "error",
+};
+
+function lint(processor, code, filename) {
+  const linter = new Linter();
+  return linter.verify(code, createConfig(processor, RULES), {
+    filename,
+    filterCodeBlock: () => true,
+  });
+}
+
+function fix(processor, code, filename) {
+  const linter = new Linter();
+  return linter.verifyAndFix(code, createConfig(processor, RULES), {
+    filename,
+    filterCodeBlock: () => true,
+  }).output;
+}
+
+function locations(messages) {
+  return messages.map((message) => [
+    message.ruleId,
+    message.line,
+    message.column,
+    message.endLine,
+    message.endColumn,
+  ]);
+}
+
+describe("processors", () => {
+  describe("markdown", () => {
+    const code = `# Title
+
+<img src="ignored.png">
+
+\`\`\`html
+<img src='a.png'>
+\`\`\`
+
+\`\`\`js
+const a = '<img>';
+\`\`\`
+
+- item
+
+  ~~~HTML
+  <div>
+    <img src='b.png'>
+  </div>
+  ~~~
+`;
+
+    test("reports problems in html code blocks", () => {
+      expect(locations(lint("markdown", code, "README.md"))).toEqual([
+        ["@html-eslint/require-img-alt", 6, 1, 6, 18],
+        ["@html-eslint/quotes", 6, 6, 6, 17],
+        ["@html-eslint/require-img-alt", 17, 5, 17, 22],
+        ["@html-eslint/quotes", 17, 10, 17, 21],
+      ]);
+    });
+
+    test("fixes problems in html code blocks", () => {
+      expect(fix("markdown", code, "README.md")).toBe(
+        code
+          .replace("<img src='a.png'>", '<img src="a.png">')
+          .replace("<img src='b.png'>", '<img src="b.png">')
+      );
+    });
+
+    test("keeps indentation in multiline fixes", () => {
+      const linter = new Linter();
+      const { output } = linter.verifyAndFix(
+        `- item
+
+  \`\`\`html
+  <div><span></span></div>
+  \`\`\`
+`,
+        createConfig("markdown", {
+          "@html-eslint/element-newline": "error",
+        }),
+        { filename: "README.md", filterCodeBlock: () => true }
+      );
+      expect(output).toBe(`- item
+
+  \`\`\`html
+  <div>
+  <span></span>
+  </div>
+  \`\`\`
+`);
+    });
+
+    test("supports CRLF", () => {
+      expect(
+        fix(
+          "markdown",
+          "  ```html\r\n  <a href='a'>\r\n  </a>\r\n  ```",
+          "a.md"
+        )
+      ).toBe('  ```html\r\n  <a href="a">\r\n  </a>\r\n  ```');
+    });
+  });
+
+  describe("vue", () => {
+    const code = `<script setup>
+const alt = '';
+</script>
+
+<template>
+  <img src='a.png'>
+  <template v-if="ok"><img :src="src"></template>
+</template>
+
+<template lang="pug">
+img(src='a.png')
+</template>`;
+
+    test("reports problems in the template", () => {
+      expect(locations(lint("vue", code, "App.vue"))).toEqual([
+        ["@html-eslint/require-img-alt", 6, 3, 6, 20],
+        ["@html-eslint/quotes", 6, 8, 6, 19],
+        ["@html-eslint/require-img-alt", 7, 23, 7, 39],
+      ]);
+    });
+
+    test("fixes problems in the template", () => {
+      expect(fix("vue", code, "App.vue")).toBe(
+        code.replace("<img src='a.png'>", '<img src="a.png">')
+      );
+    });
+  });
+
+  describe("svelte", () => {
+    const code = `<script>
+  let src = 'a.png';
+  const open = () => '{';
+</script>
+
+<button on:click={() => a > 0 && go()} class={cls}>{label}</button>
+{#if ok}
+  <img src='b.png'>   
+{:else}
+  <img src={src} alt="" {...props}>
+{/if}
+<p title='{title}'>{@html html}</p>`;
+
+    test("reports problems in markup", () => {
+      expect(locations(lint("svelte", code, "App.svelte"))).toEqual([
+        ["@html-eslint/require-img-alt", 8, 3, 8, 20],
+        ["@html-eslint/quotes", 8, 8, 8, 19],
+        ["@html-eslint/no-trailing-spaces", 8, 20, 8, 23],
+        ["@html-eslint/quotes", 12, 4, 12, 19],
+      ]);
+    });
+
+    test("does not fix Svelte syntax", () => {
+      expect(fix("svelte", code, "App.svelte")).toBe(
+        code.replace("<img src='b.png'>   ", '<img src="b.png">')
+      );
+    });
+  });
+
+  describe("php", () => {
+    const code = `<?php $title = 'Title';   ?>
+<h1 class='<?= $class ?>'><?= $title ?></h1>
+<img src='a.png'>
+<?php if ($show): ?>
+  <img alt="" src='<?= $src ?>'>
+<?php endif;`;
+
+    test("ignores problems in PHP code", () => {
+      expect(locations(lint("php", code, "index.php"))).toEqual([
+        ["@html-eslint/quotes", 2, 5, 2, 26],
+        ["@html-eslint/require-img-alt", 3, 1, 3, 18],
+        ["@html-eslint/quotes", 3, 6, 3, 17],
+        ["@html-eslint/quotes", 5, 15, 5, 32],
+      ]);
+    });
+
+    test("does not fix PHP code", () => {
+      expect(fix("php", code, "index.php")).toBe(
+        code.replace("<img src='a.png'>", '<img src="a.png">')
+      );
+    });
+  });
+});
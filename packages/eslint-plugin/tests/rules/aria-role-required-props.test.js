@@ -0,0 +1,107 @@
+const createRuleTester = require("../rule-tester");
+const rule = require("../../lib/rules/aria-role-required-props");
+const { TEMPLATE_ENGINE_SYNTAX } = require("@html-eslint/parser");
+
+const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
+
+ruleTester.run("aria-role-required-props", rule, {
+  valid: [
+    {
+      code: `<div role="checkbox" aria-checked="false"></div>`,
+    },
+    {
+      code: `<div role="slider" aria-valuenow="1"></div>`,
+    },
+    {
+      code: `<div role="heading" aria-level="2"></div>`,
+    },
+    {
+      code: `<div role="button"></div>`,
+    },
+    {
+      code: `<input type="checkbox"><input type="checkbox" role="checkbox"><input type="checkbox" role="switch">`,
+    },
+    {
+      code: `<h2 role="heading"></h2><h3 role="none heading"></h3>`,
+    },
+    {
+      code: `<div role="invalid"></div><div role="{{ role }}"></div>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+        },
+      },
+    },
+    {
+      code: `<div role="unknown switch" aria-checked="true"></div>`,
+    },
+  ],
+  invalid: [
+    {
+      code: `<div role="checkbox"></div>`,
+      errors: [
+        {
+          message: "The role 'checkbox' requires the 'aria-checked' attribute.",
+          line: 1,
+          column: 6,
+          endColumn: 21,
+        },
+      ],
+    },
+    {
+      code: `<div role="SCROLLBAR"></div>`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { role: "scrollbar", attr: "aria-controls" },
+        },
+        {
+          messageId: "missing",
+          data: { role: "scrollbar", attr: "aria-valuenow" },
+        },
+      ],
+    },
+    {
+      code: `<span role="unknown switch"></span>`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { role: "switch", attr: "aria-checked" },
+        },
+      ],
+    },
+    {
+      code: `<input type="text" role="combobox"><p role="heading"></p>`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { role: "combobox", attr: "aria-expanded" },
+        },
+        {
+          messageId: "missing",
+          data: { role: "heading", attr: "aria-level" },
+        },
+      ],
+    },
+  ],
+});
+
+templateRuleTester.run("[template] aria-role-required-props", rule, {
+  valid: [
+    {
+      code: `html\`<div role="radio" aria-checked="\${checked}"></div>\`;`,
+    },
+  ],
+  invalid: [
+    {
+      code: `html\`<div role="radio"></div>\`;`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { role: "radio", attr: "aria-checked" },
+        },
+      ],
+    },
+  ],
+});
@@ -0,0 +1,130 @@
+const createRuleTester = require("../rule-tester");
+const rule = require("../../lib/rules/aria-role-supported-props");
+const { TEMPLATE_ENGINE_SYNTAX } = require("@html-eslint/parser");
+
+const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
+
+ruleTester.run("aria-role-supported-props", rule, {
+  valid: [
+    {
+      code: `<div role="checkbox" aria-checked="true" aria-required="true" aria-hidden="false"></div>`,
+    },
+    {
+      code: `<button aria-pressed="true" aria-expanded="false">a</button>`,
+    },
+    {
+      code: `<a href="/" aria-current="page">a</a>`,
+    },
+    {
+      code: `<input type="checkbox" aria-required="true"><input type="text" list="a" aria-expanded="false">`,
+    },
+    {
+      code: `<div role="menuitemradio" aria-checked="true" aria-posinset="1" aria-setsize="2"></div>`,
+    },
+    {
+      code: `<nav aria-label="main"></nav><section aria-label="a"></section>`,
+    },
+    {
+      code: `<label aria-checked="true"></label><input type="hidden" aria-checked="true">`,
+    },
+    {
+      code: `<svg><g aria-checked="true"></g></svg>`,
+    },
+    {
+      code: `<div aria-foo="a"></div><div role="{{ role }}" aria-checked="true"></div>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+        },
+      },
+    },
+    {
+      code: `<table role="grid"><tr><td aria-selected="true"></td></tr></table>`,
+    },
+  ],
+  invalid: [
+    {
+      code: `<div role="button" aria-checked="true"></div>`,
+      errors: [
+        {
+          message:
+            "The attribute 'aria-checked' is not supported by the role 'button'.",
+          line: 1,
+          column: 20,
+          endColumn: 39,
+        },
+      ],
+    },
+    {
+      code: `<h2 aria-expanded="true"></h2><a aria-pressed="true"></a>`,
+      errors: [
+        {
+          messageId: "unsupported",
+          data: { role: "heading", attr: "aria-expanded" },
+        },
+        {
+          messageId: "unsupported",
+          data: { role: "generic", attr: "aria-pressed" },
+        },
+      ],
+    },
+    {
+      code: `<div aria-label="a"></div><p role="presentation" aria-labelledby="a"></p>`,
+      errors: [
+        {
+          message:
+            "The attribute 'aria-label' is prohibited on the role 'generic'.",
+        },
+        {
+          messageId: "prohibited",
+          data: { role: "presentation", attr: "aria-labelledby" },
+        },
+      ],
+    },
+    {
+      code: `<input type="checkbox" aria-valuenow="1"><select aria-multiselectable="true"></select>`,
+      errors: [
+        {
+          messageId: "unsupported",
+          data: { role: "checkbox", attr: "aria-valuenow" },
+        },
+        {
+          messageId: "unsupported",
+          data: { role: "combobox", attr: "aria-multiselectable" },
+        },
+      ],
+    },
+    {
+      code: `<table><tr><td aria-selected="true"></td></tr></table>`,
+      errors: [
+        {
+          messageId: "unsupported",
+          data: { role: "cell", attr: "aria-selected" },
+        },
+      ],
+    },
+  ],
+});
+
+templateRuleTester.run("[template] aria-role-supported-props", rule, {
+  valid: [
+    {
+      code: `html\`<div role="switch" aria-checked="\${checked}"></div>\`;`,
+    },
+    {
+      code: `svg\`<rect aria-checked="true"></rect>\`;`,
+    },
+  ],
+  invalid: [
+    {
+      code: `html\`<li aria-checked="\${checked}"></li>\`;`,
+      errors: [
+        {
+          messageId: "unsupported",
+          data: { role: "listitem", attr: "aria-checked" },
+        },
+      ],
+    },
+  ],
+});
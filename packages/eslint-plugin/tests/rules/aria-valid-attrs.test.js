@@ -0,0 +1,160 @@
+const createRuleTester = require("../rule-tester");
+const rule = require("../../lib/rules/aria-valid-attrs");
+const { TEMPLATE_ENGINE_SYNTAX } = require("@html-eslint/parser");
+
+const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
+
+ruleTester.run("aria-valid-attrs", rule, {
+  valid: [
+    {
+      code: `<div aria-hidden="true"></div>`,
+    },
+    {
+      code: `<div ARIA-HIDDEN="False" aria-label="" aria-labelledby="a b"></div>`,
+    },
+    {
+      code: `<div role="checkbox" aria-checked="mixed"></div>`,
+    },
+    {
+      code: `<div aria-hidden=""></div><div aria-hidden></div><button aria-pressed=" " aria-expanded=""></button>`,
+    },
+    {
+      code: `<div role="slider" aria-valuenow="-1.5e2" aria-valuemin="-200" aria-valuemax="1"></div>`,
+    },
+    {
+      code: `<div aria-level="2" aria-current="page" aria-relevant="additions text"></div>`,
+    },
+    {
+      code: `<div aria-haspopup=" Menu "></div>`,
+    },
+    {
+      code: `<div aria-hidden="{{ hidden }}" aria-{{ name }}="a"></div>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+        },
+      },
+    },
+    {
+      code: `<script aria-hidden="true"></script><style aria-hidden="true"></style>`,
+    },
+    {
+      code: `<div data-aria-foo="bar" arial="a"></div>`,
+    },
+  ],
+  invalid: [
+    {
+      code: `<div aria-foo="bar"></div>`,
+      errors: [
+        {
+          messageId: "unknown",
+          data: { name: "aria-foo" },
+          line: 1,
+          column: 6,
+          endColumn: 14,
+        },
+      ],
+    },
+    {
+      code: `<div aria-hidden="yes"></div>`,
+      errors: [
+        {
+          message:
+            'Invalid value \'yes\' for \'aria-hidden\'. Expected "true", "false" or "undefined".',
+          column: 6,
+        },
+      ],
+    },
+    {
+      code: `<div aria-checked="on" aria-level="1.5" aria-valuenow="a" aria-activedescendant="a b" aria-labelledby=" "></div>`,
+      errors: [
+        {
+          messageId: "invalidValue",
+          data: {
+            name: "aria-checked",
+            value: "on",
+            expected: '"true", "false" or "mixed"',
+          },
+        },
+        {
+          messageId: "invalidValue",
+          data: { name: "aria-level", value: "1.5", expected: "an integer" },
+        },
+        {
+          messageId: "invalidValue",
+          data: { name: "aria-valuenow", value: "a", expected: "a number" },
+        },
+        {
+          messageId: "invalidValue",
+          data: {
+            name: "aria-activedescendant",
+            value: "a b",
+            expected: "an id",
+          },
+        },
+        {
+          messageId: "invalidValue",
+          data: {
+            name: "aria-labelledby",
+            value: " ",
+            expected: "a space-separated list of ids",
+          },
+        },
+      ],
+    },
+    {
+      code: `<div aria-live="rude"></div>`,
+      errors: [
+        {
+          message:
+            'Invalid token \'rude\' for \'aria-live\'. Expected one of "assertive", "off", "polite".',
+        },
+      ],
+    },
+    {
+      code: `<div aria-relevant="additions changes"></div>`,
+      errors: [
+        {
+          messageId: "invalidToken",
+          data: {
+            name: "aria-relevant",
+            token: "changes",
+            expected:
+              'a space-separated list of "additions", "all", "removals", "text"',
+          },
+        },
+      ],
+    },
+    {
+      code: `<div aria-autocomplete=""></div>`,
+      errors: [
+        {
+          messageId: "invalidValue",
+        },
+      ],
+    },
+  ],
+});
+
+templateRuleTester.run("[template] aria-valid-attrs", rule, {
+  valid: [
+    {
+      code: `html\`<div aria-hidden="\${hidden}" aria-live="polite"></div>\`;`,
+    },
+  ],
+  invalid: [
+    {
+      code: `html\`<div aria-hidden="yes" aria-foo="\${bar}"></div>\`;`,
+      errors: [
+        {
+          messageId: "invalidValue",
+        },
+        {
+          messageId: "unknown",
+          data: { name: "aria-foo" },
+        },
+      ],
+    },
+  ],
+});
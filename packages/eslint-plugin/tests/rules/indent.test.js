@@ -382,6 +382,84 @@ function createTests() {
 </script>
         `,
       },
+      {
+        code: `
+<html>
+    <script>
+function a() {
+      return 1;
+}
+    </script>
+</html>
+        `,
+      },
+      {
+        code: `
+<div>
+    <script>
+        function a() {
+          if (b) {
+              return 1;
+          }
+        }
+    </script>
+    <style>
+        a {
+          color: red;
+        }
+    </style>
+</div>
+        `,
+        options: [4, { scriptContentIndent: 1, styleContentIndent: 1 }],
+      },
+      {
+        code: `
+<div>
+    <script>
+    foo();
+    </script>
+    <script>foo();
+    </script>
+</div>
+        `,
+        options: [4, { scriptContentIndent: 0 }],
+      },
+      {
+        code: `
+<div>
+    <input type="text"
+           name="a"
+           disabled>
+    <img
+        src="a.png"
+        alt="a">
+</div>
+        `,
+        options: [4, { align: "first-attribute" }],
+      },
+      {
+        code: `
+<div
+    id="a"
+    class="b"
+>
+    <img src="a.png"
+         alt="a"
+    />
+</div>
+        `,
+        options: [4, { align: "first-attribute", closingBracket: "tag" }],
+      },
+      {
+        code: `
+<div
+    id="a"
+    class="b">
+    <img src="a.png" alt="a">
+</div>
+        `,
+        options: [4, { closingBracket: "last-attribute" }],
+      },
     ],
     invalid: [
       {
@@ -1076,6 +1154,231 @@ id="bar"
         `,
         errors: wrongIndentErrors(2),
       },
+      {
+        code: `
+<div>
+  <script>
+function a() {
+      return 1;
+}
+  </script>
+  <style>
+            a {
+              color: red;
+            }
+  </style>
+</div>
+        `,
+        output: `
+<div>
+  <script>
+    function a() {
+          return 1;
+    }
+  </script>
+  <style>
+    a {
+      color: red;
+    }
+  </style>
+</div>
+        `,
+        options: [2, { scriptContentIndent: 1, styleContentIndent: 1 }],
+        errors: [
+          {
+            messageId: "wrongIndent",
+            data: { expected: "4 space", actual: "no indent" },
+            line: 4,
+          },
+          {
+            messageId: "wrongIndent",
+            data: { expected: "10 space", actual: "6 space" },
+            line: 5,
+          },
+          {
+            messageId: "wrongIndent",
+            data: { expected: "4 space", actual: "no indent" },
+            line: 6,
+          },
+          ...wrongIndentErrors(3),
+        ],
+      },
+      {
+        code: `
+<div>
+\t<script>
+\tfoo(function () {
+\t  bar();
+\t});</script>
+</div>
+        `,
+        output: `
+<div>
+\t<script>
+\t\tfoo(function () {
+\t\t  bar();
+\t\t});</script>
+</div>
+        `,
+        options: ["tab", { scriptContentIndent: 1 }],
+        errors: [
+          {
+            messageId: "wrongIndent",
+            data: { expected: "2 tab", actual: "1 tab" },
+          },
+          {
+            messageId: "wrongIndent",
+            data: { expected: "2 tab, 2 space", actual: "1 tab, 2 space" },
+          },
+          {
+            messageId: "wrongIndent",
+            data: { expected: "2 tab", actual: "1 tab" },
+          },
+        ],
+      },
+      {
+        code: `
+<div>
+  <script>
+const s = \`
+line
+    x\`;
+const t = "a\\
+  b";
+  </script>
+</div>
+        `,
+        output: `
+<div>
+  <script>
+    const s = \`
+line
+    x\`;
+    const t = "a\\
+  b";
+  </script>
+</div>
+        `,
+        options: [2, { scriptContentIndent: 1 }],
+        errors: [
+          {
+            messageId: "wrongIndent",
+            data: { expected: "4 space", actual: "no indent" },
+            line: 4,
+          },
+          {
+            messageId: "wrongIndent",
+            data: { expected: "4 space", actual: "no indent" },
+            line: 7,
+          },
+        ],
+      },
+      {
+        code: `
+<div>
+\t<input type="text"
+\t\tname="a"
+\t    disabled>
+</div>
+        `,
+        output: `
+<div>
+\t<input type="text"
+\t       name="a"
+\t       disabled>
+</div>
+        `,
+        options: ["tab", { align: "first-attribute" }],
+        errors: [
+          {
+            messageId: "wrongIndent",
+            data: { expected: "1 tab, 7 space", actual: "2 tab" },
+          },
+          {
+            messageId: "wrongIndent",
+            data: { expected: "1 tab, 7 space", actual: "1 tab, 4 space" },
+          },
+        ],
+      },
+      {
+        code: `
+<div
+  id="a"
+  class="b">
+  <img src="a.png"
+       alt="a"/>
+</div>
+        `,
+        output: `
+<div
+  id="a"
+  class="b"
+>
+  <img src="a.png"
+       alt="a"
+  />
+</div>
+        `,
+        options: [2, { align: "first-attribute", closingBracket: "tag" }],
+        errors: [
+          {
+            messageId: "closingBracketNewline",
+            data: { bracket: ">" },
+            line: 4,
+          },
+          {
+            messageId: "closingBracketNewline",
+            data: { bracket: "/>" },
+            line: 6,
+          },
+        ],
+      },
+      {
+        code: `
+<div
+  id="a"
+  class="b"
+  >
+  <img src="a.png"
+       alt="a"
+  />
+  <script
+    src="a.js"
+  ></script>
+</div>
+        `,
+        output: `
+<div
+  id="a"
+  class="b">
+  <img src="a.png"
+       alt="a" />
+  <script
+    src="a.js"></script>
+</div>
+        `,
+        options: [
+          2,
+          { align: "first-attribute", closingBracket: "last-attribute" },
+        ],
+        errors: [
+          {
+            messageId: "closingBracketSameLine",
+            data: { bracket: ">" },
+            line: 5,
+          },
+          {
+            messageId: "closingBracketSameLine",
+            data: { bracket: "/>" },
+            line: 8,
+          },
+          {
+            messageId: "closingBracketSameLine",
+            data: { bracket: ">" },
+            line: 11,
+          },
+        ],
+      },
     ],
   };
 }
@@ -1421,5 +1724,52 @@ class Component extends LitElement {
       options: ["tab", { Attribute: 2, tagChildrenIndent: { span: 2 } }],
       errors: wrongIndentErrors(1),
     },
+    {
+      code: `
+const style = html\`
+  <style>
+  a {
+    color: red;
+  }
+  </style>
+\`;
+`,
+      output: `
+const style = html\`
+  <style>
+    a {
+      color: red;
+    }
+  </style>
+\`;
+`,
+      options: [2, { styleContentIndent: 1 }],
+      errors: wrongIndentErrors(3),
+    },
+    {
+      code: `
+const a = html\`<input type="text"
+    name="a"
+    disabled>\`;
+`,
+      output: `
+const a = html\`<input type="text"
+                      name="a"
+                      disabled
+    >\`;
+`,
+      options: [4, { align: "first-attribute", closingBracket: "tag" }],
+      errors: [
+        {
+          messageId: "wrongIndent",
+        },
+        {
+          messageId: "wrongIndent",
+        },
+        {
+          messageId: "closingBracketNewline",
+        },
+      ],
+    },
   ],
 });
@@ -143,6 +143,9 @@ const KEY = 'id';
 const code = /* html */\`<div \${KEY}></div>\`
       `,
     },
+    {
+      code: `svg\`<rect viewBox="0 0 10 10" preserveAspectRatio="none"></rect>\``,
+    },
   ],
   invalid: [
     {
@@ -163,5 +166,33 @@ const code = /* html */\`<div \${KEY}></div>\`
         },
       ],
     },
+    {
+      code: `html\`<rect viewBox="0 0 10 10"></rect>\``,
+      output: `html\`<rect viewbox="0 0 10 10"></rect>\``,
+      errors: [
+        {
+          message: "'viewBox' is not in lowercase.",
+        },
+      ],
+    },
+    {
+      code: `svg\`<rect viewBox="0 0 10 10" CLASS="a"></rect>\``,
+      output: `svg\`<rect viewBox="0 0 10 10" class="a"></rect>\``,
+      errors: [
+        {
+          message: "'CLASS' is not in lowercase.",
+        },
+      ],
+    },
+    {
+      code: `el.innerHTML = "<D\\u0049V>" + text + "</DIV>";`,
+      output: `el.innerHTML = "<div>" + text + "</div>";`,
+      settings: { html: { stringLiterals: {} } },
+      errors: [
+        {
+          message: "'DIV' is not in lowercase.",
+        },
+      ],
+    },
   ],
 });
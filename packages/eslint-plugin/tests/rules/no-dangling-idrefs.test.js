@@ -0,0 +1,147 @@
+const createRuleTester = require("../rule-tester");
+const rule = require("../../lib/rules/no-dangling-idrefs");
+const { TEMPLATE_ENGINE_SYNTAX } = require("@html-eslint/parser");
+
+const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
+
+const handlebars = {
+  parserOptions: {
+    templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+  },
+};
+
+ruleTester.run("no-dangling-idrefs", rule, {
+  valid: [
+    {
+      code: `<label for="name">Name</label><input id="name">`,
+    },
+    {
+      code: `<input aria-labelledby="a b" aria-describedby=" b  "><span id="a"></span><span id="b"></span>`,
+    },
+    {
+      code: `<input list="items" form="f"><datalist id="items"></datalist><form id="f"></form>`,
+    },
+    {
+      code: `<table><tr><th id="h1"></th><th id="h2"></th></tr><tr><td headers="h1 h2"></td></tr></table>`,
+    },
+    {
+      code: `<button aria-controls="menu"></button><script id="menu"></script>`,
+    },
+    {
+      code: `<label for="">a</label><div aria-label="not an id"></div>`,
+    },
+    {
+      code: `<label for="{{ id }}">a</label><div aria-labelledby="a {{ b }}"></div>`,
+      languageOptions: handlebars,
+    },
+    {
+      code: `<label for="name">a</label><input id="{{ id }}">`,
+      languageOptions: handlebars,
+    },
+    {
+      code: `<label for="name">a</label>{{{ input }}}`,
+      languageOptions: handlebars,
+    },
+    {
+      code: `<output for="a b"></output><input id="a"><input id="b"><label for=" a ">a</label>`,
+    },
+  ],
+  invalid: [
+    {
+      code: `<label for="name">Name</label><input id="Name">`,
+      errors: [
+        {
+          message: "The id 'name' referenced by 'for' does not exist.",
+          line: 1,
+          column: 13,
+          endColumn: 17,
+        },
+      ],
+    },
+    {
+      code: `<output for="a b"></output><input id="b">`,
+      errors: [
+        {
+          messageId: "dangling",
+          data: { id: "a", attr: "for" },
+        },
+      ],
+    },
+    {
+      code: `<input aria-labelledby="a b c"><span id="b"></span>`,
+      errors: [
+        {
+          messageId: "dangling",
+          data: { id: "a", attr: "aria-labelledby" },
+        },
+        {
+          messageId: "dangling",
+          data: { id: "c", attr: "aria-labelledby" },
+        },
+      ],
+    },
+    {
+      code: `<input list="items" form="f" aria-activedescendant="o"><td headers="h"></td><button popovertarget="p" aria-controls="m" ARIA-DESCRIBEDBY="d"></button>`,
+      errors: [
+        {
+          messageId: "dangling",
+          data: { id: "items", attr: "list" },
+        },
+        {
+          messageId: "dangling",
+          data: { id: "f", attr: "form" },
+        },
+        {
+          messageId: "dangling",
+          data: { id: "o", attr: "aria-activedescendant" },
+        },
+        {
+          messageId: "dangling",
+          data: { id: "h", attr: "headers" },
+        },
+        {
+          messageId: "dangling",
+          data: { id: "p", attr: "popovertarget" },
+        },
+        {
+          messageId: "dangling",
+          data: { id: "m", attr: "aria-controls" },
+        },
+        {
+          messageId: "dangling",
+          data: { id: "d", attr: "aria-describedby" },
+        },
+      ],
+    },
+  ],
+});
+
+templateRuleTester.run("[template] no-dangling-idrefs", rule, {
+  valid: [
+    {
+      code: `html\`<label for="name">Name</label><input id="name">\`;`,
+    },
+    {
+      code: `html\`<label for="\${id}">Name</label>\`;`,
+    },
+    {
+      code: `html\`<label for="name">Name</label><input id="\${id}">\`;`,
+    },
+    {
+      code: `html\`<label for="name">Name</label>\${html\`<input id="name">\`}\`;`,
+    },
+  ],
+  invalid: [
+    {
+      code: `html\`<input id="name">\`; html\`<label for="name">Name</label>\`;`,
+      errors: [
+        {
+          messageId: "dangling",
+          data: { id: "name", attr: "for" },
+          column: 43,
+        },
+      ],
+    },
+  ],
+});
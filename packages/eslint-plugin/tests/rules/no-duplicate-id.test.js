@@ -1,11 +1,33 @@
 const createRuleTester = require("../rule-tester");
 const rule = require("../../lib/rules/no-duplicate-id");
+const {
+  TEMPLATE_ENGINE_SYNTAX,
+  TEMPLATE_ENGINE_BLOCKS,
+} = require("@html-eslint/parser");
 
 const ruleTester = createRuleTester();
 const templateRuleTester = createRuleTester("espree");
 
 ruleTester.run("no-duplicate-id", rule, {
   valid: [
+    {
+      code: `{{#if a}}<div id="foo"></div>{{else if b}}<div id="foo"></div>{{else}}{{#each items}}<div id="bar"></div>{{/each}}<div id="foo"></div>{{/if}}`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.HANDLEBAR,
+        },
+      },
+    },
+    {
+      code: `{% if a %}<div id="foo"></div>{% else %}<div id="foo"></div>{% endif %}`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.TWIG,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.TWIG,
+        },
+      },
+    },
     {
       code: `
 <html>
@@ -18,6 +40,46 @@ ruleTester.run("no-duplicate-id", rule, {
     },
   ],
   invalid: [
+    {
+      code: `{{#if a}}<div id="foo"></div>{{else}}<div id="foo"></div>{{/if}}<div id="foo"></div>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.HANDLEBAR,
+        },
+      },
+      errors: [
+        {
+          messageId: "duplicateId",
+          column: 19,
+        },
+        {
+          messageId: "duplicateId",
+          column: 47,
+        },
+        {
+          messageId: "duplicateId",
+          column: 74,
+        },
+      ],
+    },
+    {
+      code: `{{#if a}}<div id="foo"></div><div id="foo"></div>{{/if}}`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.HANDLEBAR,
+        },
+      },
+      errors: [
+        {
+          messageId: "duplicateId",
+        },
+        {
+          messageId: "duplicateId",
+        },
+      ],
+    },
     {
       code: `
 <html>
@@ -72,6 +134,31 @@ html\`<html>
 </html>\`
 `,
     },
+    {
+      code: `
+class A extends LitElement {
+  render() {
+    return html\`<div id="a"></div>\`;
+  }
+}
+class B extends LitElement {
+  render() {
+    return html\`<div id="a"></div>\`;
+  }
+}
+html\`<div id="a"></div>\`;
+`,
+      options: [{ scope: "class" }],
+    },
+    {
+      code: `
+function a() {
+  return html\`<div id="a"></div>\`;
+}
+const b = html\`<div id="a"></div>\`;
+`,
+      options: [{ scope: "template" }],
+    },
   ],
   invalid: [
     {
@@ -116,5 +203,88 @@ html\`<html>
         },
       ],
     },
+    {
+      code: `el.innerHTML = '<div id="foo"></div>' + '<a id="foo"></a>';`,
+      settings: { html: { stringLiterals: {} } },
+      errors: [
+        {
+          messageId: "duplicateId",
+          column: 26,
+        },
+        {
+          messageId: "duplicateId",
+          column: 49,
+        },
+      ],
+    },
+    {
+      code: `
+class A extends LitElement {
+  renderItem() {
+    return html\`<li id="item"></li>\`;
+  }
+  render() {
+    return html\`<ul id="list">\${this.renderItem()}</ul><div id="item"></div>\`;
+  }
+}
+class B extends LitElement {
+  render() {
+    return html\`<div id="list"></div>\`;
+  }
+}
+`,
+      options: [{ scope: "class" }],
+      errors: [
+        {
+          messageId: "duplicateId",
+          line: 4,
+        },
+        {
+          messageId: "duplicateId",
+          line: 7,
+        },
+      ],
+    },
+    {
+      code: `
+function render() {
+  const header = html\`<h1 id="title"></h1>\`;
+  return html\`\${header}<p id="title"></p>\`;
+}
+function other() {
+  return html\`<p id="title"></p>\`;
+}
+`,
+      options: [{ scope: "function" }],
+      errors: [
+        {
+          messageId: "duplicateId",
+          line: 3,
+        },
+        {
+          messageId: "duplicateId",
+          line: 4,
+        },
+      ],
+    },
+    {
+      code: `
+const header = html\`<h1 id="title"></h1>\`;
+function render() {
+  return html\`\${header}<p id="title"></p>\`;
+}
+`,
+      options: [{ scope: "file" }],
+      errors: [
+        {
+          messageId: "duplicateId",
+          line: 2,
+        },
+        {
+          messageId: "duplicateId",
+          line: 4,
+        },
+      ],
+    },
   ],
 });
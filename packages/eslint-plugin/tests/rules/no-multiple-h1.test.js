@@ -1,10 +1,24 @@
 const createRuleTester = require("../rule-tester");
 const rule = require("../../lib/rules/no-multiple-h1");
+const {
+  TEMPLATE_ENGINE_SYNTAX,
+  TEMPLATE_ENGINE_BLOCKS,
+} = require("@html-eslint/parser");
 
 const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
 
 ruleTester.run("no-multiple-h1", rule, {
   valid: [
+    {
+      code: `{{#if a}}<h1>a</h1>{{else}}<h1>b</h1>{{/if}}`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.HANDLEBAR,
+        },
+      },
+    },
     {
       code: `
 <html>
@@ -16,6 +30,26 @@ ruleTester.run("no-multiple-h1", rule, {
     },
   ],
   invalid: [
+    {
+      code: `{{#if a}}<h1>a</h1>{{else}}<h1>b</h1>{{/if}}<h1>c</h1>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.HANDLEBAR,
+        },
+      },
+      errors: [
+        {
+          messageId: "unexpectedMultiH1",
+        },
+        {
+          messageId: "unexpectedMultiH1",
+        },
+        {
+          messageId: "unexpectedMultiH1",
+        },
+      ],
+    },
     {
       code: `
 <html>
@@ -37,3 +71,29 @@ ruleTester.run("no-multiple-h1", rule, {
     },
   ],
 });
+
+templateRuleTester.run("[template] no-multiple-h1", rule, {
+  valid: [
+    {
+      code: "html`<h1>title</h1>`; html`<h1>title</h1>`;",
+    },
+    {
+      code: "html`<h1>${html`<h1>nested</h1>`}</h1>`",
+    },
+  ],
+  invalid: [
+    {
+      code: "html`<h1>title</h1><h1>title</h1>`",
+      errors: [
+        {
+          messageId: "unexpectedMultiH1",
+          column: 6,
+        },
+        {
+          messageId: "unexpectedMultiH1",
+          column: 20,
+        },
+      ],
+    },
+  ],
+});
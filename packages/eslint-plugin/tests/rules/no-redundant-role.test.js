@@ -0,0 +1,179 @@
+const { RuleTester } = require("eslint");
+const createRuleTester = require("../rule-tester");
+const plugin = require("../../lib");
+const rule = require("../../lib/rules/no-redundant-role");
+const { TEMPLATE_ENGINE_SYNTAX } = require("@html-eslint/parser");
+
+const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
+
+ruleTester.run("no-redundant-role", rule, {
+  valid: [
+    {
+      code: `<button>a</button><nav></nav><ul></ul>`,
+    },
+    {
+      code: `<div role="button"></div><ul role="menu"></ul>`,
+    },
+    {
+      code: `<a role="link">a</a><a href="/" role="button">a</a>`,
+    },
+    {
+      code: `<input type="text" role="checkbox"><input type="checkbox" role="switch">`,
+    },
+    {
+      code: `<section role="region"></section><article><header role="banner"></header></article>`,
+    },
+    {
+      code: `<img src="a.png" role="presentation" alt="a">`,
+    },
+    {
+      code: `<svg><a href="/" role="link"></a></svg>`,
+    },
+    {
+      code: `<button role="{{ role }}">a</button>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+        },
+      },
+    },
+  ],
+  invalid: [
+    {
+      code: `<button role="button">a</button>`,
+      output: `<button>a</button>`,
+      errors: [
+        {
+          message: "Redundant role 'button'. <button> has the role implicitly.",
+          line: 1,
+          column: 9,
+          endColumn: 22,
+        },
+      ],
+    },
+    {
+      code: `<nav class="a" role="navigation" id="b"></nav><ul role="LIST"></ul>`,
+      output: `<nav class="a" id="b"></nav><ul></ul>`,
+      errors: [
+        {
+          messageId: "redundant",
+          data: { role: "navigation", element: "nav" },
+        },
+        {
+          messageId: "redundant",
+          data: { role: "list", element: "ul" },
+        },
+      ],
+    },
+    {
+      code: `<a href="/" role="link">a</a><input type="checkbox" role="checkbox"><input list="a" role="combobox">`,
+      output: `<a href="/">a</a><input type="checkbox"><input list="a">`,
+      errors: [
+        {
+          messageId: "redundant",
+          data: { role: "link", element: "a" },
+        },
+        {
+          messageId: "redundant",
+          data: { role: "checkbox", element: "input" },
+        },
+        {
+          messageId: "redundant",
+          data: { role: "combobox", element: "input" },
+        },
+      ],
+    },
+    {
+      code: `<header role="banner"></header><section aria-label="a" role="region"></section><img alt="" role="none">`,
+      output: `<header></header><section aria-label="a"></section><img alt="">`,
+      errors: [
+        {
+          messageId: "redundant",
+          data: { role: "banner", element: "header" },
+        },
+        {
+          messageId: "redundant",
+          data: { role: "region", element: "section" },
+        },
+        {
+          messageId: "redundant",
+          data: { role: "none", element: "img" },
+        },
+      ],
+    },
+    {
+      code: `<table><tr role="row"><th scope="row" role="rowheader"></th><td
+  role="cell"></td></tr></table>`,
+      output: `<table><tr><th scope="row"></th><td></td></tr></table>`,
+      errors: [
+        {
+          messageId: "redundant",
+          data: { role: "row", element: "tr" },
+        },
+        {
+          messageId: "redundant",
+          data: { role: "rowheader", element: "th" },
+        },
+        {
+          messageId: "redundant",
+          data: { role: "cell", element: "td" },
+        },
+      ],
+    },
+  ],
+});
+
+templateRuleTester.run("[template] no-redundant-role", rule, {
+  valid: [
+    {
+      code: `html\`<button role="\${role}">a</button>\`;`,
+    },
+  ],
+  invalid: [
+    {
+      code: `html\`<button
+  role="button">a</button>\`;`,
+      output: `html\`<button>a</button>\`;`,
+      errors: [
+        {
+          messageId: "redundant",
+        },
+      ],
+    },
+    {
+      code: `el.innerHTML = "<ul class=\\"a\\" role='list'></ul>";`,
+      output: `el.innerHTML = "<ul class=\\"a\\"></ul>";`,
+      settings: {
+        html: {
+          stringLiterals: {},
+        },
+      },
+      errors: [
+        {
+          messageId: "redundant",
+        },
+      ],
+    },
+  ],
+});
+
+const htmlLanguageRuleTester = new RuleTester({
+  plugins: { "@html-eslint": plugin },
+  language: "@html-eslint/html",
+});
+
+htmlLanguageRuleTester.run("[html language] no-redundant-role", rule, {
+  valid: [
+    {
+      code: `<button>a</button>`,
+    },
+  ],
+  invalid: [
+    {
+      code: `<button role="button">a</button>`,
+      output: `<button>a</button>`,
+      errors: [{ messageId: "redundant" }],
+    },
+  ],
+});
@@ -0,0 +1,122 @@
+const createRuleTester = require("../rule-tester");
+const rule = require("../../lib/rules/no-restricted-elements");
+
+const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
+
+ruleTester.run("no-restricted-elements", rule, {
+  valid: [
+    {
+      code: `<div></div>`,
+      options: [{ selector: "font" }],
+    },
+    {
+      code: `<table></table><div><span><table></table></span></div>`,
+      options: [{ selector: "div > table" }],
+    },
+    {
+      code: `<iframe sandbox src="/a"></iframe>`,
+      options: [{ selector: "iframe:not([sandbox])" }],
+    },
+    {
+      code: `<a href="https://example.com"></a><a href="{{ url }}"></a>`,
+      options: [{ selector: 'a[href^="javascript:"]' }],
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: { "{{": "}}" },
+        },
+      },
+    },
+  ],
+  invalid: [
+    {
+      code: `<font></font>`,
+      options: [{ selector: "font" }],
+      errors: [
+        {
+          messageId: "restricted",
+          data: { selector: "font" },
+          line: 1,
+          column: 1,
+        },
+      ],
+    },
+    {
+      code: `<div>
+  <table></table>
+</div>`,
+      options: [{ selector: "div > table" }],
+      errors: [
+        {
+          messageId: "restricted",
+          data: { selector: "div > table" },
+          line: 2,
+          column: 3,
+        },
+      ],
+    },
+    {
+      code: `<iframe src="/a"></iframe>`,
+      options: [
+        {
+          selector: "iframe:not([sandbox])",
+          message: "Use a sandboxed iframe.",
+        },
+      ],
+      errors: [{ message: "Use a sandboxed iframe." }],
+    },
+    {
+      code: `<a href="JavaScript:void(0)"></a><a href="javascript:void(0)"></a>`,
+      options: [
+        {
+          selector: 'a[href^="javascript:" i]',
+          message: "'{{selector}}' is a script URL.",
+        },
+      ],
+      errors: [
+        { message: `'a[href^="javascript:" i]' is a script URL.` },
+        { message: `'a[href^="javascript:" i]' is a script URL.` },
+      ],
+    },
+    {
+      code: `<script src="a.js"></script><style></style>`,
+      options: [{ selector: "script[src]" }, { selector: "style" }],
+      errors: [
+        { data: { selector: "script[src]" }, messageId: "restricted" },
+        { data: { selector: "style" }, messageId: "restricted" },
+      ],
+    },
+  ],
+});
+
+templateRuleTester.run("[template] no-restricted-elements", rule, {
+  valid: [
+    {
+      code: "html`<iframe sandbox></iframe>`",
+      options: [{ selector: "iframe:not([sandbox])" }],
+    },
+    {
+      code: "`<font></font>`",
+      options: [{ selector: "font" }],
+    },
+  ],
+  invalid: [
+    {
+      code: "html`<div><table></table></div>`",
+      options: [{ selector: "div > table" }],
+      errors: [
+        {
+          messageId: "restricted",
+          data: { selector: "div > table" },
+          line: 1,
+          column: 11,
+        },
+      ],
+    },
+    {
+      code: "const code = /* html */ `<font></font>`",
+      options: [{ selector: "font", message: "Use CSS instead." }],
+      errors: [{ message: "Use CSS instead." }],
+    },
+  ],
+});
@@ -2,6 +2,7 @@ const createRuleTester = require("../rule-tester");
 const rule = require("../../lib/rules/no-skip-heading-levels");
 
 const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
 
 ruleTester.run("no-skip-heading-levels", rule, {
   valid: [
@@ -67,3 +68,26 @@ ruleTester.run("no-skip-heading-levels", rule, {
     },
   ],
 });
+
+templateRuleTester.run("[template] no-skip-heading-levels", rule, {
+  valid: [
+    {
+      code: "html`<h1>a</h1><h2>b</h2>`; html`<h2>c</h2>`;",
+    },
+    {
+      code: "html`<h3>a</h3>`; html`<h1>b</h1>`;",
+    },
+  ],
+  invalid: [
+    {
+      code: "html`<h1>a</h1><h3>b</h3>`",
+      errors: [
+        {
+          messageId: "unexpected",
+          data: { expected: "2" },
+          column: 16,
+        },
+      ],
+    },
+  ],
+});
@@ -78,5 +78,45 @@ templateRuleTester.run("[template] no-tailing-spaces", rule, {
 </div>\``,
     },
   ],
-  invalid: [],
+  invalid: [
+    {
+      code: `const a = 1;
+  html\`<div>  
+  <span></span>\t
+</div>\`;`,
+      output: `const a = 1;
+  html\`<div>
+  <span></span>
+</div>\`;`,
+      errors: [
+        {
+          messageId: "trailingSpace",
+          line: 2,
+          column: 13,
+          endLine: 2,
+          endColumn: 15,
+        },
+        {
+          messageId: "trailingSpace",
+          line: 3,
+          column: 16,
+          endLine: 3,
+          endColumn: 17,
+        },
+      ],
+    },
+    {
+      code: `const code = /* html */ \`<div>\${a}   
+</div>\`;`,
+      output: `const code = /* html */ \`<div>\${a}
+</div>\`;`,
+      errors: [
+        {
+          messageId: "trailingSpace",
+          line: 1,
+          column: 35,
+        },
+      ],
+    },
+  ],
 });
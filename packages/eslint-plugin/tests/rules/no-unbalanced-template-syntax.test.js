@@ -0,0 +1,126 @@
+const createRuleTester = require("../rule-tester");
+const rule = require("../../lib/rules/no-unbalanced-template-syntax");
+const { TEMPLATE_ENGINE_SYNTAX } = require("@html-eslint/parser");
+
+const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
+
+const handlebars = {
+  parserOptions: {
+    templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+  },
+};
+
+const twig = {
+  parserOptions: {
+    templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.TWIG,
+  },
+};
+
+ruleTester.run("no-unbalanced-template-syntax", rule, {
+  valid: [
+    {
+      code: `<div>{{ a }}</div>`,
+    },
+    {
+      code: `<div class="{{ a }}">{{ b }}</div>`,
+      languageOptions: handlebars,
+    },
+    {
+      code: `{% if a %}<div>{{ a }}</div>{# comment #}{% endif %}`,
+      languageOptions: twig,
+    },
+    {
+      code: `<script>function a() { if (b) { c(); }}</script>
+<style>@media print { a { color: red; }}</style>`,
+      languageOptions: handlebars,
+    },
+  ],
+  invalid: [
+    {
+      code: `<div>{{ a </div>`,
+      languageOptions: handlebars,
+      errors: [
+        {
+          messageId: "unclosed",
+          data: { open: "{{", close: "}}" },
+          line: 1,
+          column: 6,
+          endLine: 1,
+          endColumn: 8,
+        },
+      ],
+    },
+    {
+      code: `<div>{{ a
+<span>{{ b }}</span>
+</div>`,
+      languageOptions: handlebars,
+      errors: [
+        {
+          messageId: "unclosed",
+          line: 1,
+          column: 6,
+        },
+      ],
+    },
+    {
+      code: `<div>{% if a }}</div>
+{% endif %}`,
+      languageOptions: twig,
+      errors: [
+        {
+          messageId: "unclosed",
+          data: { open: "{%", close: "%}" },
+          line: 1,
+          column: 6,
+        },
+        {
+          messageId: "mismatched",
+          data: { expected: "%}", found: "}}" },
+          line: 1,
+          column: 14,
+          endLine: 1,
+          endColumn: 16,
+        },
+      ],
+    },
+    {
+      code: `<div>{{ a }} %}</div>`,
+      languageOptions: twig,
+      errors: [
+        {
+          messageId: "unexpected",
+          data: { found: "%}" },
+          line: 1,
+          column: 14,
+          endLine: 1,
+          endColumn: 16,
+        },
+      ],
+    },
+    {
+      code: `<div>a }}</div><div>{{ b }} }}</div>`,
+      languageOptions: handlebars,
+      errors: [
+        {
+          messageId: "unexpected",
+          column: 8,
+        },
+        {
+          messageId: "unexpected",
+          column: 29,
+        },
+      ],
+    },
+  ],
+});
+
+templateRuleTester.run("[template] no-unbalanced-template-syntax", rule, {
+  valid: [
+    {
+      code: "html`<div>{{ a </div>`",
+    },
+  ],
+  invalid: [],
+});
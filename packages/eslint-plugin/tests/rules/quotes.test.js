@@ -169,5 +169,40 @@ templateRuleTester.run("[template] quotes", rule, {
         },
       ],
     },
+    {
+      code: `html\`<div id = '\${foo}' title='a\\\`b'>\``,
+      output: `html\`<div id = "\${foo}" title="a\\\`b">\``,
+      errors: [
+        {
+          messageId: "unexpected",
+        },
+        {
+          messageId: "unexpected",
+        },
+      ],
+    },
+    {
+      code: `el.innerHTML = "<div id='foo' title=bar></div>";`,
+      output: `el.innerHTML = "<div id=\\"foo\\" title=\\"bar\\"></div>";`,
+      settings: { html: { stringLiterals: {} } },
+      errors: [
+        {
+          messageId: "unexpected",
+        },
+        {
+          messageId: "missing",
+        },
+      ],
+    },
+    {
+      code: `el.innerHTML = "<div id='" + id + "'></div>";`,
+      output: null,
+      settings: { html: { stringLiterals: {} } },
+      errors: [
+        {
+          messageId: "unexpected",
+        },
+      ],
+    },
   ],
 });
@@ -0,0 +1,195 @@
+const createRuleTester = require("../rule-tester");
+const rule = require("../../lib/rules/require-accessible-name");
+const { TEMPLATE_ENGINE_SYNTAX } = require("@html-eslint/parser");
+
+const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
+
+const handlebars = {
+  parserOptions: {
+    templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+  },
+};
+
+ruleTester.run("require-accessible-name", rule, {
+  valid: [
+    {
+      code: `<button>Save</button><button aria-label="Close"></button><button title="Menu"></button>`,
+    },
+    {
+      code: `<button><img src="save.png" alt="Save"></button><button><svg><title>Save</title></svg></button>`,
+    },
+    {
+      code: `<a href="/">Home</a><a href="/"><span aria-label="Home"></span></a><a>Not a link</a>`,
+    },
+    {
+      code: `<span id="a">First</span><span id="b" hidden>name</span><button aria-labelledby="a b"></button><div role="button" aria-labelledby="b"></div>`,
+    },
+    {
+      code: `<label for="name">Name</label><input id="name"><label>Email <input type="email"></label>`,
+    },
+    {
+      code: `<input type="submit"><input type="reset"><input type="button" value="Go"><input type="image" alt="Search">`,
+    },
+    {
+      code: `<input type="hidden"><input aria-label="Password" type="password"><textarea placeholder="Message"></textarea>`,
+    },
+    {
+      code: `<select title="Size"><option>S</option></select><div role="checkbox" aria-checked="true">Agree</div>`,
+    },
+    {
+      code: `<iframe title="Map"></iframe><div role="img" aria-label="Chart"></div><svg role="img"><title>Chart</title></svg>`,
+    },
+    {
+      code: `<div role="dialog" aria-labelledby="t"><h2 id="t">Title</h2></div><div role="tab"></div>`,
+    },
+    {
+      code: `<div hidden><button></button></div><button aria-hidden="true"></button><button role="presentation"></button>`,
+    },
+    {
+      code: `<fieldset role="radiogroup"><legend>Size</legend></fieldset>`,
+    },
+    {
+      code: `<button></button><a href="/"></a>`,
+      options: [{ button: false, link: false }],
+    },
+    {
+      code: `<button>{{ label }}</button><button aria-labelledby="{{ id }}"></button><div role="{{ role }}"></div>`,
+      languageOptions: handlebars,
+    },
+    {
+      code: `<label for="{{ id }}">Name</label><input id="name"><span id="{{ id }}"></span><button aria-labelledby="a"></button>`,
+      languageOptions: handlebars,
+    },
+  ],
+  invalid: [
+    {
+      code: `<button></button>`,
+      errors: [
+        {
+          message: "<button> requires an accessible name.",
+          line: 1,
+          column: 1,
+          endColumn: 8,
+        },
+      ],
+    },
+    {
+      code: `<button> <img src="a.png" alt=""> </button><a href="/"><span hidden>Home</span></a>`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { element: "button" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "a" },
+        },
+      ],
+    },
+    {
+      code: `<button aria-label=" " aria-labelledby="missing"></button><input type="button">`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { element: "button" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "input" },
+        },
+      ],
+    },
+    {
+      code: `<label for="other">Name</label><input id="name"><input type="password"><select></select><textarea></textarea>`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { element: "input" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "input" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "select" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "textarea" },
+        },
+      ],
+    },
+    {
+      code: `<div role="checkbox" aria-checked="true"></div><div role="textbox">Not a name</div>`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { element: "div" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "div" },
+        },
+      ],
+    },
+    {
+      code: `<iframe src="/"></iframe><div role="img"></div><svg role="img"></svg><div role="dialog"></div>`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { element: "iframe" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "div" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "svg" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "div" },
+        },
+      ],
+    },
+    {
+      code: `<button></button><iframe></iframe>`,
+      options: [{ button: false }],
+      errors: [
+        {
+          messageId: "missing",
+          data: { element: "iframe" },
+        },
+      ],
+    },
+  ],
+});
+
+templateRuleTester.run("[template] require-accessible-name", rule, {
+  valid: [
+    {
+      code: `html\`<button>\${label}</button><button aria-label="\${label}"></button>\`;`,
+    },
+    {
+      code: `html\`<label for="\${id}">Name</label><input id="\${id}">\`;`,
+    },
+  ],
+  invalid: [
+    {
+      code: `html\`<label>Name</label>\`; html\`<button aria-labelledby="a"></button><a href="/"></a>\`;`,
+      errors: [
+        {
+          messageId: "missing",
+          data: { element: "button" },
+        },
+        {
+          messageId: "missing",
+          data: { element: "a" },
+        },
+      ],
+    },
+  ],
+});
@@ -1,11 +1,26 @@
 const createRuleTester = require("../rule-tester");
 const rule = require("../../lib/rules/require-closing-tags");
+const {
+  TEMPLATE_ENGINE_SYNTAX,
+  TEMPLATE_ENGINE_BLOCKS,
+} = require("@html-eslint/parser");
 
 const ruleTester = createRuleTester();
 const templateRuleTester = createRuleTester("espree");
 
 ruleTester.run("require-closing-tags", rule, {
   valid: [
+    {
+      code: `{{#if a}}<div class="a">{{else}}<div class="b">{{/if}}
+  text
+</div>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.HANDLEBAR,
+        },
+      },
+    },
     {
       code: `<div></div>`,
     },
@@ -125,6 +140,34 @@ ruleTester.run("require-closing-tags", rule, {
     },
   ],
   invalid: [
+    {
+      code: `{{#if a}}<div class="a">{{/if}}<div class="b"></div>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.HANDLEBAR,
+        },
+      },
+      errors: [
+        {
+          messageId: "missing",
+        },
+      ],
+    },
+    {
+      code: `{{#if a}}<div class="a">{{else}}<span class="b">{{/if}}</span>`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+          templateEngineBlocks: TEMPLATE_ENGINE_BLOCKS.HANDLEBAR,
+        },
+      },
+      errors: [
+        {
+          messageId: "missing",
+        },
+      ],
+    },
     {
       code: `<div>`,
       errors: [
@@ -223,6 +266,9 @@ templateRuleTester.run("[template] require-closing-tags", rule, {
     {
       code: "html`<div></div>`",
     },
+    {
+      code: 'svg`<circle cx="5" cy="5" r="4" /><g><path d="M0 0" /></g>`',
+    },
   ],
   invalid: [
     {
@@ -233,5 +279,29 @@ templateRuleTester.run("[template] require-closing-tags", rule, {
         },
       ],
     },
+    {
+      code: 'html`<circle cx="5" cy="5" r="4" />`',
+      output: null,
+      errors: [
+        {
+          messageId: "unexpected",
+        },
+      ],
+    },
+    {
+      code: `el.innerHTML = '<img src="a.png">';`,
+      output: `el.innerHTML = '<img src="a.png" />';`,
+      options: [
+        {
+          selfClosing: "always",
+        },
+      ],
+      settings: { html: { stringLiterals: {} } },
+      errors: [
+        {
+          messageId: "missingSelf",
+        },
+      ],
+    },
   ],
 });
@@ -1,5 +1,6 @@
 const createRuleTester = require("../rule-tester");
 const rule = require("../../lib/rules/require-input-label");
+const { TEMPLATE_ENGINE_SYNTAX } = require("@html-eslint/parser");
 
 const ruleTester = createRuleTester();
 const templateRuleTester = createRuleTester("espree");
@@ -7,10 +8,10 @@ const templateRuleTester = createRuleTester("espree");
 ruleTester.run("require-input-label", rule, {
   valid: [
     {
-      code: `<input id="foo">`,
+      code: `<label for="foo">name</label><input id="foo">`,
     },
     {
-      code: `<textarea id="foo"></textarea>`,
+      code: `<textarea id="foo"></textarea><label for="foo">name</label>`,
     },
     {
       code: `<input type="hidden">`,
@@ -19,11 +20,41 @@ ruleTester.run("require-input-label", rule, {
       code: `<label>name: <input></label>`,
     },
     {
-      code: `<textarea aria-labelledby="foo" />`,
+      code: `<textarea aria-labelledby="foo" /><span id="foo">name</span>`,
     },
     {
       code: `<textarea aria-label="foo" />`,
     },
+    {
+      code: `<input type="submit"><input type="RESET"><input type="button" value="Go"><input type="image" alt="Search">`,
+    },
+    {
+      code: `<div hidden><input></div><div aria-hidden="true"><select></select></div><input aria-hidden="true">`,
+    },
+    {
+      code: `<form-label for="foo">name</form-label><input id="foo"><form-label>name: <select></select></form-label>`,
+      options: [{ labelComponents: ["form-label"] }],
+    },
+    {
+      code: `<FormLabel>name: <input></FormLabel>`,
+      options: [{ labelComponents: ["FormLabel"] }],
+    },
+    {
+      code: `<label for="{{ id }}">name</label><input id="foo"><input id="{{ id }}">`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+        },
+      },
+    },
+    {
+      code: `{{{ label }}}<input id="foo"><input aria-labelledby="bar">`,
+      languageOptions: {
+        parserOptions: {
+          templateEngineSyntax: TEMPLATE_ENGINE_SYNTAX.HANDLEBAR,
+        },
+      },
+    },
   ],
   invalid: [
     {
@@ -50,13 +81,87 @@ ruleTester.run("require-input-label", rule, {
         },
       ],
     },
+    {
+      code: `<input id="foo">`,
+      errors: [
+        {
+          messageId: "missingLabel",
+        },
+      ],
+    },
+    {
+      code: `<label for="bar">name</label><textarea id="foo"></textarea><select id="Bar"></select>`,
+      errors: [
+        {
+          messageId: "missingLabel",
+          column: 30,
+        },
+        {
+          messageId: "missingLabel",
+          column: 60,
+        },
+      ],
+    },
+    {
+      code: `<input type="button"><input type="button" value=" "><input type="image" src="a.png">`,
+      errors: [
+        {
+          message: "Missing a `value` for the button",
+        },
+        {
+          messageId: "missingValue",
+        },
+        {
+          message: "Missing an `alt` for the image button",
+        },
+      ],
+    },
+    {
+      code: `<input aria-labelledby="missing"><textarea aria-label=" "></textarea><span id="empty"></span><select aria-labelledby="empty"></select>`,
+      errors: [
+        {
+          messageId: "missingLabel",
+        },
+        {
+          messageId: "missingLabel",
+        },
+        {
+          messageId: "missingLabel",
+        },
+      ],
+    },
+    {
+      code: `<div aria-hidden="false"><input></div>`,
+      errors: [
+        {
+          messageId: "missingLabel",
+        },
+      ],
+    },
+    {
+      code: `<form-label>name: <input></form-label>`,
+      errors: [
+        {
+          messageId: "missingLabel",
+        },
+      ],
+    },
   ],
 });
 
 templateRuleTester.run("[template] require-input-label", rule, {
   valid: [
     {
-      code: `html\`<input id="foo">\``,
+      code: `html\`<label for="foo">name</label><input id="foo">\``,
+    },
+    {
+      code: `html\`<label for="\${id}">name</label><input id="foo">\``,
+    },
+    {
+      code: `html\`<input id="\${id}">\``,
+    },
+    {
+      code: `html\`\${html\`<label for="foo">name</label>\`}<input id="foo">\``,
     },
   ],
   invalid: [
@@ -68,5 +173,13 @@ templateRuleTester.run("[template] require-input-label", rule, {
         },
       ],
     },
+    {
+      code: `html\`<input id="foo">\``,
+      errors: [
+        {
+          messageId: "missingLabel",
+        },
+      ],
+    },
   ],
 });
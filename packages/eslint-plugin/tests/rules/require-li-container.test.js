@@ -2,6 +2,7 @@ const createRuleTester = require("../rule-tester");
 const rule = require("../../lib/rules/require-li-container");
 
 const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
 
 ruleTester.run("require-li-container", rule, {
   valid: [
@@ -54,3 +55,24 @@ ruleTester.run("require-li-container", rule, {
     },
   ],
 });
+
+templateRuleTester.run("[template] require-li-container", rule, {
+  valid: [
+    {
+      code: "html`<ul><li></li></ul>`",
+    },
+    {
+      code: "html`<ul>${items.map((item) => html`<li>${item}</li>`)}</ul>`",
+    },
+  ],
+  invalid: [
+    {
+      code: "html`<div><li></li></div>`",
+      errors: [
+        {
+          messageId: "invalid",
+        },
+      ],
+    },
+  ],
+});
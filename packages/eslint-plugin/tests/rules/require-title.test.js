@@ -2,6 +2,7 @@ const createRuleTester = require("../rule-tester");
 const rule = require("../../lib/rules/require-title");
 
 const ruleTester = createRuleTester();
+const templateRuleTester = createRuleTester("espree");
 
 ruleTester.run("require-title", rule, {
   valid: [
@@ -63,3 +64,32 @@ ruleTester.run("require-title", rule, {
     },
   ],
 });
+
+templateRuleTester.run("[template] require-title", rule, {
+  valid: [
+    {
+      code: "html`<html><head><title>title</title></head></html>`",
+    },
+    {
+      code: "html`<div></div>`",
+    },
+  ],
+  invalid: [
+    {
+      code: "html`<html><head></head></html>`",
+      errors: [
+        {
+          messageId: "missing",
+        },
+      ],
+    },
+    {
+      code: "const code = /* html */ `<head><title> </title></head>`",
+      errors: [
+        {
+          messageId: "empty",
+        },
+      ],
+    },
+  ],
+});
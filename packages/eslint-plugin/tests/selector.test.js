@@ -0,0 +1,200 @@
+const { Linter } = require("eslint");
+const { createVisitors } = require("../lib/rules/utils/visitors");
+const { matchesSelector } = require("../lib/rules/utils/selector");
+
+function createLinter(selectors) {
+  const linter = new Linter();
+  const plugin = {
+    rules: {
+      selector: {
+        create(context) {
+          const visitors = {};
+          selectors.forEach((selector) => {
+            visitors[selector] = (node) => {
+              context.report({ node, message: selector });
+            };
+          });
+          return createVisitors(context, visitors);
+        },
+      },
+    },
+  };
+  return {
+    html(code) {
+      return linter.verify(
+        code,
+        {
+          files: ["**/*.html"],
+          plugins: { test: plugin },
+          languageOptions: { parser: require("@html-eslint/parser") },
+          rules: { "test/selector": "error" },
+        },
+        "test.html"
+      );
+    },
+    js(code) {
+      return linter.verify(
+        code,
+        {
+          files: ["**/*.js"],
+          plugins: { test: plugin },
+          rules: { "test/selector": "error" },
+        },
+        "test.js"
+      );
+    },
+  };
+}
+
+function report(messages) {
+  return messages.map((message) => [
+    message.message,
+    message.line,
+    message.column,
+  ]);
+}
+
+describe("selector", () => {
+  test("matches tag names and attributes", () => {
+    const linter = createLinter([
+      "a[target=_blank]:not([rel])",
+      "img[src$='.gif' i]",
+      "div#main.content",
+      "script, style",
+    ]);
+    expect(
+      report(
+        linter.html(`<a target="_blank"></a>
+<a target="_blank" rel="noopener"></a>
+<A TARGET="_blank" href="/"></A>
+<img src="a.GIF"><img src="a.png">
+<div id="main" class="page content"></div><div class="content"></div>
+<script></script><style></style>`)
+      )
+    ).toEqual([
+      ["a[target=_blank]:not([rel])", 1, 1],
+      ["a[target=_blank]:not([rel])", 3, 1],
+      ["img[src$='.gif' i]", 4, 1],
+      ["div#main.content", 5, 1],
+      ["script, style", 6, 1],
+      ["script, style", 6, 18],
+    ]);
+  });
+
+  test("matches combinators", () => {
+    const linter = createLinter(["ul > li", "nav a", "h1 + p", "h1 ~ span"]);
+    expect(
+      report(
+        linter.html(`<ul><li></li><ol><li></li></ol></ul>
+<nav><div><a></a></div></nav><a></a>
+<h1></h1><p></p><p></p><span></span>`)
+      )
+    ).toEqual([
+      ["ul > li", 1, 5],
+      ["nav a", 2, 11],
+      ["h1 + p", 3, 10],
+      ["h1 ~ span", 3, 24],
+    ]);
+  });
+
+  test("calls listeners on exit", () => {
+    const order = [];
+    const linter = new Linter();
+    linter.verify(
+      "<div><span></span></div>",
+      {
+        files: ["**/*.html"],
+        plugins: {
+          test: {
+            rules: {
+              order: {
+                create(context) {
+                  return createVisitors(context, {
+                    Tag(node) {
+                      order.push(`Tag ${node.name}`);
+                    },
+                    div() {
+                      order.push("div");
+                    },
+                    "div:exit"() {
+                      order.push("div:exit");
+                    },
+                  });
+                },
+              },
+            },
+          },
+        },
+        languageOptions: { parser: require("@html-eslint/parser") },
+        rules: { "test/order": "error" },
+      },
+      "test.html"
+    );
+    expect(order).toEqual(["Tag div", "div", "Tag span", "div:exit"]);
+  });
+
+  test("passes ESLint selectors through", () => {
+    const visited = [];
+    const linter = new Linter();
+    linter.verify(
+      "<div><span>a</span></div>",
+      {
+        files: ["**/*.html"],
+        plugins: {
+          test: {
+            rules: {
+              visited: {
+                create(context) {
+                  return createVisitors(context, {
+                    "*"(node) {
+                      visited.push(`* ${node.type}`);
+                    },
+                    ":matches(Text)"(node) {
+                      visited.push(`:matches ${node.value}`);
+                    },
+                    "[name=span]"(node) {
+                      visited.push(`[name] ${node.name}`);
+                    },
+                  });
+                },
+              },
+            },
+          },
+        },
+        languageOptions: { parser: require("@html-eslint/parser") },
+        rules: { "test/visited": "error" },
+      },
+      "test.html"
+    );
+    expect(visited).toContain("* Text");
+    expect(visited).toContain(":matches a");
+    expect(visited.filter((entry) => entry.startsWith("[name]"))).toEqual([
+      "[name] span",
+    ]);
+  });
+
+  test("matches in templates", () => {
+    const linter = createLinter(["button:not([type])"]);
+    expect(
+      report(
+        linter.js('html`<button></button><button type="button"></button>`;')
+      )
+    ).toEqual([["button:not([type])", 1, 6]]);
+  });
+
+  test("does not match values including templates", () => {
+    const linter = createLinter(["a[target=_blank]", "a[href]"]);
+    expect(
+      report(linter.js("html`<a target=${target} href=${href}></a>`;"))
+    ).toEqual([["a[href]", 1, 6]]);
+  });
+
+  test("throws on unsupported selectors", () => {
+    const node = { type: "Tag", name: "a", attributes: [] };
+    expect(matchesSelector(node, "a")).toBe(true);
+    expect(() => matchesSelector(node, "a:hover")).toThrow(
+      "Unsupported selector: ':hover'"
+    );
+    expect(() => matchesSelector(node, "a[")).toThrow();
+  });
+});
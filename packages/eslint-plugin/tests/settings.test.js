@@ -0,0 +1,195 @@
+const { Linter } = require("eslint");
+const plugin = require("../lib");
+
+function lint(code, settings) {
+  const linter = new Linter();
+  return linter.verify(
+    code,
+    {
+      files: ["**/*.js"],
+      plugins: { "@html-eslint": plugin },
+      languageOptions: { ecmaVersion: 2022 },
+      settings,
+      rules: {
+        "@html-eslint/require-img-alt": "error",
+        "@html-eslint/require-closing-tags": "error",
+      },
+    },
+    "test.js"
+  );
+}
+
+function report(messages) {
+  return messages.map((message) => [
+    message.ruleId,
+    message.line,
+    message.column,
+  ]);
+}
+
+describe("settings", () => {
+  describe("templateLiterals.tags", () => {
+    const settings = {
+      html: {
+        templateLiterals: {
+          tags: [
+            "^html$",
+            "^lit\\.html$",
+            "^this\\.html$",
+            "^html\\.unsafe$",
+            "^htm\\.bind$",
+          ],
+          svgTags: ["^svg$", "^lit\\.svg$"],
+        },
+      },
+    };
+
+    test("matches identifiers, member expressions and call expressions", () => {
+      expect(
+        report(
+          lint(
+            `html\`<img>\`;
+lit.html\`<img>\`;
+class A { render() { return this.html\`<img>\`; } }
+html.unsafe\`<img>\`;
+htm.bind(h)\`<img>\`;
+foo.html\`<img>\`;
+lit["html"]\`<img>\`;
+getHtml()\`<img>\`;`,
+            settings
+          )
+        )
+      ).toEqual([
+        ["@html-eslint/require-img-alt", 1, 6],
+        ["@html-eslint/require-img-alt", 2, 10],
+        ["@html-eslint/require-img-alt", 3, 39],
+        ["@html-eslint/require-img-alt", 4, 13],
+        ["@html-eslint/require-img-alt", 5, 13],
+      ]);
+    });
+
+    test("treats svg templates as SVG", () => {
+      expect(
+        report(
+          lint(
+            `svg\`<circle r="1" />\`;
+lit.svg\`<circle r="1" />\`;
+html\`<circle r="1" />\`;`,
+            settings
+          )
+        )
+      ).toEqual([["@html-eslint/require-closing-tags", 3, 20]]);
+    });
+  });
+
+  describe("stringLiterals", () => {
+    const code = `el.innerHTML = "<img>";
+el.outerHTML += '<div class="a">' + text + "<img></div>";
+el["innerHTML"] = "<img src=\\"a.png\\">";
+el.textContent = "<img>";
+el.insertAdjacentHTML("beforeend", "<div>\\n" +
+  "<img></div>");
+el.innerHTML = text;
+document.write("<img>");`;
+
+    test("does not check string literals by default", () => {
+      expect(report(lint(code, {}))).toEqual([]);
+    });
+
+    test("checks strings assigned to innerHTML and outerHTML or passed to insertAdjacentHTML", () => {
+      expect(report(lint(code, { html: { stringLiterals: {} } }))).toEqual([
+        ["@html-eslint/require-img-alt", 1, 17],
+        ["@html-eslint/require-img-alt", 2, 45],
+        ["@html-eslint/require-img-alt", 3, 20],
+        ["@html-eslint/require-img-alt", 6, 4],
+      ]);
+    });
+
+    test("checks configured sinks", () => {
+      expect(
+        report(
+          lint(code, {
+            html: {
+              stringLiterals: {
+                properties: ["^textContent$"],
+                calls: ["^document\\.write$"],
+              },
+            },
+          })
+        )
+      ).toEqual([
+        ["@html-eslint/require-img-alt", 4, 19],
+        ["@html-eslint/require-img-alt", 8, 17],
+      ]);
+    });
+
+    test("reports locations in the source code", () => {
+      expect(
+        report(
+          lint(`el.innerHTML = "<div>" + text +\n  "<span></div>";`, {
+            html: { stringLiterals: {} },
+          })
+        )
+      ).toEqual([
+        ["@html-eslint/require-closing-tags", 1, 17],
+        ["@html-eslint/require-closing-tags", 2, 4],
+      ]);
+    });
+  });
+
+  describe("multiple configurations", () => {
+    const code = `html\`<img>\`;
+tpl\`<img>\`;
+const a = /* html */ \`<img>\`;
+const b = /* tpl */ \`<img>\`;`;
+
+    function createConfig(files, templateLiterals) {
+      return {
+        files,
+        plugins: { "@html-eslint": plugin },
+        settings: { html: { templateLiterals } },
+        rules: { "@html-eslint/require-img-alt": "error" },
+      };
+    }
+
+    function lines(messages) {
+      return messages.map((message) => message.line);
+    }
+
+    test("resolves settings for each configuration", () => {
+      const linter = new Linter();
+      const config = [
+        createConfig(["a/**/*.js"], {}),
+        createConfig(["b/**/*.js"], {
+          tags: ["^tpl$"],
+          comments: ["^\\s*tpl\\s*$"],
+        }),
+      ];
+      expect(lines(linter.verify(code, config, "a/test.js"))).toEqual([1, 3]);
+      expect(lines(linter.verify(code, config, "b/test.js"))).toEqual([2, 4]);
+      expect(lines(linter.verify(code, config, "a/test.js"))).toEqual([1, 3]);
+    });
+
+    test("resolves settings of a new configuration", () => {
+      const linter = new Linter();
+      expect(
+        lines(
+          linter.verify(
+            code,
+            createConfig(["**/*.js"], { tags: ["^tpl$"] }),
+            "test.js"
+          )
+        )
+      ).toEqual([2, 3]);
+      expect(
+        lines(
+          linter.verify(
+            code,
+            createConfig(["**/*.js"], { tags: ["^html$", "^tpl$"] }),
+            "test.js"
+          )
+        )
+      ).toEqual([1, 2, 3]);
+    });
+  });
+});
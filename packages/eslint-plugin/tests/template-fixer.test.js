@@ -0,0 +1,60 @@
+const { Linter } = require("eslint");
+const espree = require("espree");
+const plugin = require("../lib");
+
+function fix(code) {
+  const linter = new Linter();
+  return linter.verifyAndFix(
+    code,
+    {
+      files: ["**/*.js"],
+      plugins: { "@html-eslint": plugin },
+      languageOptions: { ecmaVersion: 2022 },
+      settings: { html: { stringLiterals: {} } },
+      rules: {
+        "@html-eslint/quotes": ["error", "double"],
+        "@html-eslint/lowercase": "error",
+        "@html-eslint/require-closing-tags": [
+          "error",
+          { selfClosing: "always" },
+        ],
+      },
+    },
+    "test.js"
+  );
+}
+
+describe("fixes in template literals and string literals", () => {
+  test.each([
+    [
+      "html`<DIV title='a\\`b\\${c}'><IMG></DIV>`;",
+      'html`<div title="a\\`b\\${c}"><img /></div>`;',
+    ],
+    [
+      "html`<div title='${a}' id=\"a\\\\\">${b}</div>`;",
+      'html`<div title="${a}" id="a\\\\">${b}</div>`;',
+    ],
+    [
+      "html`<div class=${c ? `a` : `b`}></div><p title='${c ? `a` : `b`}'></p>`;",
+      'html`<div class="${c ? `a` : `b`}"></div><p title="${c ? `a` : `b`}"></p>`;',
+    ],
+    [
+      "el.innerHTML = \"<DIV title='a\\\\b'><IMG></DIV>\";",
+      'el.innerHTML = "<div title=\\"a\\\\b\\"><img /></div>";',
+    ],
+    [
+      "el.innerHTML = '<div title=\"\\'a\\'\">' +\n  \"<img title='\\\"b\\\"'></div>\";",
+      "el.innerHTML = '<div title=\"\\'a\\'\">' +\n  \"<img title='\\\"b\\\"' /></div>\";",
+    ],
+    [
+      'el.insertAdjacentHTML("beforeend", "<p class=\'" + a + "\'>\\n</p>");',
+      'el.insertAdjacentHTML("beforeend", "<p class=\'" + a + "\'>\\n</p>");',
+    ],
+  ])("%s", (code, output) => {
+    const result = fix(code);
+    expect(result.output).toBe(output);
+    expect(() =>
+      espree.parse(result.output, { ecmaVersion: "latest" })
+    ).not.toThrow();
+  });
+});
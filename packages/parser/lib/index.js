@@ -1,14 +1,23 @@
-const { parseForESLint } = require("./parser");
+const { parseForESLint, VISITOR_KEYS } = require("./parser");
 const meta = require("./meta");
 const { NODE_TYPES } = require("./node-types");
-const TEMPLATE_ENGINE_SYNTAX = require("./template-engine-syntax-preset");
+const {
+  TEMPLATE_ENGINE_SYNTAX,
+  TEMPLATE_ENGINE_SYNTAX_DEFINITIONS,
+  TEMPLATE_ENGINE_BLOCKS,
+  TEMPLATE_ENGINE_DIRECTIVES,
+} = require("./template-engine-syntax-preset");
 
 module.exports.parseForESLint = parseForESLint;
 module.exports.NODE_TYPES = NODE_TYPES;
 
 module.exports = {
   TEMPLATE_ENGINE_SYNTAX,
+  TEMPLATE_ENGINE_SYNTAX_DEFINITIONS,
+  TEMPLATE_ENGINE_BLOCKS,
+  TEMPLATE_ENGINE_DIRECTIVES,
   parseForESLint,
   NODE_TYPES,
+  VISITOR_KEYS,
   meta,
 };
@@ -1,6 +1,14 @@
 const { NodeTypes } = require("es-html-parser");
 
-const NODE_TYPES = NodeTypes;
+const NODE_TYPES = {
+  ...NodeTypes,
+  /**
+   * Template syntax in texts, attributes, comments, scripts and styles. (e.g. `{{ name }}`)
+   */
+  TemplatePlaceholder: /** @type {"TemplatePlaceholder"} */ (
+    "TemplatePlaceholder"
+  ),
+};
 
 module.exports = {
   NODE_TYPES,
@@ -2,29 +2,133 @@
  * @typedef {import("./types").ParserOptions} ParserOptions
  */
 const { parse } = require("es-html-parser");
+const { KEYS } = require("eslint-visitor-keys");
 const { visitorKeys } = require("./visitor-keys");
 const { traverse } = require("./traverse");
 const { NODE_TYPES } = require("./node-types");
+const {
+  getScriptSourceType,
+  getEcmaVersion,
+  parseScriptContent,
+} = require("./script");
+const {
+  cssVisitorKeys,
+  parseStyleSheet,
+  parseDeclarationList,
+} = require("./style");
+const { analyzeScope } = require("./scope-manager");
+const { attachTemplatePlaceholders } = require("./template-placeholder");
 const templateSyntaxParser = require("@html-eslint/template-syntax-parser");
 
+const VISITOR_KEYS = { ...KEYS, ...cssVisitorKeys, ...visitorKeys };
+
+/**
+ * @param {any} node
+ * @returns {boolean}
+ */
+function hasTemplate(node) {
+  return (node.templates || []).some((template) => template.isTemplate);
+}
+
+/**
+ * @param {any[]} items
+ * @returns {any[]}
+ */
+function sortByRange(items) {
+  return items.sort((a, b) => a.range[0] - b.range[0]);
+}
+
+/**
+ * Parses JavaScript in `<script>`s and attaches the result to `ScriptTagContent` nodes.
+ * @param {any} programNode
+ * @param {string} code
+ * @param {ParserOptions} parserOptions
+ * @returns {boolean} `true` if any script is parsed.
+ */
+function parseScripts(programNode, code, parserOptions) {
+  let parsed = false;
+  traverse(programNode, (node) => {
+    if (node.type !== NODE_TYPES.ScriptTag || !node.value) {
+      return;
+    }
+    const content = node.value;
+    const sourceType = getScriptSourceType(node);
+    if (!sourceType || hasTemplate(content)) {
+      return;
+    }
+    const { body, tokens, comments } = parseScriptContent(
+      code,
+      content,
+      sourceType,
+      parserOptions
+    );
+    content.body = body;
+    content.sourceType = sourceType;
+    programNode.tokens = sortByRange(
+      programNode.tokens
+        .filter(
+          (token) =>
+            token.range[1] <= content.range[0] ||
+            content.range[1] <= token.range[0]
+        )
+        .concat(tokens)
+    );
+    programNode.comments = sortByRange(programNode.comments.concat(comments));
+    parsed = true;
+  });
+  return parsed;
+}
+
+/**
+ * Parses CSS in `<style>`s and `style` attributes and attaches the result to `StyleTagContent` and `AttributeValue` nodes.
+ * @param {any} programNode
+ */
+function parseStyles(programNode) {
+  traverse(programNode, (node) => {
+    if (
+      node.type === NODE_TYPES.StyleTag &&
+      node.value &&
+      !hasTemplate(node.value)
+    ) {
+      node.value.stylesheet = parseStyleSheet(node.value);
+    } else if (
+      node.type === NODE_TYPES.Attribute &&
+      node.key.value.toLowerCase() === "style" &&
+      node.value &&
+      !hasTemplate(node.value)
+    ) {
+      node.value.declarations = parseDeclarationList(node.value);
+    }
+  });
+}
+
 /**
  * @param {string} code
  * @param {ParserOptions | undefined} parserOptions
  * @returns {any}
  */
 module.exports.parseForESLint = function parseForESLint(code, parserOptions) {
-  const options =
-    (parserOptions &&
-      parserOptions.templateEngineSyntax && {
-        templateRanges: templateSyntaxParser
-          .parse(code, {
-            syntax: parserOptions.templateEngineSyntax,
-          })
-          .syntax.map((s) => s.range),
-      }) ||
-    undefined;
-
-  const { ast, tokens } = parse(code, options);
+  const templateSyntax =
+    parserOptions && parserOptions.templateEngineSyntax
+      ? templateSyntaxParser.parse(code, {
+          syntax: parserOptions.templateEngineSyntax,
+          directives: parserOptions.templateEngineDirectives,
+          blocks: parserOptions.templateEngineBlocks,
+        })
+      : null;
+
+  const { ast, tokens } = parse(
+    code,
+    templateSyntax
+      ? { templateRanges: templateSyntax.syntax.map((s) => s.range) }
+      : undefined
+  );
+  // Control structures of the template engine (e.g. `{{#if}}...{{else}}...{{/if}}`)
+  ast.templateBlocks = templateSyntax ? templateSyntax.blocks : [];
+  // Template delimiters which are not balanced (e.g. `{{ a {{ b }}`)
+  ast.unbalancedTemplateSyntax = templateSyntax
+    ? templateSyntax.unbalanced
+    : [];
 
   const programNode = {
     type: "Program",
@@ -40,6 +144,11 @@ module.exports.parseForESLint = function parseForESLint(code, parserOptions) {
     comments: [],
   };
 
+  attachTemplatePlaceholders(
+    programNode,
+    templateSyntax ? templateSyntax.syntax : []
+  );
+
   traverse(programNode, (node) => {
     if (node.type === NODE_TYPES.CommentContent) {
       programNode.comments.push({
@@ -51,9 +160,32 @@ module.exports.parseForESLint = function parseForESLint(code, parserOptions) {
     }
   });
 
+  if (parserOptions && parserOptions.parseStyle) {
+    parseStyles(programNode);
+  }
+
+  if (
+    parserOptions &&
+    parserOptions.parseScript &&
+    parseScripts(programNode, code, parserOptions)
+  ) {
+    return {
+      ast: programNode,
+      visitorKeys: VISITOR_KEYS,
+      scopeManager: analyzeScope(
+        programNode,
+        VISITOR_KEYS,
+        getEcmaVersion(parserOptions),
+        parserOptions
+      ),
+    };
+  }
+
   return {
     ast: programNode,
-    visitorKeys,
+    visitorKeys: VISITOR_KEYS,
     scopeManager: null,
   };
 };
+
+module.exports.VISITOR_KEYS = VISITOR_KEYS;
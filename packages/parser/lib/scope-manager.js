@@ -0,0 +1,62 @@
+/**
+ * @typedef {import("./types").ParserOptions} ParserOptions
+ */
+
+const { Referencer, ScopeManager } = require("eslint-scope");
+const { getKeys } = require("eslint-visitor-keys");
+const { NODE_TYPES } = require("./node-types");
+
+/**
+ * Classic scripts in a document share the global scope, while each module script has its own module scope.
+ * Thus, `sourceType` is decided per `<script>` rather than per file.
+ */
+class HTMLScopeManager extends ScopeManager {
+  isModule() {
+    const scope = this.__currentScope;
+    return !!scope && scope.type === "module";
+  }
+}
+
+class HTMLReferencer extends Referencer {
+  /**
+   * @param {any} node
+   */
+  [NODE_TYPES.ScriptTagContent](node) {
+    if (node.sourceType === "module") {
+      this.scopeManager.__nestModuleScope(node);
+      this.visitChildren(node);
+      this.close(node);
+      return;
+    }
+    this.visitChildren(node);
+  }
+}
+
+/**
+ * @param {any} ast
+ * @param {Record<string, string[]>} visitorKeys
+ * @param {number} ecmaVersion
+ * @param {ParserOptions} parserOptions
+ * @returns {any}
+ */
+function analyzeScope(ast, visitorKeys, ecmaVersion, parserOptions) {
+  const ecmaFeatures = parserOptions.ecmaFeatures || {};
+  const options = {
+    optimistic: false,
+    ignoreEval: true,
+    nodejsScope: false,
+    impliedStrict: !!ecmaFeatures.impliedStrict,
+    sourceType: "script",
+    ecmaVersion,
+    childVisitorKeys: visitorKeys,
+    fallback: getKeys,
+  };
+  const scopeManager = new HTMLScopeManager(options);
+  const referencer = new HTMLReferencer(options, scopeManager);
+  referencer.visit(ast);
+  return scopeManager;
+}
+
+module.exports = {
+  analyzeScope,
+};
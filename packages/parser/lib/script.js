@@ -0,0 +1,98 @@
+/**
+ * @typedef {import("es-html-parser").ScriptTagNode} ScriptTagNode
+ * @typedef {import("es-html-parser").ScriptTagContentNode} ScriptTagContentNode
+ * @typedef {import("./types").ParserOptions} ParserOptions
+ * @typedef {"script" | "module"} ScriptSourceType
+ */
+
+const espree = require("espree");
+
+// https://html.spec.whatwg.org/multipage/scripting.html#javascript-mime-type
+const JAVASCRIPT_MIME_TYPES = new Set([
+  "application/ecmascript",
+  "application/javascript",
+  "application/x-ecmascript",
+  "application/x-javascript",
+  "text/ecmascript",
+  "text/javascript",
+  "text/javascript1.0",
+  "text/javascript1.1",
+  "text/javascript1.2",
+  "text/javascript1.3",
+  "text/javascript1.4",
+  "text/javascript1.5",
+  "text/jscript",
+  "text/livescript",
+  "text/x-ecmascript",
+  "text/x-javascript",
+]);
+
+const NON_LINE_BREAK_PATTERN = /[^\r\n\u2028\u2029]/gu;
+
+/**
+ * Gets the source type a script's content should be parsed with.
+ * @see https://html.spec.whatwg.org/multipage/scripting.html#prepare-the-script-element
+ * @param {ScriptTagNode} node
+ * @returns {ScriptSourceType | null} `null` if the content is not JavaScript (e.g. `application/ld+json`).
+ */
+function getScriptSourceType(node) {
+  const typeAttr = node.attributes.find(
+    (attr) => attr.key && attr.key.value.toLowerCase() === "type"
+  );
+  if (!typeAttr || !typeAttr.value) {
+    return "script";
+  }
+  const type = typeAttr.value.value.trim().toLowerCase();
+  if (type === "") {
+    return "script";
+  }
+  if (type === "module") {
+    return "module";
+  }
+  return JAVASCRIPT_MIME_TYPES.has(type) ? "script" : null;
+}
+
+/**
+ * @param {ParserOptions} parserOptions
+ * @returns {number}
+ */
+function getEcmaVersion(parserOptions) {
+  const ecmaVersion = parserOptions.ecmaVersion;
+  if (typeof ecmaVersion !== "number") {
+    return espree.latestEcmaVersion + 2009;
+  }
+  const version = ecmaVersion >= 2015 ? ecmaVersion - 2009 : ecmaVersion;
+  return version > espree.latestEcmaVersion
+    ? espree.latestEcmaVersion + 2009
+    : ecmaVersion;
+}
+
+/**
+ * Parses the content of a `<script>` with espree.
+ * The code before the content is replaced with whitespaces, so ranges and locations of the result are relative to the whole HTML.
+ * @param {string} code
+ * @param {ScriptTagContentNode} content
+ * @param {ScriptSourceType} sourceType
+ * @param {ParserOptions} parserOptions
+ * @returns {any}
+ */
+function parseScriptContent(code, content, sourceType, parserOptions) {
+  const padding = code
+    .slice(0, content.range[0])
+    .replace(NON_LINE_BREAK_PATTERN, " ");
+  return espree.parse(padding + code.slice(...content.range), {
+    ecmaVersion: getEcmaVersion(parserOptions),
+    ecmaFeatures: parserOptions.ecmaFeatures,
+    sourceType,
+    range: true,
+    loc: true,
+    tokens: true,
+    comment: true,
+  });
+}
+
+module.exports = {
+  getScriptSourceType,
+  getEcmaVersion,
+  parseScriptContent,
+};
@@ -0,0 +1,101 @@
+/**
+ * @typedef {import("es-html-parser").StyleTagContentNode} StyleTagContentNode
+ * @typedef {import("es-html-parser").AttributeValueNode} AttributeValueNode
+ */
+
+const cssTree = require("css-tree");
+
+/**
+ * css-tree's node types are prefixed with `CSS`, so they don't collide with ESTree (e.g. `Identifier`) and HTML (e.g. `Comment`) node types.
+ */
+const CSS_NODE_TYPE_PREFIX = "CSS";
+
+/**
+ * @type {Record<string, string[]>}
+ */
+const cssVisitorKeys = {};
+
+Object.entries(cssTree.lexer.structure).forEach(([type, structure]) => {
+  cssVisitorKeys[`${CSS_NODE_TYPE_PREFIX}${type}`] = Object.entries(
+    structure.docs
+  )
+    .filter(
+      ([key, doc]) =>
+        key !== "type" && (doc.includes("<") || doc.includes("List"))
+    )
+    .map(([key]) => key);
+});
+
+/**
+ * Converts css-tree's node to an ESLint compatible node, which has a prefixed `type`, `range` and 0-based columns.
+ * @param {any} node
+ * @returns {any}
+ */
+function toESLintNode(node) {
+  if (Array.isArray(node)) {
+    return node.map(toESLintNode);
+  }
+  if (!node || typeof node !== "object") {
+    return node;
+  }
+  /**
+   * @type {any}
+   */
+  const result = {};
+  Object.keys(node).forEach((key) => {
+    if (key === "loc") {
+      return;
+    }
+    result[key] = toESLintNode(node[key]);
+  });
+  result.type = `${CSS_NODE_TYPE_PREFIX}${node.type}`;
+  if (node.loc) {
+    const { start, end } = node.loc;
+    result.range = [start.offset, end.offset];
+    result.loc = {
+      start: { line: start.line, column: start.column - 1 },
+      end: { line: end.line, column: end.column - 1 },
+    };
+  }
+  return result;
+}
+
+/**
+ * @param {StyleTagContentNode | AttributeValueNode} node
+ * @param {"stylesheet" | "declarationList"} context
+ * @returns {any}
+ */
+function parseCSS(node, context) {
+  const ast = cssTree.parse(node.value, {
+    context,
+    positions: true,
+    offset: node.range[0],
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+  });
+  return toESLintNode(cssTree.toPlainObject(ast));
+}
+
+/**
+ * Parses the content of a `<style>`.
+ * @param {StyleTagContentNode} node
+ * @returns {any} `CSSStyleSheet` node
+ */
+function parseStyleSheet(node) {
+  return parseCSS(node, "stylesheet");
+}
+
+/**
+ * Parses the value of a `style` attribute.
+ * @param {AttributeValueNode} node
+ * @returns {any} `CSSDeclarationList` node
+ */
+function parseDeclarationList(node) {
+  return parseCSS(node, "declarationList");
+}
+
+module.exports = {
+  cssVisitorKeys,
+  parseStyleSheet,
+  parseDeclarationList,
+};
@@ -1,17 +1,301 @@
+/**
+ * @typedef {import("@html-eslint/template-syntax-parser/lib/types").TemplateBlockSyntax} TemplateBlockSyntax
+ * @typedef {import("@html-eslint/template-syntax-parser/lib/types").TemplateDirectiveSyntax} TemplateDirectiveSyntax
+ */
+
 const HANDLEBAR = {
   "{{": "}}",
 };
+const MUSTACHE = {
+  "{{{": "}}}",
+  "{{": "}}",
+};
 const TWIG = {
   "{{": "}}",
   "{%": "%}",
   "{#": "#}",
 };
+const JINJA = TWIG;
+const NUNJUCKS = TWIG;
+const DJANGO = TWIG;
+const LIQUID = {
+  "{{": "}}",
+  "{%": "%}",
+};
+const GO = {
+  "{{": "}}",
+};
+const BLADE = {
+  "{{--": "--}}",
+  "{!!": "!!}",
+  "{{": "}}",
+};
 const ERB = {
   "<%": "%>",
 };
+const EJS = {
+  "<%": "%>",
+};
+const JSP = {
+  "<%--": "--%>",
+  "<%": "%>",
+};
+const PHP = {
+  "<?php": "?>",
+  "<?=": "?>",
+};
+
+/**
+ * Quotes of string literals in expressions. (e.g. `{{ "}}" }}`)
+ */
+const QUOTES = ['"', "'"];
+
+/**
+ * @param {string} close
+ */
+function comment(close) {
+  return { close, comment: true };
+}
+
+const HANDLEBAR_DEFINITIONS = {
+  "{{!--": comment("--}}"),
+  "{{!": comment("}}"),
+  "{{{": { close: "}}}", quotes: QUOTES },
+  // `\{{ a }}` is not template syntax.
+  "{{": { close: "}}", quotes: QUOTES, escape: "\\" },
+};
+const TWIG_DEFINITIONS = {
+  "{{": { close: "}}", quotes: QUOTES },
+  "{%": { close: "%}", quotes: QUOTES },
+  "{#": comment("#}"),
+};
+const LIQUID_DEFINITIONS = {
+  "{{": { close: "}}", quotes: QUOTES },
+  "{%": { close: "%}", quotes: QUOTES },
+};
+const GO_DEFINITIONS = {
+  "{{/*": comment("*/}}"),
+  "{{": { close: "}}", quotes: ['"', "`"] },
+};
+const BLADE_DEFINITIONS = {
+  "{{--": comment("--}}"),
+  "{!!": { close: "!!}", quotes: QUOTES },
+  // `@{{ a }}` is not template syntax.
+  "{{": { close: "}}", quotes: QUOTES, escape: "@" },
+};
+const JSP_DEFINITIONS = {
+  "<%--": comment("--%>"),
+  "<%": "%>",
+};
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const HANDLEBAR_BLOCKS = [
+  {
+    // {{#if}}, {{#each}}, {{^if}}, {{#> layout}}, {{#*inline "name"}}
+    syntax: "{{",
+    open: "^[#^]\\s*[*>]?\\s*([^\\s}]+)",
+    // {{else}}, {{else if}}, {{^}}
+    else: "^(?:else\\b|\\^$)",
+    close: "^/\\s*([^\\s}]+)",
+  },
+];
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const MUSTACHE_BLOCKS = [
+  {
+    // {{#section}}, {{^inverted}}
+    syntax: "{{",
+    open: "^[#^]\\s*([^\\s}]+)",
+    close: "^/\\s*([^\\s}]+)",
+  },
+];
+
+/**
+ * Tags of Twig, Jinja, Nunjucks and Django.
+ * @type {TemplateBlockSyntax[]}
+ */
+const TWIG_BLOCKS = [
+  {
+    syntax: "{%",
+    // `{% set x = 1 %}` is not a block, but `{% set x %}...{% endset %}` is.
+    open: "^(if|for|block|macro|embed|apply|autoescape|filter|spaceless|sandbox|verbatim|with|cache|call|raw|trans|blocktrans|blocktranslate|comment|ifchanged|set(?![^=]*=))\\b",
+    // `{% empty %}` is a branch of `{% for %}` in Django.
+    else: "^(?:else|elseif|elif|empty)\\b",
+    close: "^end(\\w+)",
+  },
+];
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const NUNJUCKS_BLOCKS = [
+  {
+    // {% asyncEach %}...{% endeach %}, {% asyncAll %}...{% endall %}
+    syntax: "{%",
+    open: "^async(?:Each|All)\\b",
+    close: "^end(?:each|all)\\b",
+  },
+  ...TWIG_BLOCKS,
+];
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const LIQUID_BLOCKS = [
+  {
+    syntax: "{%",
+    open: "^(if|unless|case|for|tablerow|capture|comment|raw|paginate|form|schema|style|javascript|stylesheet)\\b",
+    else: "^(?:elsif|else|when)\\b",
+    close: "^end(\\w+)",
+  },
+];
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const GO_BLOCKS = [
+  {
+    syntax: "{{",
+    open: "^(?:if|range|with|define|block)\\b",
+    // {{ else }}, {{ else if }}, {{ else with }}
+    else: "^else\\b",
+    close: "^end$",
+  },
+];
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const BLADE_BLOCKS = [
+  {
+    syntax: "@",
+    // `@section('title', 'Page')` and `@php($a = 1)` are not blocks.
+    open: "^(if|unless|isset|auth|guest|production|env|hasSection|sectionMissing|can|cannot|canany|switch|for|foreach|forelse|while|once|push|prepend|pushOnce|prependOnce|fragment|verbatim|component|slot|error|empty(?=\\s*\\()|section(?!\\s*\\([^()]*,)|php$)\\b",
+    // `@empty` without arguments is a branch of `@forelse`.
+    else: "^(?:elseif|elseauth|elseguest|elsecan|elsecannot|elsecanany|else|case|default)\\b|^empty$",
+    close: "^(?:end(\\w+)|show|stop|overwrite|append)\\b",
+  },
+];
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const ERB_BLOCKS = [
+  {
+    syntax: "<%",
+    // <% if x %>, <% items.each do |item| %>, <%= form_with do |f| %>
+    open: "^=?\\s*(?:if|unless|case|while|until|for|begin)\\b|\\bdo\\s*(?:\\|[^|]*\\|)?$",
+    // `ensure` is not a branch, since it runs after the other branches.
+    else: "^(?:else|elsif|when|rescue)\\b",
+    close: "^end\\b",
+  },
+];
+
+/**
+ * Blocks enclosed by braces in the code. (e.g. `<% if (a) { %>`, `<% } else { %>`, `<% } %>`)
+ * @param {string} syntax
+ * @returns {TemplateBlockSyntax}
+ */
+function createBraceBlocks(syntax) {
+  return {
+    syntax,
+    // `_` is a whitespace control character of EJS.
+    open: "\\{[\\s_]*$",
+    else: "^_?\\s*\\}\\s*(?:else|catch|finally)\\b[\\s\\S]*\\{[\\s_]*$",
+    close: "^_?\\s*\\}[\\s)\\];_]*$",
+  };
+}
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const EJS_BLOCKS = [createBraceBlocks("<%")];
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const JSP_BLOCKS = [createBraceBlocks("<%")];
+
+/**
+ * @type {TemplateBlockSyntax[]}
+ */
+const PHP_BLOCKS = [
+  {
+    // <?php if ($a): ?>...<?php elseif ($b): ?>...<?php else: ?>...<?php endif; ?>
+    syntax: "<?php",
+    open: "^(if|foreach|for|while|switch)\\b[\\s\\S]*:$",
+    else: "^(?:(?:elseif|else\\s+if|case)\\b[\\s\\S]*|else|default)\\s*:$",
+    close: "^end(if|foreach|for|while|switch)\\s*;?$",
+  },
+  createBraceBlocks("<?php"),
+];
+
+/**
+ * @type {TemplateDirectiveSyntax[]}
+ */
+const BLADE_DIRECTIVES = [
+  {
+    // `@media`, `@import`, ... in `<style>` are not directives.
+    open: "@",
+    name: "(?!(?:media|import|font-face|keyframes|supports|charset|page|namespace|layer|container|property)\\b)\\w+",
+    arguments: true,
+  },
+];
 
 module.exports = {
-  HANDLEBAR,
-  TWIG,
-  ERB,
+  TEMPLATE_ENGINE_SYNTAX: {
+    HANDLEBAR,
+    MUSTACHE,
+    TWIG,
+    JINJA,
+    NUNJUCKS,
+    DJANGO,
+    LIQUID,
+    GO,
+    BLADE,
+    ERB,
+    EJS,
+    JSP,
+    PHP,
+  },
+  /**
+   * Presets with definitions of quotes, escapes and comments, which handle delimiters in expressions (e.g. `{{ "}}" }}`).
+   */
+  TEMPLATE_ENGINE_SYNTAX_DEFINITIONS: {
+    HANDLEBAR: HANDLEBAR_DEFINITIONS,
+    MUSTACHE,
+    TWIG: TWIG_DEFINITIONS,
+    JINJA: TWIG_DEFINITIONS,
+    NUNJUCKS: TWIG_DEFINITIONS,
+    DJANGO: TWIG_DEFINITIONS,
+    LIQUID: LIQUID_DEFINITIONS,
+    GO: GO_DEFINITIONS,
+    BLADE: BLADE_DEFINITIONS,
+    ERB,
+    EJS,
+    JSP: JSP_DEFINITIONS,
+    PHP,
+  },
+  TEMPLATE_ENGINE_BLOCKS: {
+    HANDLEBAR: HANDLEBAR_BLOCKS,
+    MUSTACHE: MUSTACHE_BLOCKS,
+    TWIG: TWIG_BLOCKS,
+    JINJA: TWIG_BLOCKS,
+    NUNJUCKS: NUNJUCKS_BLOCKS,
+    DJANGO: TWIG_BLOCKS,
+    LIQUID: LIQUID_BLOCKS,
+    GO: GO_BLOCKS,
+    BLADE: BLADE_BLOCKS,
+    ERB: ERB_BLOCKS,
+    EJS: EJS_BLOCKS,
+    JSP: JSP_BLOCKS,
+    PHP: PHP_BLOCKS,
+  },
+  TEMPLATE_ENGINE_DIRECTIVES: {
+    BLADE: BLADE_DIRECTIVES,
+  },
 };
@@ -0,0 +1,50 @@
+/**
+ * @typedef {import("@html-eslint/template-syntax-parser/lib/types").TemplateSyntax} TemplateSyntax
+ */
+const { traverse } = require("./traverse");
+const { NODE_TYPES } = require("./node-types");
+
+/**
+ * Creates `TemplatePlaceholder` nodes for template syntax in texts, attributes, comments, scripts and styles,
+ * and attaches them to the `placeholders` of the nodes.
+ * @param {any} programNode
+ * @param {TemplateSyntax[]} syntax
+ */
+function attachTemplatePlaceholders(programNode, syntax) {
+  /**
+   * @type {Map<number, TemplateSyntax>}
+   */
+  const syntaxByStart = new Map(syntax.map((s) => [s.range[0], s]));
+  traverse(programNode, (node) => {
+    if (!Array.isArray(node.templates)) {
+      return;
+    }
+    node.placeholders = node.templates
+      .filter(
+        (/** @type {any} */ template) =>
+          template.isTemplate && syntaxByStart.has(template.range[0])
+      )
+      .map((/** @type {any} */ template) => {
+        const { open, close } = /** @type {TemplateSyntax} */ (
+          syntaxByStart.get(template.range[0])
+        );
+        return {
+          type: NODE_TYPES.TemplatePlaceholder,
+          value: template.value,
+          open,
+          close,
+          source: template.value.slice(
+            open.length,
+            template.value.length - close.length
+          ),
+          range: template.range,
+          loc: template.loc,
+          parent: node,
+        };
+      });
+  });
+}
+
+module.exports = {
+  attachTemplatePlaceholders,
+};
@@ -1,3 +1,19 @@
+import type {
+  TemplateBlockSyntax,
+  TemplateDirectiveSyntax,
+  TemplateSyntaxDefinition,
+} from "@html-eslint/template-syntax-parser/lib/types";
+
 export type ParserOptions = {
-  templateEngineSyntax?: Record<string, string>;
+  templateEngineSyntax?: Record<string, string | TemplateSyntaxDefinition>;
+  templateEngineDirectives?: TemplateDirectiveSyntax[];
+  templateEngineBlocks?: TemplateBlockSyntax[];
+  parseScript?: boolean;
+  parseStyle?: boolean;
+  ecmaVersion?: number | "latest";
+  ecmaFeatures?: {
+    globalReturn?: boolean;
+    impliedStrict?: boolean;
+    jsx?: boolean;
+  };
 };
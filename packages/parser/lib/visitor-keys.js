@@ -4,15 +4,15 @@ const visitorKeys = {
   Program: ["body"],
   [NODE_TYPES.Document]: ["children"],
   [NODE_TYPES.Attribute]: ["key", "startWrapper", "endWrapper", "value"],
-  [NODE_TYPES.AttributeKey]: [],
-  [NODE_TYPES.AttributeValue]: [],
+  [NODE_TYPES.AttributeKey]: ["placeholders"],
+  [NODE_TYPES.AttributeValue]: ["placeholders", "declarations"],
   [NODE_TYPES.AttributeValueWrapperEnd]: [],
   [NODE_TYPES.AttributeValueWrapperStart]: [],
   [NODE_TYPES.CloseScriptTag]: [],
   [NODE_TYPES.CloseStyleTag]: [],
   [NODE_TYPES.CloseTag]: [],
   [NODE_TYPES.Comment]: ["open", "close", "value"],
-  [NODE_TYPES.CommentContent]: [],
+  [NODE_TYPES.CommentContent]: ["placeholders"],
   [NODE_TYPES.CommentOpen]: [],
   [NODE_TYPES.CommentClose]: [],
   [NODE_TYPES.Doctype]: ["open", "close", "attributes"],
@@ -35,7 +35,7 @@ const visitorKeys = {
     "close",
     "value",
   ],
-  [NODE_TYPES.ScriptTagContent]: [],
+  [NODE_TYPES.ScriptTagContent]: ["placeholders", "body"],
   [NODE_TYPES.StyleTag]: [
     "attributes",
     "openStart",
@@ -43,9 +43,10 @@ const visitorKeys = {
     "close",
     "value",
   ],
-  [NODE_TYPES.StyleTagContent]: [],
+  [NODE_TYPES.StyleTagContent]: ["placeholders", "stylesheet"],
   [NODE_TYPES.Tag]: ["openStart", "openEnd", "close", "children", "attributes"],
-  [NODE_TYPES.Text]: [],
+  [NODE_TYPES.Text]: ["placeholders"],
+  [NODE_TYPES.TemplatePlaceholder]: [],
 };
 
 module.exports = {
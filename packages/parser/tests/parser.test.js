@@ -0,0 +1,568 @@
+const { Linter } = require("eslint");
+const parser = require("../lib");
+
+function findAll(node, type) {
+  const result = [];
+  const keys = parser.parseForESLint("").visitorKeys;
+  (function walk(current) {
+    if (!current || typeof current.type !== "string") {
+      return;
+    }
+    if (current.type === type) {
+      result.push(current);
+    }
+    (keys[current.type] || []).forEach((key) => {
+      const child = current[key];
+      (Array.isArray(child) ? child : [child]).forEach(walk);
+    });
+  })(node);
+  return result;
+}
+
+describe("parseScript", () => {
+  test("keeps script content as text by default", () => {
+    const { ast, scopeManager } = parser.parseForESLint(
+      "<script>var a = 1;</script>",
+      {}
+    );
+    const [content] = findAll(ast, "ScriptTagContent");
+    expect(content.body).toBeUndefined();
+    expect(scopeManager).toBeNull();
+  });
+
+  test("parses classic and module scripts with HTML ranges and locations", () => {
+    const code = `<div>
+  <script>var a = 1;</script>
+  <script type="module">
+    import b from "./b.js";
+  </script>
+</div>`;
+    const { ast } = parser.parseForESLint(code, { parseScript: true });
+    const [classic, module] = findAll(ast, "ScriptTagContent");
+
+    expect(classic.sourceType).toBe("script");
+    expect(classic.body[0].type).toBe("VariableDeclaration");
+    expect(code.slice(...classic.body[0].range)).toBe("var a = 1;");
+    expect(classic.body[0].loc.start).toEqual({ line: 2, column: 10 });
+
+    expect(module.sourceType).toBe("module");
+    expect(module.body[0].type).toBe("ImportDeclaration");
+    expect(module.body[0].loc.start).toEqual({ line: 4, column: 4 });
+  });
+
+  test("replaces script content tokens with JavaScript tokens", () => {
+    const code = "<script>a; // b\n</script>";
+    const { ast } = parser.parseForESLint(code, { parseScript: true });
+    expect(ast.tokens.map((token) => token.value)).toEqual([
+      "<script",
+      ">",
+      "a",
+      ";",
+      "</script>",
+    ]);
+    expect(ast.comments.map((comment) => comment.value)).toEqual([" b"]);
+  });
+
+  test.each([
+    ["application/ld+json"],
+    ["text/template"],
+    ["text/javascript; charset=utf-8"],
+  ])("skips <script type=%j>", (type) => {
+    const { ast } = parser.parseForESLint(
+      `<script type="${type}">{ "a": }</script>`,
+      { parseScript: true }
+    );
+    const [content] = findAll(ast, "ScriptTagContent");
+    expect(content.body).toBeUndefined();
+  });
+
+  test("skips scripts including template engine syntax", () => {
+    const { ast } = parser.parseForESLint(
+      "<script>var a = {{ value }};</script>",
+      { parseScript: true, templateEngineSyntax: { "{{": "}}" } }
+    );
+    const [content] = findAll(ast, "ScriptTagContent");
+    expect(content.body).toBeUndefined();
+  });
+
+  test("creates a module scope for each module script", () => {
+    const { ast, scopeManager } = parser.parseForESLint(
+      `<script>var a = 1;</script>
+<script type="module">const b = a;</script>`,
+      { parseScript: true }
+    );
+    const [, module] = findAll(ast, "ScriptTagContent");
+    const globalScope = scopeManager.globalScope;
+    const moduleScope = scopeManager.acquire(module);
+
+    expect(globalScope.set.has("a")).toBe(true);
+    expect(globalScope.set.has("b")).toBe(false);
+    expect(moduleScope.type).toBe("module");
+    expect(moduleScope.set.has("b")).toBe(true);
+    expect(moduleScope.upper).toBe(globalScope);
+    expect(
+      moduleScope.through.map((reference) => reference.identifier.name)
+    ).toEqual(["a"]);
+  });
+});
+
+describe("parseStyle", () => {
+  test("keeps style content and attributes as text by default", () => {
+    const { ast } = parser.parseForESLint(
+      `<div style="color: red"><style>a {}</style></div>`,
+      {}
+    );
+    const [content] = findAll(ast, "StyleTagContent");
+    const [value] = findAll(ast, "AttributeValue");
+    expect(content.stylesheet).toBeUndefined();
+    expect(value.declarations).toBeUndefined();
+  });
+
+  test("parses <style> with HTML ranges and locations", () => {
+    const code = `<div>
+  <style>
+    a > .b { color: blue }
+  </style>
+</div>`;
+    const { ast } = parser.parseForESLint(code, { parseStyle: true });
+    const [content] = findAll(ast, "StyleTagContent");
+    const [rule] = content.stylesheet.children;
+
+    expect(content.stylesheet.type).toBe("CSSStyleSheet");
+    expect(rule.type).toBe("CSSRule");
+    expect(code.slice(...rule.range)).toBe("a > .b { color: blue }");
+    expect(rule.loc).toEqual({
+      start: { line: 3, column: 4 },
+      end: { line: 3, column: 26 },
+    });
+    expect(rule.prelude.type).toBe("CSSSelectorList");
+    expect(code.slice(...rule.prelude.range)).toBe("a > .b");
+  });
+
+  test("parses style attributes", () => {
+    const code = `<div style="color: red !important; width:1px"></div>`;
+    const { ast } = parser.parseForESLint(code, { parseStyle: true });
+    const [value] = findAll(ast, "AttributeValue");
+
+    expect(value.declarations.type).toBe("CSSDeclarationList");
+    expect(
+      value.declarations.children.map((declaration) => [
+        declaration.property,
+        declaration.important,
+        code.slice(...declaration.range),
+      ])
+    ).toEqual([
+      ["color", true, "color: red !important"],
+      ["width", false, "width:1px"],
+    ]);
+  });
+
+  test("skips styles including template engine syntax", () => {
+    const { ast } = parser.parseForESLint(
+      `<div style="color: {{ color }}"><style>a { color: {{ color }} }</style></div>`,
+      { parseStyle: true, templateEngineSyntax: { "{{": "}}" } }
+    );
+    const [content] = findAll(ast, "StyleTagContent");
+    const [value] = findAll(ast, "AttributeValue");
+    expect(content.stylesheet).toBeUndefined();
+    expect(value.declarations).toBeUndefined();
+  });
+
+  test("visits declarations in rules", () => {
+    const linter = new Linter();
+    const messages = linter.verify(
+      `<div style="color: red !important"></div>
+<style>
+  a { color: blue !important; }
+</style>`,
+      {
+        files: ["**/*.html"],
+        plugins: {
+          test: {
+            rules: {
+              "no-important": {
+                create(context) {
+                  return {
+                    CSSDeclaration(node) {
+                      if (node.important) {
+                        context.report({ node, message: "!important" });
+                      }
+                    },
+                  };
+                },
+              },
+            },
+          },
+        },
+        languageOptions: {
+          parser,
+          parserOptions: { parseStyle: true, parseScript: true },
+        },
+        rules: { "test/no-important": "error" },
+      },
+      "test.html"
+    );
+    expect(messages.map((message) => [message.line, message.column])).toEqual([
+      [1, 13],
+      [3, 7],
+    ]);
+  });
+});
+
+describe("linting scripts", () => {
+  const linter = new Linter();
+
+  function lint(code, rules) {
+    return linter.verify(
+      code,
+      {
+        files: ["**/*.html"],
+        languageOptions: {
+          parser,
+          parserOptions: { parseScript: true },
+        },
+        rules,
+      },
+      "test.html"
+    );
+  }
+
+  test("no-undef and no-unused-vars", () => {
+    const messages = lint(
+      `<script>
+  var shared = 1;
+  foo();
+</script>
+<script type="module">
+  const unused = shared;
+</script>`,
+      { "no-undef": "error", "no-unused-vars": "error" }
+    );
+    expect(
+      messages.map((message) => [message.ruleId, message.line, message.column])
+    ).toEqual([
+      ["no-undef", 3, 3],
+      ["no-unused-vars", 6, 9],
+    ]);
+  });
+
+  test("reports syntax errors at the HTML location", () => {
+    const [message] = lint("<div>\n<script>\n  let a = ;\n</script></div>", {});
+    expect(message.fatal).toBe(true);
+    expect([message.line, message.column]).toEqual([3, 11]);
+  });
+
+  test("fixes inside scripts", () => {
+    const { output } = linter.verifyAndFix(
+      "<script>\nlet a = 1\n</script>",
+      {
+        files: ["**/*.html"],
+        languageOptions: {
+          parser,
+          parserOptions: { parseScript: true },
+        },
+        rules: { semi: "error" },
+      },
+      "test.html"
+    );
+    expect(output).toBe("<script>\nlet a = 1;\n</script>");
+  });
+});
+
+describe("templateEngineBlocks", () => {
+  function getBlocks(code, preset) {
+    const { ast } = parser.parseForESLint(code, {
+      templateEngineSyntax: parser.TEMPLATE_ENGINE_SYNTAX[preset],
+      templateEngineBlocks: parser.TEMPLATE_ENGINE_BLOCKS[preset],
+    });
+    return (function toTree(blocks) {
+      return blocks.map((block) =>
+        block.branches.map((branch) => [
+          code.slice(...branch.syntax.range),
+          toTree(branch.blocks),
+        ])
+      );
+    })(ast.body[0].templateBlocks);
+  }
+
+  test("has no blocks by default", () => {
+    const { ast } = parser.parseForESLint("<div></div>", {});
+    expect(ast.body[0].templateBlocks).toEqual([]);
+  });
+
+  test("HANDLEBAR", () => {
+    expect(
+      getBlocks(
+        `{{#if a}}<a>{{else if b}}{{#each items}}<b>{{/each}}{{^}}<c>{{/if}}
+{{#> layout}}{{#*inline "nav"}}{{/inline}}{{/layout}}{{^items}}{{/items}}`,
+        "HANDLEBAR"
+      )
+    ).toEqual([
+      [
+        ["{{#if a}}", []],
+        ["{{else if b}}", [[["{{#each items}}", []]]]],
+        ["{{^}}", []],
+      ],
+      [["{{#> layout}}", [[['{{#*inline "nav"}}', []]]]]],
+      [["{{^items}}", []]],
+    ]);
+  });
+
+  test("TWIG", () => {
+    expect(
+      getBlocks(
+        `{% set a = 1 %}{% if a %}{% for item in items %}{% else %}{% endfor %}{%- elif b -%}{% set c %}c{% endset %}{% else %}{% endif %}`,
+        "TWIG"
+      )
+    ).toEqual([
+      [
+        [
+          "{% if a %}",
+          [
+            [
+              ["{% for item in items %}", []],
+              ["{% else %}", []],
+            ],
+          ],
+        ],
+        ["{%- elif b -%}", [[["{% set c %}", []]]]],
+        ["{% else %}", []],
+      ],
+    ]);
+  });
+
+  test("ERB", () => {
+    expect(
+      getBlocks(
+        `<% if a %><%= form_with do |f| %><% end %><% elsif b %><% items.each do |item| %><% end -%><% else %><% end %><%= a if b %>`,
+        "ERB"
+      )
+    ).toEqual([
+      [
+        ["<% if a %>", [[["<%= form_with do |f| %>", []]]]],
+        ["<% elsif b %>", [[["<% items.each do |item| %>", []]]]],
+        ["<% else %>", []],
+      ],
+    ]);
+    expect(
+      getBlocks(`<% begin %><% if a %><% end %><% ensure %><% end %>`, "ERB")
+    ).toEqual([[["<% begin %>", [[["<% if a %>", []]]]]]]);
+  });
+});
+
+describe("template engine presets", () => {
+  const fs = require("fs");
+  const path = require("path");
+
+  /**
+   * Fixture names and the opening tags of their top-level blocks.
+   */
+  const fixtures = {
+    HANDLEBAR: [
+      "handlebars.html",
+      [
+        "{{#if user}}",
+        "{{#each items as |item index|}}",
+        '{{#> layout title="Home"}}',
+      ],
+    ],
+    MUSTACHE: ["mustache.html", ["{{#items}}", "{{^items}}"]],
+    TWIG: ["twig.html", ["{% block body %}"]],
+    JINJA: ["jinja.html", ["{% block title %}", "{% block content %}"]],
+    NUNJUCKS: ["nunjucks.html", ["{% set navigation %}", "{% block body %}"]],
+    DJANGO: ["django.html", ["{% block content %}"]],
+    LIQUID: [
+      "liquid.html",
+      [
+        "{% if page.title %}",
+        "{% comment %}",
+        "{%- if site.feed -%}",
+        "{% unless page.home %}",
+        "{% capture year %}",
+        "{% for post in site.posts limit: 5 %}",
+        "{% case page.layout %}",
+      ],
+    ],
+    GO: ["go.html", ['{{ define "main" }}']],
+    BLADE: ["blade.html", ["@section('content')"]],
+    ERB: [
+      "erb.html",
+      [
+        "<% if user_signed_in? %>",
+        "<% @posts.each do |post| %>",
+        "<%= form_with model: @post do |form| %>",
+      ],
+    ],
+    EJS: [
+      "ejs.html",
+      [
+        "<% if (user) { %>",
+        "<% users.forEach(function (user) { %>",
+        "<%_ for (const item of items) { _%>",
+      ],
+    ],
+    JSP: [
+      "jsp.html",
+      [
+        '<% if (request.getAttribute("user") != null) { %>',
+        "<% for (int i = 0; i < 3; i++) { %>",
+      ],
+    ],
+    PHP: [
+      "php.html",
+      [
+        "<?php if (count($users) > 0): ?>",
+        "<?php for ($i = 0; $i < 3; $i++) { ?>",
+      ],
+    ],
+  };
+
+  test.each(Object.entries(fixtures))("%s", (preset, [fixture, blocks]) => {
+    const code = fs.readFileSync(
+      path.join(__dirname, "fixtures", "presets", fixture),
+      "utf8"
+    );
+    const parserOptions = {
+      templateEngineSyntax: parser.TEMPLATE_ENGINE_SYNTAX_DEFINITIONS[preset],
+      templateEngineBlocks: parser.TEMPLATE_ENGINE_BLOCKS[preset],
+      templateEngineDirectives: parser.TEMPLATE_ENGINE_DIRECTIVES[preset],
+    };
+    const linter = new Linter();
+    const messages = linter.verify(
+      code,
+      {
+        files: ["**/*.html"],
+        languageOptions: { parser, parserOptions },
+      },
+      fixture
+    );
+    expect(messages.filter((message) => message.fatal)).toEqual([]);
+
+    const { ast } = parser.parseForESLint(code, parserOptions);
+    expect(ast.body[0].unbalancedTemplateSyntax).toEqual([]);
+    expect(
+      ast.body[0].templateBlocks.map((block) => code.slice(...block.open.range))
+    ).toEqual(blocks);
+  });
+
+  test("TEMPLATE_ENGINE_SYNTAX maps open delimiters to close delimiters", () => {
+    expect(parser.TEMPLATE_ENGINE_SYNTAX.HANDLEBAR["{{"]).toBe("}}");
+    Object.values(parser.TEMPLATE_ENGINE_SYNTAX).forEach((syntax) => {
+      Object.values(syntax).forEach((close) => {
+        expect(typeof close).toBe("string");
+      });
+    });
+    expect(Object.keys(parser.TEMPLATE_ENGINE_SYNTAX_DEFINITIONS)).toEqual(
+      Object.keys(parser.TEMPLATE_ENGINE_SYNTAX)
+    );
+  });
+
+  test("BLADE directives", () => {
+    const code = `@if ($a) <style>@media print {}</style> <a href="mailto:a@b.c">@lang('a')</a> @endif`;
+    const { ast } = parser.parseForESLint(code, {
+      templateEngineSyntax: parser.TEMPLATE_ENGINE_SYNTAX.BLADE,
+      templateEngineBlocks: parser.TEMPLATE_ENGINE_BLOCKS.BLADE,
+      templateEngineDirectives: parser.TEMPLATE_ENGINE_DIRECTIVES.BLADE,
+    });
+    const [block] = ast.body[0].templateBlocks;
+    expect(code.slice(...block.range)).toBe(code);
+    expect(findAll(ast, "Tag").map((tag) => tag.name)).toEqual(["a"]);
+  });
+});
+
+describe("unbalanced template syntax", () => {
+  test("has no unbalanced syntax by default", () => {
+    const { ast } = parser.parseForESLint("<div>{{</div>", {});
+    expect(ast.body[0].unbalancedTemplateSyntax).toEqual([]);
+  });
+
+  test("records unbalanced delimiters instead of throwing", () => {
+    const code = "<div>{{{ a <span>{{ b }}</span> }}}</div>";
+    const { ast } = parser.parseForESLint(code, {
+      templateEngineSyntax: parser.TEMPLATE_ENGINE_SYNTAX.MUSTACHE,
+    });
+    expect(
+      ast.body[0].unbalancedTemplateSyntax.map((syntax) => [
+        syntax.type,
+        code.slice(...syntax.range),
+      ])
+    ).toEqual([
+      ["unclosed", "{{{"],
+      ["unexpected", "}}}"],
+    ]);
+    expect(findAll(ast, "Tag").map((tag) => tag.name)).toEqual(["div", "span"]);
+  });
+});
+
+describe("template placeholders", () => {
+  test("creates TemplatePlaceholder nodes", () => {
+    const code = `<div class="a {{ b }}" {{ c }}>x {{{ d }}} y @if($e)</div><!-- {{ f }} -->`;
+    const { ast } = parser.parseForESLint(code, {
+      templateEngineSyntax: parser.TEMPLATE_ENGINE_SYNTAX.MUSTACHE,
+      templateEngineDirectives: [{ open: "@", name: "\\w+", arguments: true }],
+    });
+    expect(
+      findAll(ast, parser.NODE_TYPES.TemplatePlaceholder).map((node) => [
+        node.parent.type,
+        node.open,
+        node.close,
+        node.source,
+        code.slice(...node.range),
+        node.value,
+      ])
+    ).toEqual([
+      ["Text", "{{{", "}}}", " d ", "{{{ d }}}", "{{{ d }}}"],
+      ["Text", "@", "", "if($e)", "@if($e)", "@if($e)"],
+      ["AttributeValue", "{{", "}}", " b ", "{{ b }}", "{{ b }}"],
+      ["AttributeKey", "{{", "}}", " c ", "{{ c }}", "{{ c }}"],
+      ["CommentContent", "{{", "}}", " f ", "{{ f }}", "{{ f }}"],
+    ]);
+  });
+
+  test("has no placeholders without template syntax", () => {
+    const { ast } = parser.parseForESLint(`<div class="{{ a }}">{{ b }}</div>`);
+    expect(findAll(ast, parser.NODE_TYPES.TemplatePlaceholder)).toEqual([]);
+    const [text] = findAll(ast, "Text");
+    expect(text.placeholders).toEqual([]);
+  });
+
+  test("visits placeholders in rules", () => {
+    const linter = new Linter();
+    const messages = linter.verify(
+      `<div title="{{ a }}">{{ b }}</div>`,
+      {
+        files: ["**/*.html"],
+        languageOptions: {
+          parser,
+          parserOptions: { templateEngineSyntax: { "{{": "}}" } },
+        },
+        plugins: {
+          test: {
+            rules: {
+              placeholder: {
+                create(context) {
+                  return {
+                    TemplatePlaceholder(node) {
+                      context.report({
+                        node,
+                        message: `${node.parent.type}:${node.source.trim()}`,
+                      });
+                    },
+                  };
+                },
+              },
+            },
+          },
+        },
+        rules: { "test/placeholder": "error" },
+      },
+      "test.html"
+    );
+    expect(
+      messages.map((message) => [message.message, message.column])
+    ).toEqual([
+      ["AttributeValue:a", 13],
+      ["Text:b", 22],
+    ]);
+  });
+});
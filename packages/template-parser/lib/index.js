@@ -1,4 +1,6 @@
 const { parse } = require("./template-parser");
+const { parseString } = require("./string-parser");
 module.exports = {
   parse,
+  parseString,
 };
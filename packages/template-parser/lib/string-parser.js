@@ -0,0 +1,233 @@
+const esHtmlParser = require("es-html-parser");
+const { traverse } = require("./traverser");
+const { attachTemplatePlaceholders } = require("./template-placeholder");
+/**
+ * @typedef {import("estree").Expression} Expression
+ * @typedef {import("estree").Literal} Literal
+ * @typedef {import("estree").SimpleLiteral} SimpleLiteral
+ * @typedef {import("eslint").SourceCode} SourceCode
+ * @typedef {import("./types").TemplateHTMLVisitor} TemplateHTMLVisitor
+ * @typedef {import("./template-placeholder").PlaceholderSource} PlaceholderSource
+ *
+ * @typedef {Object} Segment A part of the HTML and its range in the source code.
+ * @property {number} start
+ * @property {number} end
+ * @property {number} sourceStart
+ * @property {number} sourceEnd
+ */
+
+const SINGLE_CHARACTER_ESCAPES = /** @type {Record<string, string>} */ ({
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  b: "\b",
+  f: "\f",
+  v: "\v",
+  0: "\0",
+});
+
+const LINE_TERMINATORS = ["\r\n", "\n", "\r", "\u2028", "\u2029"];
+
+/**
+ * @param {Expression} node
+ * @returns {node is SimpleLiteral & {value: string}}
+ */
+function isStringLiteral(node) {
+  return node.type === "Literal" && typeof node.value === "string";
+}
+
+/**
+ * Returns the operands of `+` in the source order. (e.g. `"<p>"`, `text`, `"</p>"` for `"<p>" + text + "</p>"`)
+ * @param {Expression} node
+ * @returns {Expression[]}
+ */
+function getOperands(node) {
+  if (node.type === "BinaryExpression" && node.operator === "+") {
+    return [
+      ...getOperands(/** @type {Expression} */ (node.left)),
+      ...getOperands(node.right),
+    ];
+  }
+  return [node];
+}
+
+/**
+ * Reads an escape sequence of a string literal.
+ * @param {string} raw
+ * @param {number} index The index of `\`.
+ * @returns {{value: string, length: number}}
+ */
+function readEscape(raw, index) {
+  const next = raw[index + 1];
+  const lineTerminator = LINE_TERMINATORS.find((terminator) =>
+    raw.startsWith(terminator, index + 1)
+  );
+  if (lineTerminator) {
+    return { value: "", length: 1 + lineTerminator.length };
+  }
+  if (next === "x") {
+    return {
+      value: String.fromCharCode(parseInt(raw.slice(index + 2, index + 4), 16)),
+      length: 4,
+    };
+  }
+  if (next === "u" && raw[index + 2] === "{") {
+    const end = raw.indexOf("}", index);
+    return {
+      value: String.fromCodePoint(parseInt(raw.slice(index + 3, end), 16)),
+      length: end + 1 - index,
+    };
+  }
+  if (next === "u") {
+    return {
+      value: String.fromCharCode(parseInt(raw.slice(index + 2, index + 6), 16)),
+      length: 6,
+    };
+  }
+  if (next in SINGLE_CHARACTER_ESCAPES) {
+    return { value: SINGLE_CHARACTER_ESCAPES[next], length: 2 };
+  }
+  return { value: next, length: 2 };
+}
+
+/**
+ * Parses HTML in a string literal or a concatenation of strings. (e.g. `"<p>" + text + "</p>"`)
+ * String literals are parsed with their escape sequences evaluated,
+ * and the other operands are treated as templates, like `${...}` of template literals.
+ * @param {Expression} node
+ * @param {SourceCode} sourceCode
+ * @param {TemplateHTMLVisitor} visitors
+ */
+function parseString(node, sourceCode, visitors) {
+  let html = "";
+  /**
+   * @type {Segment[]}
+   */
+  const segments = [];
+  /**
+   * @type {[number, number][]}
+   */
+  const ranges = [];
+  /**
+   * @type {Map<number, PlaceholderSource>}
+   */
+  const placeholders = new Map();
+
+  /**
+   * @param {string} text
+   * @param {number} sourceStart
+   * @param {number} sourceEnd
+   */
+  function append(text, sourceStart, sourceEnd) {
+    if (!text) {
+      return;
+    }
+    segments.push({
+      start: html.length,
+      end: html.length + text.length,
+      sourceStart,
+      sourceEnd,
+    });
+    html += text;
+  }
+
+  getOperands(node).forEach((operand) => {
+    const [start, end] = /** @type {[number, number]} */ (operand.range);
+    if (!isStringLiteral(operand)) {
+      ranges.push([html.length, html.length + end - start]);
+      placeholders.set(start, { open: "", close: "", expression: operand });
+      append(sourceCode.text.slice(start, end), start, end);
+      return;
+    }
+    const raw = sourceCode.text.slice(start, end);
+    let runStart = 1;
+    let index = 1;
+    while (index < raw.length - 1) {
+      if (raw[index] !== "\\") {
+        index++;
+        continue;
+      }
+      append(raw.slice(runStart, index), start + runStart, start + index);
+      const escape = readEscape(raw, index);
+      append(escape.value, start + index, start + index + escape.length);
+      index += escape.length;
+      runStart = index;
+    }
+    append(raw.slice(runStart, raw.length - 1), start + runStart, end - 1);
+  });
+
+  /**
+   * @param {number} index
+   * @returns {Segment | undefined}
+   */
+  function findSegment(index) {
+    return segments.find(
+      (segment) => segment.start <= index && index < segment.end
+    );
+  }
+
+  /**
+   * @param {number} index
+   * @returns {number}
+   */
+  function toSourceStart(index) {
+    const segment = findSegment(index);
+    if (!segment) {
+      return segments.length ? segments[segments.length - 1].sourceEnd : 0;
+    }
+    return segment.end - segment.start ===
+      segment.sourceEnd - segment.sourceStart
+      ? segment.sourceStart + index - segment.start
+      : segment.sourceStart;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {number}
+   */
+  function toSourceEnd(index) {
+    const segment = findSegment(index - 1);
+    if (!segment) {
+      return toSourceStart(index);
+    }
+    return segment.end - segment.start ===
+      segment.sourceEnd - segment.sourceStart
+      ? segment.sourceStart + index - segment.start
+      : segment.sourceEnd;
+  }
+
+  /**
+   * @param {{range: [number, number]}} token
+   * @returns {[number, number]}
+   */
+  function toSourceRange(token) {
+    const start = toSourceStart(token.range[0]);
+    return [
+      start,
+      token.range[1] > token.range[0] ? toSourceEnd(token.range[1]) : start,
+    ];
+  }
+
+  const { ast, tokens } = esHtmlParser.parse(html, {
+    templateRanges: ranges,
+    tokenAdapter: {
+      finalizeLocation(token) {
+        const range = toSourceRange(token);
+        return {
+          start: sourceCode.getLocFromIndex(range[0]),
+          end: sourceCode.getLocFromIndex(range[1]),
+        };
+      },
+      finalizeRange(token) {
+        return toSourceRange(token);
+      },
+    },
+  });
+  attachTemplatePlaceholders(ast, placeholders);
+  traverse(ast, visitors, null);
+  return { ast, html, tokens };
+}
+
+module.exports = {
+  parseString,
+};
@@ -1,9 +1,11 @@
 const esHtmlParser = require("es-html-parser");
 const { traverse } = require("./traverser");
+const { attachTemplatePlaceholders } = require("./template-placeholder");
 /**
  * @typedef {import("estree").TemplateLiteral} TemplateLiteral
  * @typedef {import("eslint").SourceCode} SourceCode
  * @typedef {import("./types").TemplateHTMLVisitor} TemplateHTMLVisitor
+ * @typedef {import("./template-placeholder").PlaceholderSource} PlaceholderSource
  */
 
 /**
@@ -63,6 +65,16 @@ function parse(node, sourceCode, visitors) {
       },
     },
   });
+  /**
+   * @type {Map<number, PlaceholderSource>}
+   */
+  const placeholders = new Map(
+    ranges.map((range, index) => [
+      range[0] + rangeOffset,
+      { open: "${", close: "}", expression: expressions[index] },
+    ])
+  );
+  attachTemplatePlaceholders(ast, placeholders);
   traverse(ast, visitors, null);
   return { ast, html, tokens };
 }
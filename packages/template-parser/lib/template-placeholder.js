@@ -0,0 +1,64 @@
+const { NodeTypes } = require("es-html-parser");
+const { traverse } = require("./traverser");
+/**
+ * @typedef {import("estree").Expression} Expression
+ *
+ * @typedef {Object} PlaceholderSource
+ * @property {string} open
+ * @property {string} close
+ * @property {Expression} expression
+ */
+
+/**
+ * Creates `TemplatePlaceholder` nodes for templates in texts, attributes, comments, scripts and styles,
+ * and attaches them to the `placeholders` of the nodes.
+ * @param {any} ast
+ * @param {Map<number, PlaceholderSource>} placeholders Placeholders by the start of their range in the source code.
+ */
+function attachTemplatePlaceholders(ast, placeholders) {
+  /**
+   * @param {any} node
+   */
+  function attach(node) {
+    node.placeholders = node.templates
+      .filter(
+        (/** @type {any} */ template) =>
+          template.isTemplate && placeholders.has(template.range[0])
+      )
+      .map((/** @type {any} */ template) => {
+        const { open, close, expression } = /** @type {PlaceholderSource} */ (
+          placeholders.get(template.range[0])
+        );
+        return {
+          type: "TemplatePlaceholder",
+          value: template.value,
+          open,
+          close,
+          source: template.value.slice(
+            open.length,
+            template.value.length - close.length
+          ),
+          expression,
+          range: template.range,
+          loc: template.loc,
+          parent: node,
+        };
+      });
+  }
+  traverse(
+    ast,
+    {
+      [NodeTypes.Text]: attach,
+      [NodeTypes.AttributeKey]: attach,
+      [NodeTypes.AttributeValue]: attach,
+      [NodeTypes.CommentContent]: attach,
+      [NodeTypes.ScriptTagContent]: attach,
+      [NodeTypes.StyleTagContent]: attach,
+    },
+    null
+  );
+}
+
+module.exports = {
+  attachTemplatePlaceholders,
+};
@@ -8,15 +8,15 @@ const { NodeTypes } = require("es-html-parser");
 const visitorKeys = {
   [NodeTypes.Document]: ["children"],
   [NodeTypes.Attribute]: ["key", "startWrapper", "endWrapper", "value"],
-  [NodeTypes.AttributeKey]: [],
-  [NodeTypes.AttributeValue]: [],
+  [NodeTypes.AttributeKey]: ["placeholders"],
+  [NodeTypes.AttributeValue]: ["placeholders"],
   [NodeTypes.AttributeValueWrapperEnd]: [],
   [NodeTypes.AttributeValueWrapperStart]: [],
   [NodeTypes.CloseScriptTag]: [],
   [NodeTypes.CloseStyleTag]: [],
   [NodeTypes.CloseTag]: [],
   [NodeTypes.Comment]: ["open", "close", "value"],
-  [NodeTypes.CommentContent]: [],
+  [NodeTypes.CommentContent]: ["placeholders"],
   [NodeTypes.CommentOpen]: [],
   [NodeTypes.CommentClose]: [],
   [NodeTypes.Doctype]: ["open", "close", "attributes"],
@@ -39,7 +39,7 @@ const visitorKeys = {
     "close",
     "value",
   ],
-  [NodeTypes.ScriptTagContent]: [],
+  [NodeTypes.ScriptTagContent]: ["placeholders"],
   [NodeTypes.StyleTag]: [
     "attributes",
     "openStart",
@@ -47,9 +47,11 @@ const visitorKeys = {
     "close",
     "value",
   ],
-  [NodeTypes.StyleTagContent]: [],
+  [NodeTypes.StyleTagContent]: ["placeholders"],
   [NodeTypes.Tag]: ["openStart", "openEnd", "close", "children", "attributes"],
-  [NodeTypes.Text]: [],
+  [NodeTypes.Text]: ["placeholders"],
+  // The `expression` of a placeholder is an ESTree node, which is not traversed.
+  TemplatePlaceholder: [],
 };
 
 /**
@@ -62,7 +64,8 @@ function traverse(node, visitors, parent) {
   const enterVisitor = visitors[node.type];
   node.parent = parent;
   enterVisitor && enterVisitor(node);
-  const nextKeys = visitorKeys[node.type];
+  const nextKeys =
+    visitorKeys[/** @type {keyof typeof visitorKeys} */ (node.type)];
 
   nextKeys.forEach((key) => {
     const next = node[key];
@@ -32,7 +32,7 @@ import type {
   TagNode,
   TextNode,
 } from "es-html-parser";
-import { Comment } from "estree";
+import { Comment, Expression } from "estree";
 
 type PostFix<T, S extends string> = {
   [K in keyof T as `${K & string}${S}`]: T[K];
@@ -82,4 +82,39 @@ type BaseVisiter = Partial<{
   [NodeTypes.StyleTagContent]: (node: StyleTagContentNode) => void;
   [NodeTypes.Tag]: (node: TagNode) => void;
   [NodeTypes.Text]: (node: TextNode) => void;
+  TemplatePlaceholder: (node: TemplatePlaceholder) => void;
 }>;
+
+/**
+ * `${...}` of a template literal, or an operand of a string concatenation (e.g. `"<p>" + text + "</p>"`)
+ * in a text, attribute, comment, script or style.
+ */
+export interface TemplatePlaceholder {
+  type: "TemplatePlaceholder";
+  /**
+   * The raw source including the delimiters. (e.g. `${ id }`)
+   */
+  value: string;
+  /**
+   * `${` in template literals, and an empty string in string concatenations.
+   */
+  open: string;
+  /**
+   * `}` in template literals, and an empty string in string concatenations.
+   */
+  close: string;
+  /**
+   * The raw source between the delimiters. (e.g. ` id `)
+   */
+  source: string;
+  /**
+   * The expression of the template literal or the operand of the concatenation.
+   */
+  expression: Expression;
+  parent: any;
+  range: [number, number];
+  loc: {
+    start: { line: number; column: number };
+    end: { line: number; column: number };
+  };
+}
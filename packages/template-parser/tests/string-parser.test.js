@@ -0,0 +1,111 @@
+const { NodeTypes } = require("es-html-parser");
+const { SourceCode } = require("eslint");
+const { parseString } = require("../lib/string-parser");
+const espree = require("espree");
+
+const parseCode = (code) =>
+  espree.parse(code, {
+    range: true,
+    loc: true,
+    ecmaVersion: "latest",
+  });
+const createSourceCode = (code, ast) =>
+  new SourceCode({
+    text: code,
+    ast: {
+      ...ast,
+      tokens: [],
+      comments: ast.comments ?? [],
+      loc: ast.loc,
+      range: ast.range,
+    },
+  });
+
+const visitors = {
+  Tag: jest.fn(),
+  "Tag:exit": jest.fn(),
+  OpenTagStart: jest.fn(),
+  CloseTag: jest.fn(),
+  AttributeValue: jest.fn(),
+  Text: jest.fn(),
+  TemplatePlaceholder: jest.fn(),
+};
+
+describe("parseString", () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test("string literal", () => {
+    const code = `el.innerHTML = "<div class=\\"a\\">\\n</div>";`;
+    const ast = parseCode(code);
+    const exp = ast.body[0].expression.right;
+    const sourcecode = createSourceCode(code, ast);
+    parseString(exp, sourcecode, visitors);
+    expect(visitors.Tag).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: NodeTypes.Tag,
+        range: [16, 41],
+        loc: {
+          start: { line: 1, column: 16 },
+          end: { line: 1, column: 41 },
+        },
+      })
+    );
+    expect(visitors.AttributeValue).toHaveBeenCalledWith(
+      expect.objectContaining({
+        value: "a",
+        range: [29, 30],
+      })
+    );
+    expect(visitors.Text).toHaveBeenCalledWith(
+      expect.objectContaining({
+        value: "\n",
+        range: [33, 35],
+      })
+    );
+  });
+
+  test("concatenation", () => {
+    const code = `el.innerHTML = "<div id='" + id + "'>" +
+  text + "</div>";`;
+    const ast = parseCode(code);
+    const exp = ast.body[0].expression.right;
+    const sourcecode = createSourceCode(code, ast);
+    parseString(exp, sourcecode, visitors);
+    const [id, text] = [exp.left.left.left.right, exp.left.right];
+    expect(visitors.Tag).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: NodeTypes.Tag,
+        range: [16, 57],
+        loc: {
+          start: { line: 1, column: 16 },
+          end: { line: 2, column: 16 },
+        },
+      })
+    );
+    expect(visitors.TemplatePlaceholder).toHaveBeenCalledWith(
+      expect.objectContaining({
+        value: "id",
+        source: "id",
+        open: "",
+        close: "",
+        expression: id,
+        range: [29, 31],
+        parent: expect.objectContaining({ type: NodeTypes.AttributeValue }),
+      })
+    );
+    expect(visitors.TemplatePlaceholder).toHaveBeenCalledWith(
+      expect.objectContaining({
+        value: "text",
+        expression: text,
+        range: [43, 47],
+        loc: {
+          start: { line: 2, column: 2 },
+          end: { line: 2, column: 6 },
+        },
+        parent: expect.objectContaining({ type: NodeTypes.Text }),
+      })
+    );
+  });
+});
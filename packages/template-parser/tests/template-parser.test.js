@@ -28,6 +28,7 @@ const visitors = {
   CloseTag: jest.fn(),
   AttributeValue: jest.fn(),
   Text: jest.fn(),
+  TemplatePlaceholder: jest.fn(),
 };
 
 describe("parseTemplate", () => {
@@ -115,4 +116,33 @@ describe("parseTemplate", () => {
       })
     );
   });
+
+  test("placeholders", () => {
+    const code = `html\`<div id="\${ id }">\${text}</div>\`;`;
+    const ast = parseCode(code);
+    const exp = ast.body[0].expression.quasi;
+    const sourcecode = createSourceCode(code, ast);
+    templateParser.parse(exp, sourcecode, visitors);
+    const [id, text] = exp.expressions;
+    expect(visitors.TemplatePlaceholder).toHaveBeenCalledTimes(2);
+    expect(visitors.TemplatePlaceholder).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "TemplatePlaceholder",
+        value: "${ id }",
+        source: " id ",
+        expression: id,
+        range: [14, 21],
+        parent: expect.objectContaining({ type: NodeTypes.AttributeValue }),
+      })
+    );
+    expect(visitors.TemplatePlaceholder).toHaveBeenCalledWith(
+      expect.objectContaining({
+        value: "${text}",
+        source: "text",
+        expression: text,
+        range: [23, 30],
+        parent: expect.objectContaining({ type: NodeTypes.Text }),
+      })
+    );
+  });
 });
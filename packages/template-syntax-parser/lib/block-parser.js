@@ -0,0 +1,207 @@
+/**
+ * @typedef {import("./types").TemplateSyntax} TemplateSyntax
+ * @typedef {import("./types").TemplateBlockSyntax} TemplateBlockSyntax
+ * @typedef {import("./types").TemplateBlock} TemplateBlock
+ * @typedef {import("./types").TemplateBranch} TemplateBranch
+ * @typedef {import("./types").Range} Range
+ *
+ * @typedef {Object} BlockMatcher
+ * @property {string | undefined} syntax
+ * @property {RegExp} open
+ * @property {RegExp | null} else
+ * @property {RegExp} close
+ *
+ * @typedef {Object} OpenBlock
+ * @property {BlockMatcher} matcher
+ * @property {string | null} name
+ * @property {TemplateSyntax} open
+ * @property {{syntax: TemplateSyntax, blocks: TemplateBlock[]}[]} branches
+ */
+
+/**
+ * Whitespace and whitespace control characters around the content of a template syntax. (e.g. `{{~ else ~}}`, `{%- endif -%}`)
+ */
+const TRIM_PATTERN = /^[\s~-]+|[\s~-]+$/gu;
+
+/**
+ * @param {RegExpExecArray} match
+ * @returns {string | null} The first captured group.
+ */
+function getCapturedName(match) {
+  for (let i = 1; i < match.length; i++) {
+    if (match[i] !== undefined) {
+      return match[i];
+    }
+  }
+  return null;
+}
+
+module.exports = class BlockParser {
+  /**
+   * @param {string} code
+   * @param {TemplateSyntax[]} syntax
+   * @param {TemplateBlockSyntax[]} blockSyntax
+   */
+  constructor(code, syntax, blockSyntax) {
+    /**
+     * @type {string}
+     */
+    this.code = code;
+    /**
+     * @type {TemplateSyntax[]}
+     */
+    this.syntax = syntax;
+    /**
+     * @type {BlockMatcher[]}
+     */
+    this.matchers = blockSyntax.map((block) => ({
+      syntax: block.syntax,
+      open: new RegExp(block.open, "u"),
+      else: block.else ? new RegExp(block.else, "u") : null,
+      close: new RegExp(block.close, "u"),
+    }));
+    /**
+     * @type {OpenBlock[]}
+     */
+    this.stack = [];
+    /**
+     * @type {TemplateBlock[]}
+     */
+    this.result = [];
+  }
+
+  /**
+   * @param {TemplateSyntax} syntax
+   * @returns {string}
+   */
+  getContent(syntax) {
+    return this.code
+      .slice(
+        syntax.range[0] + syntax.open.length,
+        syntax.range[1] - syntax.close.length
+      )
+      .replace(TRIM_PATTERN, "");
+  }
+
+  /**
+   * @returns {TemplateBlock[]} Blocks of the current branch.
+   */
+  getCurrentBlocks() {
+    const top = this.stack[this.stack.length - 1];
+    return top ? top.branches[top.branches.length - 1].blocks : this.result;
+  }
+
+  /**
+   * Drops the innermost open block, which is never closed.
+   * Blocks in it are moved to the outer branch.
+   */
+  dropOpenBlock() {
+    const dropped = this.stack.pop();
+    if (dropped) {
+      const blocks = this.getCurrentBlocks();
+      dropped.branches.forEach((branch) => blocks.push(...branch.blocks));
+    }
+  }
+
+  /**
+   * @param {BlockMatcher} matcher
+   * @param {string | null} name
+   * @returns {number}
+   */
+  findOpenBlockIndex(matcher, name) {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const openBlock = this.stack[i];
+      if (
+        openBlock.matcher === matcher &&
+        (name === null || openBlock.name === null || openBlock.name === name)
+      ) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * @param {TemplateSyntax} syntax
+   * @param {BlockMatcher} matcher
+   * @param {string} content
+   * @returns {boolean} `true` if the syntax is a tag of the block.
+   */
+  eatSyntax(syntax, matcher, content) {
+    const closeMatch = matcher.close.exec(content);
+    if (closeMatch) {
+      const index = this.findOpenBlockIndex(
+        matcher,
+        getCapturedName(closeMatch)
+      );
+      if (index < 0) {
+        return true;
+      }
+      while (this.stack.length - 1 > index) {
+        this.dropOpenBlock();
+      }
+      const openBlock = /** @type {OpenBlock} */ (this.stack.pop());
+      /**
+       * @type {TemplateBranch[]}
+       */
+      const branches = openBlock.branches.map((branch, branchIndex) => {
+        const next = openBlock.branches[branchIndex + 1];
+        return {
+          syntax: branch.syntax,
+          range: [
+            branch.syntax.range[1],
+            (next ? next.syntax : syntax).range[0],
+          ],
+          blocks: branch.blocks,
+        };
+      });
+      this.getCurrentBlocks().push({
+        name: openBlock.name,
+        open: openBlock.open,
+        close: syntax,
+        branches,
+        range: [openBlock.open.range[0], syntax.range[1]],
+      });
+      return true;
+    }
+    if (matcher.else && matcher.else.test(content)) {
+      const top = this.stack[this.stack.length - 1];
+      if (top && top.matcher === matcher) {
+        top.branches.push({ syntax, blocks: [] });
+      }
+      return true;
+    }
+    const openMatch = matcher.open.exec(content);
+    if (openMatch) {
+      this.stack.push({
+        matcher,
+        name: getCapturedName(openMatch),
+        open: syntax,
+        branches: [{ syntax, blocks: [] }],
+      });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @returns {TemplateBlock[]}
+   */
+  parse() {
+    for (const syntax of this.syntax) {
+      const content = this.getContent(syntax);
+      for (const matcher of this.matchers) {
+        if (
+          (!matcher.syntax || matcher.syntax === syntax.open) &&
+          this.eatSyntax(syntax, matcher, content)
+        ) {
+          break;
+        }
+      }
+    }
+    while (this.stack.length) {
+      this.dropOpenBlock();
+    }
+    return this.result;
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * @typedef {import("./types").TemplateSyntax} TemplateSyntax
+ * @typedef {import("./types").TemplateDirectiveSyntax} TemplateDirectiveSyntax
+ * @typedef {import("./types").Range} Range
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = class DirectiveParser {
+  /**
+   * @param {string} code
+   * @param {TemplateDirectiveSyntax[]} directives
+   * @param {Range[]} skipRanges Ranges of other template syntax and `skipRanges` of the config.
+   */
+  constructor(code, directives, skipRanges) {
+    /**
+     * @type {string}
+     */
+    this.code = code;
+    /**
+     * @type {{directive: TemplateDirectiveSyntax, pattern: RegExp}[]}
+     */
+    this.matchers = directives.map((directive) => {
+      const open = escapeRegExp(directive.open);
+      return {
+        directive,
+        pattern: new RegExp(
+          `(?<!\\w|${open})${open}(?:${directive.name})`,
+          "gu"
+        ),
+      };
+    });
+    /**
+     * @type {Range[]}
+     */
+    this.skipRanges = skipRanges;
+  }
+
+  /**
+   * @private
+   * @param {number} index
+   * @returns {boolean}
+   */
+  isSkipped(index) {
+    return this.skipRanges.some(
+      (range) => range[0] <= index && index < range[1]
+    );
+  }
+
+  /**
+   * Finds the end of arguments in parentheses, skipping parentheses in string literals.
+   * @private
+   * @param {number} position The index after the name of a directive.
+   * @returns {number} The index after `)`, or `position` if there are no arguments.
+   */
+  findArgumentsEnd(position) {
+    const start = /^[ \t]*\(/.exec(this.code.slice(position));
+    if (!start) {
+      return position;
+    }
+    let depth = 0;
+    /**
+     * @type {string | null}
+     */
+    let quote = null;
+    for (
+      let index = position + start[0].length - 1;
+      index < this.code.length;
+      index++
+    ) {
+      const char = this.code[index];
+      if (quote) {
+        if (char === "\\") {
+          index++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "(") {
+        depth++;
+      } else if (char === ")") {
+        depth--;
+        if (depth === 0) {
+          return index + 1;
+        }
+      }
+    }
+    return position;
+  }
+
+  /**
+   * @returns {TemplateSyntax[]}
+   */
+  parse() {
+    /**
+     * @type {TemplateSyntax[]}
+     */
+    const result = [];
+    this.matchers.forEach(({ directive, pattern }) => {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(this.code))) {
+        if (this.isSkipped(match.index)) {
+          continue;
+        }
+        const nameEnd = match.index + match[0].length;
+        const end = directive.arguments
+          ? this.findArgumentsEnd(nameEnd)
+          : nameEnd;
+        result.push({
+          open: directive.open,
+          close: "",
+          range: [match.index, end],
+        });
+        pattern.lastIndex = end;
+      }
+    });
+    return result.sort((a, b) => a.range[0] - b.range[0]);
+  }
+};
@@ -1,39 +1,47 @@
 /**
  * @typedef {import("./types").TemplateSyntax} TemplateSyntax
+ * @typedef {import("./types").TemplateSyntaxDefinition} TemplateSyntaxDefinition
  * @typedef {import("./types").Range} Range
  * @typedef {import("./types").OpenSyntax} OpenSyntax
  * @typedef {import("./types").CloseSyntax} CloseSyntax
  * @typedef {import("./types").TemplateSyntaxParserResult} TemplateSyntaxParserResult
+ * @typedef {import("./types").UnbalancedTemplateSyntax} UnbalancedTemplateSyntax
  *
+ * @typedef {TemplateSyntaxDefinition & {open: string}} SyntaxDefinition
  */
 
+/**
+ * The escape character in string literals.
+ */
+const STRING_ESCAPE = "\\";
+
 module.exports = class Parser {
   /**
    * @param {string} code
-   * @param {[string, string][]} syntaxPairs
+   * @param {SyntaxDefinition[]} definitions Definitions sorted by the length of `open` in descending order.
    * @param {Range[]} skipRanges
    */
-  constructor(code, syntaxPairs, skipRanges) {
+  constructor(code, definitions, skipRanges) {
     /**
      * @type {string}
      */
     this.code = code;
     /**
-     * @type {[string, string][]}
+     * @type {SyntaxDefinition[]}
      */
-    this.syntaxPairs = syntaxPairs || [];
+    this.definitions = definitions || [];
     /**
      * @type {Range[]}
      */
     this.skipRanges = skipRanges;
-    /**
-     * @type {OpenSyntax[]}
-     */
-    this.syntaxStack = [];
     /**
      * @type {TemplateSyntax[]}
      */
     this.result = [];
+    /**
+     * @type {UnbalancedTemplateSyntax[]}
+     */
+    this.unbalanced = [];
   }
 
   /**
@@ -72,8 +80,8 @@ module.exports = class Parser {
      */
     let value = null;
     let rangeStart = Infinity;
-    for (let i = 0; i < this.syntaxPairs.length; i++) {
-      const [open] = this.syntaxPairs[i];
+    for (let i = 0; i < this.definitions.length; i++) {
+      const { open } = this.definitions[i];
       const openIndex = this.indexOf(open, position);
       if (openIndex >= 0 && openIndex < rangeStart) {
         value = open;
@@ -98,8 +106,8 @@ module.exports = class Parser {
      */
     let value = null;
     let rangeStart = Infinity;
-    for (let i = 0; i < this.syntaxPairs.length; i++) {
-      const [, close] = this.syntaxPairs[i];
+    for (let i = 0; i < this.definitions.length; i++) {
+      const { close } = this.definitions[i];
       const closeIndex = this.indexOf(close, position);
       if (closeIndex >= 0 && closeIndex < rangeStart) {
         value = close;
@@ -115,104 +123,183 @@ module.exports = class Parser {
   }
 
   /**
-   * @returns {OpenSyntax[]}
+   * @param {number} position
+   * @returns {CloseSyntax | OpenSyntax | null}
    */
-  findAllOpenSyntax() {
-    /**
-     * @type {OpenSyntax[]}
-     */
-    const result = [];
-    let position = 0;
-
-    while (position < this.code.length) {
-      const openSyntax = this.findOpenSyntax(position);
-      if (!openSyntax) {
-        break;
-      }
-      result.push(openSyntax);
-      position = openSyntax.range[1];
+  findSyntax(position) {
+    const open = this.findOpenSyntax(position);
+    const close = this.findCloseSyntax(position);
+    if (open && close) {
+      return close.range[0] < open.range[0] ? close : open;
     }
-
-    return result;
+    return open || close;
   }
 
   /**
-   * @returns {CloseSyntax[]}
+   * @param {OpenSyntax} open
+   * @returns {SyntaxDefinition}
    */
-  findAllCloseSyntax() {
-    /**
-     * @type {CloseSyntax[]}
-     */
-    const result = [];
-    let position = 0;
-
-    while (position < this.code.length) {
-      const closeSyntax = this.findCloseSyntax(position);
-      if (!closeSyntax) {
-        break;
-      }
-      result.push(closeSyntax);
-      position = closeSyntax.range[1];
-    }
+  getDefinitionOf(open) {
+    return /** @type {SyntaxDefinition} */ (
+      this.definitions.find((definition) => definition.open === open.value)
+    );
+  }
 
-    return result;
+  /**
+   * @param {OpenSyntax} open
+   * @returns {boolean} `true` if the open syntax is preceded by the escape of its definition. (e.g. `\{{`)
+   */
+  isEscaped(open) {
+    const { escape } = this.getDefinitionOf(open);
+    return (
+      !!escape &&
+      this.code.slice(open.range[0] - escape.length, open.range[0]) === escape
+    );
   }
 
   /**
-   * @returns {(CloseSyntax | OpenSyntax)[]}
+   * @param {number} index
+   * @param {(definition: SyntaxDefinition) => string} getValue
+   * @returns {string | null} The `open` or `close` of a definition starting at the index.
    */
-  findAllSyntax() {
-    return this.findAllOpenSyntax()
-      .concat(this.findAllCloseSyntax())
-      .sort((a, b) => a.range[0] - b.range[0]);
+  startsWith(index, getValue) {
+    const definition = this.definitions.find((definition) =>
+      this.code.startsWith(getValue(definition), index)
+    );
+    return definition ? getValue(definition) : null;
   }
 
   /**
    * @param {OpenSyntax} open
-   * @returns {string}
    */
-  getPossibleCloseValueOf(open) {
-    return this.syntaxPairs.find((syntax) => syntax[0] === open.value)[1];
+  recordUnclosed(open) {
+    this.unbalanced.push({
+      type: "unclosed",
+      value: open.value,
+      expected: this.getDefinitionOf(open).close,
+      range: open.range,
+    });
   }
 
   /**
-   * @param {CloseSyntax | OpenSyntax} syntax
+   * Finds the close syntax of the open syntax, skipping string literals and nested open syntax of the definition.
+   * Another open syntax closes nothing, so the open syntax is recorded as unclosed and the parsing restarts from it.
+   * Close syntax of other definitions is recorded as unexpected and ignored.
+   * In comments, other delimiters are ignored.
+   * @param {OpenSyntax} open
+   * @param {boolean} escaped If `true`, the syntax is skipped without recording anything.
+   * @returns {number} The index to continue parsing from.
    */
-  eatSyntax(syntax) {
-    if (syntax.type === "open") {
-      const top = this.syntaxStack.pop();
-      if (!top) {
-        this.syntaxStack.push(syntax);
-      } else {
-        throw new Error(
-          `Expecting "${this.getPossibleCloseValueOf(top)}", but found "${
-            syntax.value
-          }" at (${syntax.range[0]}, ${syntax.range[1]}).`
-        );
+  eatSyntax(open, escaped) {
+    const { close, quotes, nested, comment } = this.getDefinitionOf(open);
+    let depth = 1;
+    /**
+     * @type {string | null}
+     */
+    let quote = null;
+    let index = open.range[1];
+    while (index < this.code.length) {
+      const skipRange = this.findSkipRange(index);
+      if (skipRange) {
+        index = skipRange[1];
+        continue;
+      }
+      const char = this.code[index];
+      if (quote) {
+        if (char === STRING_ESCAPE) {
+          index += 2;
+          continue;
+        }
+        if (this.code.startsWith(quote, index)) {
+          index += quote.length;
+          quote = null;
+        } else {
+          index++;
+        }
+        continue;
       }
-    } else if (syntax.type === "close") {
-      const top = this.syntaxStack.pop();
-      if (!top) {
-        return;
-      } else if (this.getPossibleCloseValueOf(top) === syntax.value) {
-        this.result.push({
-          open: top.value,
-          close: syntax.value,
-          range: [top.range[0], syntax.range[1]],
+      if (this.code.startsWith(close, index)) {
+        depth--;
+        if (depth === 0) {
+          if (!escaped) {
+            this.result.push({
+              open: open.value,
+              close,
+              range: [open.range[0], index + close.length],
+            });
+          }
+          return index + close.length;
+        }
+        index += close.length;
+        continue;
+      }
+      const quoteStart =
+        quotes && quotes.find((value) => this.code.startsWith(value, index));
+      if (quoteStart) {
+        quote = quoteStart;
+        index += quoteStart.length;
+        continue;
+      }
+      if (nested && this.code.startsWith(open.value, index)) {
+        depth++;
+        index += open.value.length;
+        continue;
+      }
+      if (escaped || comment) {
+        index++;
+        continue;
+      }
+      if (this.startsWith(index, (definition) => definition.open)) {
+        this.recordUnclosed(open);
+        return index;
+      }
+      const otherClose = this.startsWith(
+        index,
+        (definition) => definition.close
+      );
+      if (otherClose) {
+        this.unbalanced.push({
+          type: "unexpected",
+          value: otherClose,
+          expected: close,
+          range: [index, index + otherClose.length],
         });
+        index += otherClose.length;
+        continue;
       }
+      index++;
+    }
+    if (!escaped) {
+      this.recordUnclosed(open);
     }
+    return open.range[1];
   }
 
   /**
-   * @returns {TemplateSyntaxParserResult}
+   * @returns {Pick<TemplateSyntaxParserResult, "syntax" | "unbalanced">}
    */
   parse() {
-    for (const syntax of this.findAllSyntax()) {
-      this.eatSyntax(syntax);
+    let position = 0;
+    while (position < this.code.length) {
+      const syntax = this.findSyntax(position);
+      if (!syntax) {
+        break;
+      }
+      if (syntax.type === "open") {
+        position = this.eatSyntax(syntax, this.isEscaped(syntax));
+      } else {
+        this.unbalanced.push({
+          type: "unexpected",
+          value: syntax.value,
+          expected: null,
+          range: syntax.range,
+        });
+        position = syntax.range[1];
+      }
     }
     return {
       syntax: this.result,
+      unbalanced: this.unbalanced.sort((a, b) => a.range[0] - b.range[0]),
     };
   }
 };
@@ -1,18 +1,42 @@
 /**
  * @typedef {import("./types").TemplateSyntaxParserConfig} TemplateSyntaxParserConfig
+ * @typedef {import("./types").TemplateSyntaxParserResult} TemplateSyntaxParserResult
  */
 
 const Parser = require("./parser");
+const DirectiveParser = require("./directive-parser");
+const BlockParser = require("./block-parser");
 
 /**
  * @param {string} code
  * @param {TemplateSyntaxParserConfig} config
+ * @returns {TemplateSyntaxParserResult}
  */
 function parse(code, config) {
-  const syntaxPairs = Object.entries(config.syntax) || [];
-  syntaxPairs.sort((syntaxA, syntaxB) => syntaxB[0].length - syntaxA[0].length);
-  const parser = new Parser(code, syntaxPairs, config.skipRanges || []);
-  return parser.parse();
+  const definitions = Object.entries(config.syntax || {}).map(
+    ([open, definition]) =>
+      typeof definition === "string"
+        ? { open, close: definition }
+        : { ...definition, open }
+  );
+  definitions.sort((a, b) => b.open.length - a.open.length);
+  const skipRanges = config.skipRanges || [];
+  const parser = new Parser(code, definitions, skipRanges);
+  const { syntax: pairs, unbalanced } = parser.parse();
+  const directiveParser = new DirectiveParser(
+    code,
+    config.directives || [],
+    skipRanges.concat(pairs.map((syntax) => syntax.range))
+  );
+  const syntax = pairs
+    .concat(directiveParser.parse())
+    .sort((a, b) => a.range[0] - b.range[0]);
+  const blockParser = new BlockParser(code, syntax, config.blocks || []);
+  return {
+    syntax,
+    blocks: blockParser.parse(),
+    unbalanced,
+  };
 }
 
 module.exports = {
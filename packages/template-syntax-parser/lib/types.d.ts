@@ -1,6 +1,72 @@
 export type TemplateSyntaxParserConfig = {
   skipRanges?: [number, number][];
-  syntax: Record<string, string>;
+  /**
+   * Open delimiters and their close delimiters or definitions. (e.g. `{ "{{": "}}" }`, `{ "{{": { close: "}}", quotes: ['"', "'"] } }`)
+   */
+  syntax: Record<string, string | TemplateSyntaxDefinition>;
+  directives?: TemplateDirectiveSyntax[];
+  blocks?: TemplateBlockSyntax[];
+};
+
+/**
+ * A definition of template syntax enclosed by delimiters.
+ */
+export type TemplateSyntaxDefinition = {
+  close: string;
+  /**
+   * Quotes of string literals in the syntax. (e.g. `['"', "'"]`)
+   * Delimiters in string literals (e.g. `}}` of `{{ "}}" }}`) are ignored, and `\` escapes a character in string literals.
+   */
+  quotes?: string[];
+  /**
+   * A prefix which escapes the open delimiter. (e.g. `"\\"` for `\{{ a }}`)
+   * Escaped syntax is not template syntax.
+   */
+  escape?: string;
+  /**
+   * If `true`, the syntax is a comment, and other delimiters in it are ignored. (e.g. `{{!-- {{ a }} --}}`)
+   */
+  comment?: boolean;
+  /**
+   * If `true`, the open delimiter in the syntax is nested, and the syntax is closed at the same depth. (e.g. `{{ {{ a }} }}`)
+   */
+  nested?: boolean;
+};
+
+/**
+ * Template syntax which is not enclosed by delimiters. (e.g. `@if($a)`, `@csrf` in Blade)
+ * Directives are parsed as `TemplateSyntax` whose `open` is the `open` of the definition and `close` is `""`.
+ */
+export type TemplateDirectiveSyntax = {
+  /**
+   * The start of directives. (e.g. `"@"`)
+   * Directives preceded by word characters or `open` (e.g. `a@b.c`, `@@if`) are ignored.
+   */
+  open: string;
+  /**
+   * A regular expression of names following `open`. (e.g. `"\\w+"`)
+   */
+  name: string;
+  /**
+   * If `true`, arguments in parentheses following the name are a part of the directive. (e.g. `@if($a)`)
+   */
+  arguments?: boolean;
+};
+
+/**
+ * Tags of control structures (e.g. `{{#if}}`, `{{else}}`, `{{/if}}`).
+ * `open`, `else` and `close` are regular expressions tested against the content of a template syntax without whitespace control characters (`-`, `~`).
+ * If both `open` and `close` capture a name, a close tag closes the open tag with the same name.
+ */
+export type TemplateBlockSyntax = {
+  /**
+   * The open delimiter of template syntax which the tags are written in. (e.g. `"{%"`)
+   * If omitted, tags are searched in all template syntax.
+   */
+  syntax?: string;
+  open: string;
+  else?: string;
+  close: string;
 };
 
 export type TemplateSyntax = {
@@ -21,8 +87,48 @@ export type CloseSyntax = {
   range: Range;
 };
 
+export type TemplateBranch = {
+  /**
+   * The open tag or the else tag starting the branch.
+   */
+  syntax: TemplateSyntax;
+  /**
+   * The range of the content between the tag and the next tag.
+   */
+  range: Range;
+  blocks: TemplateBlock[];
+};
+
+export type TemplateBlock = {
+  name: string | null;
+  open: TemplateSyntax;
+  close: TemplateSyntax;
+  /**
+   * Alternative branches, which are mutually exclusive. (e.g. `{{#if}}` and `{{else}}`)
+   */
+  branches: TemplateBranch[];
+  range: Range;
+};
+
+/**
+ * A delimiter which is not balanced.
+ * - `"unclosed"`: An open delimiter which is not closed before the end or the next open delimiter. (e.g. `{{` of `{{ a {{ b }}`)
+ * - `"unexpected"`: A close delimiter which does not close the current open delimiter. (e.g. `%}` of `{{ a %}`)
+ */
+export type UnbalancedTemplateSyntax = {
+  type: "unclosed" | "unexpected";
+  value: string;
+  /**
+   * The close delimiter expected. `null` if no delimiter is open.
+   */
+  expected: string | null;
+  range: Range;
+};
+
 export type TemplateSyntaxParserResult = {
   syntax: TemplateSyntax[];
+  blocks: TemplateBlock[];
+  unbalanced: UnbalancedTemplateSyntax[];
 };
 
 export type Range = [number, number];
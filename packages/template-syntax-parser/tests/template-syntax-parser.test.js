@@ -49,11 +49,305 @@ describe("basic", () => {
   });
 });
 
-describe("error", () => {
+describe("unbalanced", () => {
   test("nested", () => {
-    expect(() => parse("{{{ {{ }} }}}", HANDLEBAR)).toThrowError();
+    const result = parse("{{{ {{ }} }}}", HANDLEBAR);
+    expect(result.syntax.map((s) => s.range)).toStrictEqual([[4, 9]]);
+    expect(result.unbalanced).toStrictEqual([
+      { type: "unclosed", value: "{{{", expected: "}}}", range: [0, 3] },
+      { type: "unexpected", value: "}}}", expected: null, range: [10, 13] },
+    ]);
   });
   test("unclosed", () => {
-    expect(() => parse("{{{ {{", HANDLEBAR)).toThrowError();
+    const result = parse("{{{ {{", HANDLEBAR);
+    expect(result.syntax).toStrictEqual([]);
+    expect(result.unbalanced).toStrictEqual([
+      { type: "unclosed", value: "{{{", expected: "}}}", range: [0, 3] },
+      { type: "unclosed", value: "{{", expected: "}}", range: [4, 6] },
+    ]);
+  });
+  test("mismatched", () => {
+    const result = parse("{% a }} b %} {{ c }}", {
+      syntax: { "{{": "}}", "{%": "%}" },
+    });
+    expect(result.syntax.map((s) => s.range)).toStrictEqual([
+      [0, 12],
+      [13, 20],
+    ]);
+    expect(result.unbalanced).toStrictEqual([
+      { type: "unexpected", value: "}}", expected: "%}", range: [5, 7] },
+    ]);
+  });
+  test("balanced", () => {
+    expect(parse("{{ a }} {{{ b }}}", HANDLEBAR).unbalanced).toStrictEqual([]);
+  });
+});
+
+describe("definitions", () => {
+  function ranges(code, syntax) {
+    const result = parse(code, { syntax });
+    return [
+      result.syntax.map((s) => code.slice(...s.range)),
+      result.unbalanced.map((s) => [s.type, s.value]),
+    ];
+  }
+
+  test("ignores delimiters in string literals", () => {
+    const syntax = {
+      "{{": { close: "}}", quotes: ['"', "'"] },
+      "{%": { close: "%}", quotes: ['"', "'"] },
+    };
+    expect(
+      ranges(
+        `{{ "}}" }} {{ '{%' ~ "%}" }} {% set a = "\\"}}" %} {{ "a\\"}}" }}`,
+        syntax
+      )
+    ).toStrictEqual([
+      [
+        `{{ "}}" }}`,
+        `{{ '{%' ~ "%}" }}`,
+        `{% set a = "\\"}}" %}`,
+        `{{ "a\\"}}" }}`,
+      ],
+      [],
+    ]);
+  });
+
+  test("treats quotes as text without quotes option", () => {
+    expect(ranges(`{{ "}}" }}`, { "{{": "}}" })).toStrictEqual([
+      [`{{ "}}`],
+      [["unexpected", "}}"]],
+    ]);
+  });
+
+  test("records unterminated string literals as unclosed", () => {
+    expect(
+      ranges(`{{ "a }} {{ b }}`, { "{{": { close: "}}", quotes: ['"'] } })
+    ).toStrictEqual([
+      ["{{ b }}"],
+      [
+        ["unclosed", "{{"],
+        ["unexpected", "}}"],
+      ],
+    ]);
+  });
+
+  test("distinguishes delimiters sharing a prefix", () => {
+    expect(
+      ranges(`{{{ "}}}" }}} {{ a }}`, {
+        "{{": { close: "}}", quotes: ['"'] },
+        "{{{": { close: "}}}", quotes: ['"'] },
+      })
+    ).toStrictEqual([[`{{{ "}}}" }}}`, "{{ a }}"], []]);
+  });
+
+  test("skips escaped delimiters", () => {
+    expect(
+      ranges(`\\{{ a }} {{ b }} @{{ c }}`, {
+        "{{": { close: "}}", escape: "\\" },
+      })
+    ).toStrictEqual([["{{ b }}", "{{ c }}"], []]);
+    expect(
+      ranges(`@{{ a }} {{ b }}`, { "{{": { close: "}}", escape: "@" } })
+    ).toStrictEqual([["{{ b }}"], []]);
+  });
+
+  test("nests delimiters", () => {
+    expect(
+      ranges("${ a ${ b } } ${ c }", { "${": { close: "}", nested: true } })
+    ).toStrictEqual([["${ a ${ b } }", "${ c }"], []]);
+    expect(
+      ranges("${ a ${ b } } ${ c }", { "${": { close: "}" } })
+    ).toStrictEqual([
+      ["${ b }", "${ c }"],
+      [
+        ["unclosed", "${"],
+        ["unexpected", "}"],
+      ],
+    ]);
+  });
+
+  test("ignores delimiters in comments", () => {
+    expect(
+      ranges(`{{!-- {{ a }} %} '" --}} {{ b }}`, {
+        "{{!--": { close: "--}}", comment: true },
+        "{{": { close: "}}", quotes: ['"', "'"] },
+        "{%": "%}",
+      })
+    ).toStrictEqual([[`{{!-- {{ a }} %} '" --}}`, "{{ b }}"], []]);
+  });
+
+  test("accepts strings and definitions together", () => {
+    expect(
+      ranges(`{{ "}}" }} <% "%>" %>`, {
+        "{{": { close: "}}", quotes: ['"'] },
+        "<%": "%>",
+      })
+    ).toStrictEqual([[`{{ "}}" }}`, `<% "%>`], [["unexpected", "%>"]]]);
+  });
+});
+
+describe("blocks", () => {
+  const HANDLEBAR_BLOCKS = {
+    syntax: HANDLEBAR.syntax,
+    blocks: [
+      {
+        syntax: "{{",
+        open: "^[#^]\\s*([^\\s}]+)",
+        else: "^else\\b",
+        close: "^/\\s*([^\\s}]+)",
+      },
+    ],
+  };
+  const ERB_BLOCKS = {
+    syntax: { "<%": "%>" },
+    blocks: [
+      {
+        open: "^(?:if|unless)\\b|\\bdo\\s*(?:\\|[^|]*\\|)?$",
+        else: "^(?:else|elsif)\\b",
+        close: "^end\\b",
+      },
+    ],
+  };
+
+  /**
+   * @param {any[]} blocks
+   * @param {string} code
+   * @returns {any[]}
+   */
+  function toTree(blocks, code) {
+    return blocks.map((block) => ({
+      name: block.name,
+      code: code.slice(...block.range),
+      branches: block.branches.map((branch) => ({
+        tag: code.slice(...branch.syntax.range),
+        content: code.slice(...branch.range),
+        blocks: toTree(branch.blocks, code),
+      })),
+    }));
+  }
+
+  test("returns no blocks without block syntax", () => {
+    expect(parse("{{#if a}}{{/if}}", HANDLEBAR).blocks).toStrictEqual([]);
+  });
+
+  test("parses branches and nested blocks", () => {
+    const code =
+      "{{#if a}}<a>{{#each b}}<b>{{/each}}{{else if c}}<c>{{~else~}}<d>{{/if}}{{value}}";
+    expect(toTree(parse(code, HANDLEBAR_BLOCKS).blocks, code)).toStrictEqual([
+      {
+        name: "if",
+        code: code.slice(0, code.indexOf("{{value}}")),
+        branches: [
+          {
+            tag: "{{#if a}}",
+            content: "<a>{{#each b}}<b>{{/each}}",
+            blocks: [
+              {
+                name: "each",
+                code: "{{#each b}}<b>{{/each}}",
+                branches: [{ tag: "{{#each b}}", content: "<b>", blocks: [] }],
+              },
+            ],
+          },
+          { tag: "{{else if c}}", content: "<c>", blocks: [] },
+          { tag: "{{~else~}}", content: "<d>", blocks: [] },
+        ],
+      },
+    ]);
+  });
+
+  test("closes blocks by names", () => {
+    const code = "{{#if a}}{{#each b}}<a>{{/if}}{{/each}}";
+    expect(toTree(parse(code, HANDLEBAR_BLOCKS).blocks, code)).toStrictEqual([
+      {
+        name: "if",
+        code: "{{#if a}}{{#each b}}<a>{{/if}}",
+        branches: [{ tag: "{{#if a}}", content: "{{#each b}}<a>", blocks: [] }],
+      },
+    ]);
+  });
+
+  test("closes blocks without names", () => {
+    const code =
+      "<% if a %><% items.each do |item| %><%= item %><% end %><% else %><% end %>";
+    expect(toTree(parse(code, ERB_BLOCKS).blocks, code)).toStrictEqual([
+      {
+        name: null,
+        code,
+        branches: [
+          {
+            tag: "<% if a %>",
+            content: "<% items.each do |item| %><%= item %><% end %>",
+            blocks: [
+              {
+                name: null,
+                code: "<% items.each do |item| %><%= item %><% end %>",
+                branches: [
+                  {
+                    tag: "<% items.each do |item| %>",
+                    content: "<%= item %>",
+                    blocks: [],
+                  },
+                ],
+              },
+            ],
+          },
+          { tag: "<% else %>", content: "", blocks: [] },
+        ],
+      },
+    ]);
+  });
+
+  test("ignores unclosed blocks and unexpected tags", () => {
+    const code = "{{else}}{{/each}}{{#if a}}{{#each b}}{{/each}}";
+    expect(toTree(parse(code, HANDLEBAR_BLOCKS).blocks, code)).toStrictEqual([
+      {
+        name: "each",
+        code: "{{#each b}}{{/each}}",
+        branches: [{ tag: "{{#each b}}", content: "", blocks: [] }],
+      },
+    ]);
+  });
+});
+
+describe("directives", () => {
+  const BLADE = {
+    syntax: { "{{": "}}" },
+    directives: [{ open: "@", name: "\\w+", arguments: true }],
+  };
+
+  test.each([
+    ["@csrf", [["@csrf"]]],
+    ["@if($a)<a>@endif", [["@if($a)"], ["@endif"]]],
+    ["@if ($a && ($b || $c))", [["@if ($a && ($b || $c))"]]],
+    [
+      "@include('a)', ['b' => '(\\')'])",
+      [["@include('a)', ['b' => '(\\')'])"]],
+    ],
+    ["@if($a", [["@if"]]],
+    ["<a href='mailto:a@b.c'>@@if {{ '@if' }}</a>", [["{{ '@if' }}"]]],
+  ])("parse(%s)", (code, expected) => {
+    expect(
+      parse(code, BLADE).syntax.map((syntax) => [code.slice(...syntax.range)])
+    ).toStrictEqual(expected);
+  });
+
+  test("parses blocks of directives", () => {
+    const code = "@if($a)<a>@elseif($b)<b>@else<c>@endif";
+    const { blocks } = parse(code, {
+      ...BLADE,
+      blocks: [
+        {
+          syntax: "@",
+          open: "^(if)\\b",
+          else: "^(?:elseif|else)\\b",
+          close: "^end(\\w+)",
+        },
+      ],
+    });
+    expect(
+      blocks[0].branches.map((branch) => code.slice(...branch.range))
+    ).toStrictEqual(["<a>", "<b>", "<c>"]);
   });
 });